@@ -34,6 +34,8 @@ db.once('open', async () => {
         password: hashedPassword,
         role: 'admin',
         isActive: true,
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
         createdAt: new Date(),
         updatedAt: new Date()
       };
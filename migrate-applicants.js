@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+
+const db = mongoose.connection;
+
+db.on('error', console.error.bind(console, 'MongoDB connection error:'));
+db.once('open', async () => {
+  console.log('Connected to MongoDB');
+
+  try {
+    const applicationsCollection = db.collection('careerapplications');
+    const candidatesCollection = db.collection('interviewcandidates');
+    const applicantsCollection = db.collection('applicants');
+
+    // Find applications that are not linked to an applicant yet, including deleted ones
+    const applications = await applicationsCollection.find({
+      $or: [
+        { applicant: { $exists: false } },
+        { applicant: null }
+      ]
+    }).sort({ appliedAt: 1 }).toArray();
+
+    console.log(`Found ${applications.length} applications without an applicant`);
+
+    // Group applications by email; the latest application has the freshest details
+    const applicationsByEmail = new Map();
+    applications.forEach(application => {
+      const key = (application.email || '').trim().toLowerCase();
+      if (!key) {
+        return;
+      }
+      if (!applicationsByEmail.has(key)) {
+        applicationsByEmail.set(key, []);
+      }
+      applicationsByEmail.get(key).push(application);
+    });
+
+    let created = 0;
+    let linked = 0;
+
+    for (const [email, group] of applicationsByEmail) {
+      const latest = group[group.length - 1];
+      const now = new Date();
+
+      const result = await applicantsCollection.findOneAndUpdate(
+        { email },
+        {
+          $set: {
+            firstName: latest.firstName,
+            lastName: latest.lastName,
+            phone: latest.phone,
+            lastAppliedAt: latest.appliedAt || latest.createdAt,
+            updatedAt: now
+          },
+          $setOnInsert: { email, sourceApplication: latest._id, createdAt: now }
+        },
+        { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+      );
+
+      if (!result.lastErrorObject.updatedExisting) {
+        created++;
+      }
+
+      const applicationIds = group.map(application => application._id);
+      await applicationsCollection.updateMany(
+        { _id: { $in: applicationIds } },
+        { $set: { applicant: result.value._id } }
+      );
+      await candidatesCollection.updateMany(
+        { careerApplication: { $in: applicationIds } },
+        { $set: { applicant: result.value._id } }
+      );
+      linked += group.length;
+    }
+
+    console.log(`Created ${created} applicants and linked ${linked} applications`);
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    mongoose.connection.close();
+    console.log('Migration completed');
+  }
+});
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+
+const db = mongoose.connection;
+
+/**
+ * Pick the job an application was most likely submitted for.
+ * Prefers the posting that was open when the candidate applied,
+ * otherwise the latest posting created before the application.
+ */
+function pickJob(jobs, appliedAt) {
+  if (jobs.length === 1) {
+    return jobs[0];
+  }
+
+  const applied = new Date(appliedAt);
+  const openAtTheTime = jobs.filter(job =>
+    job.createdAt <= applied && applied <= job.applicationDeadline
+  );
+  if (openAtTheTime.length === 1) {
+    return openAtTheTime[0];
+  }
+
+  const postedBefore = jobs
+    .filter(job => job.createdAt <= applied)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  return postedBefore[0] || null;
+}
+
+db.on('error', console.error.bind(console, 'MongoDB connection error:'));
+db.once('open', async () => {
+  console.log('Connected to MongoDB');
+  
+  try {
+    const applicationsCollection = db.collection('careerapplications');
+    const jobsCollection = db.collection('jobs');
+    
+    // Index jobs by normalized title
+    const jobs = await jobsCollection.find({}, {
+      projection: { title: 1, createdAt: 1, applicationDeadline: 1 }
+    }).toArray();
+    
+    const jobsByTitle = new Map();
+    jobs.forEach(job => {
+      const key = job.title.trim().toLowerCase();
+      if (!jobsByTitle.has(key)) {
+        jobsByTitle.set(key, []);
+      }
+      jobsByTitle.get(key).push(job);
+    });
+    
+    // Find applications that are not linked to a job yet
+    const applications = await applicationsCollection.find({
+      $or: [
+        { job: { $exists: false } },
+        { job: null }
+      ]
+    }).toArray();
+    
+    console.log(`Found ${applications.length} applications without a job reference`);
+    
+    let linked = 0;
+    const unmatched = [];
+    
+    for (const application of applications) {
+      const candidates = jobsByTitle.get((application.position || '').trim().toLowerCase()) || [];
+      const job = pickJob(candidates, application.appliedAt || application.createdAt);
+      
+      if (!job) {
+        unmatched.push(application);
+        continue;
+      }
+      
+      await applicationsCollection.updateOne(
+        { _id: application._id },
+        { $set: { job: job._id, position: job.title } }
+      );
+      linked++;
+    }
+    
+    console.log(`Linked ${linked} applications to jobs`);
+    
+    if (unmatched.length > 0) {
+      console.log(`Could not match ${unmatched.length} applications:`);
+      unmatched.forEach(application => {
+        console.log(`- ${application._id} (${application.email}): position = ${application.position}`);
+      });
+    }
+    
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    mongoose.connection.close();
+    console.log('Migration completed');
+  }
+});
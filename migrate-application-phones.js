@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const CareerApplication = require('./src/models/CareerApplication');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+
+const db = mongoose.connection;
+
+db.on('error', console.error.bind(console, 'MongoDB connection error:'));
+db.once('open', async () => {
+  console.log('Connected to MongoDB');
+
+  try {
+    const applicationsCollection = db.collection('careerapplications');
+
+    // Find applications submitted before phone numbers were normalized
+    const applications = await applicationsCollection.find({
+      phoneNormalized: { $exists: false }
+    }, {
+      projection: { phone: 1 }
+    }).toArray();
+
+    console.log(`Found ${applications.length} applications without a normalized phone number`);
+
+    for (const application of applications) {
+      await applicationsCollection.updateOne(
+        { _id: application._id },
+        { $set: { phoneNormalized: CareerApplication.normalizePhone(application.phone) } }
+      );
+    }
+
+    console.log(`Normalized ${applications.length} phone numbers`);
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    mongoose.connection.close();
+    console.log('Migration completed');
+  }
+});
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+
+const db = mongoose.connection;
+
+db.on('error', console.error.bind(console, 'MongoDB connection error:'));
+db.once('open', async () => {
+  console.log('Connected to MongoDB');
+
+  try {
+    const usersCollection = db.collection('users');
+    const tokensCollection = db.collection('usertokens');
+
+    // Users waiting on a verification email registered after verification existed; leave them to verify
+    const pendingUserIds = await tokensCollection.distinct('user', {
+      type: 'email-verification',
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    // Accounts created before verification existed (including create-admin.js admins) were never verified
+    const filter = {
+      emailVerified: { $ne: true },
+      _id: { $nin: pendingUserIds }
+    };
+
+    const unverifiedUsers = await usersCollection.find(filter).toArray();
+    console.log(`Found ${unverifiedUsers.length} existing users without a verified email address:`);
+    unverifiedUsers.forEach(user => {
+      console.log(`- ${user.email}`);
+    });
+
+    if (unverifiedUsers.length > 0) {
+      const now = new Date();
+      const result = await usersCollection.updateMany(
+        { _id: { $in: unverifiedUsers.map(user => user._id) } },
+        { $set: { emailVerified: true, emailVerifiedAt: now, updatedAt: now } }
+      );
+
+      console.log(`Marked ${result.modifiedCount} users as verified`);
+    }
+
+    console.log(`Skipped ${pendingUserIds.length} users with a pending verification email`);
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    mongoose.connection.close();
+    console.log('Migration completed');
+  }
+});
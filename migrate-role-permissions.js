@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { DEFAULT_ROLES } = require('./src/config/permissions');
+require('dotenv').config();
+
+// Default permissions added after the built-in roles were first seeded
+const ADDED_PERMISSIONS = ['candidates:availability'];
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+
+const db = mongoose.connection;
+
+db.on('error', console.error.bind(console, 'MongoDB connection error:'));
+db.once('open', async () => {
+  console.log('Connected to MongoDB');
+
+  try {
+    const rolesCollection = db.collection('roles');
+
+    // Seeding never touches existing roles, so grant the new defaults to the built-in roles that have them
+    for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+      const added = role.permissions.filter(permission => ADDED_PERMISSIONS.includes(permission));
+      if (added.length === 0) {
+        continue;
+      }
+
+      const result = await rolesCollection.updateOne(
+        { name, isSystem: true },
+        { $addToSet: { permissions: { $each: added } }, $set: { updatedAt: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        console.log(`- ${name}: not seeded yet, skipped`);
+      } else {
+        console.log(`- ${name}: ${result.modifiedCount ? 'granted' : 'already had'} ${added.join(', ')}`);
+      }
+    }
+
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    mongoose.connection.close();
+    console.log('Migration completed');
+  }
+});
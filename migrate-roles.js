@@ -17,26 +17,33 @@ db.once('open', async () => {
     // Get the users collection
     const usersCollection = db.collection('users');
     
-    // Find users with invalid role values
+    // Legacy roles and the roles that replace them
+    const legacyRoles = {
+      hr_staff: "recruiter",
+      hr_manager: "manager"
+    };
+    
+    // Find users with legacy role values
     const invalidUsers = await usersCollection.find({
-      role: { $in: ["hr_staff", "hr_manager", "interviewer"] }
+      role: { $in: Object.keys(legacyRoles) }
     }).toArray();
     
-    console.log(`Found ${invalidUsers.length} users with invalid roles:`);
+    console.log(`Found ${invalidUsers.length} users with legacy roles:`);
     invalidUsers.forEach(user => {
-      console.log(`- ${user.email}: ${user.role}`);
+      console.log(`- ${user.email}: ${user.role} -> ${legacyRoles[user.role]}`);
     });
     
     if (invalidUsers.length > 0) {
-      // Update all invalid roles to "user"
-      const result = await usersCollection.updateMany(
-        { role: { $in: ["hr_staff", "hr_manager", "interviewer"] } },
-        { $set: { role: "user" } }
-      );
-      
-      console.log(`Updated ${result.modifiedCount} users to role "user"`);
+      for (const [legacyRole, role] of Object.entries(legacyRoles)) {
+        const result = await usersCollection.updateMany(
+          { role: legacyRole },
+          { $set: { role } }
+        );
+        
+        console.log(`Updated ${result.modifiedCount} users from "${legacyRole}" to "${role}"`);
+      }
     } else {
-      console.log('No users with invalid roles found');
+      console.log('No users with legacy roles found');
     }
     
     // Also check for users with missing name field
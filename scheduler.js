@@ -0,0 +1,74 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const databaseConfig = require('./src/config/database');
+const SchedulerService = require('./src/services/SchedulerService');
+
+/**
+ * Scheduler Process Class
+ * Single Responsibility: Run scheduled tasks on intervals outside of Vercel cron
+ *
+ * Usage:
+ *   node scheduler.js          Run every task on its interval until stopped
+ *   node scheduler.js --once   Run every task once and exit (for system cron)
+ */
+class SchedulerProcess {
+  constructor() {
+    this.schedulerService = new SchedulerService();
+    this.timers = [];
+  }
+
+  /**
+   * Run every registered task once, one after another
+   */
+  async runAll() {
+    for (const task of this.schedulerService.getTasks()) {
+      await this.schedulerService.runTask(task.name, 'scheduler');
+    }
+  }
+
+  /**
+   * Start the interval timers
+   */
+  async start(once = false) {
+    const dbConnected = await databaseConfig.connect();
+    if (!dbConnected) {
+      console.error('❌ Failed to connect to database');
+      process.exit(1);
+    }
+
+    if (once) {
+      await this.runAll();
+      await databaseConfig.disconnect();
+      return;
+    }
+
+    for (const task of this.schedulerService.getTasks()) {
+      const run = () => this.schedulerService.runTask(task.name, 'scheduler')
+        .catch(error => console.error(`❌ Failed to run ${task.name}:`, error.message));
+
+      run();
+      this.timers.push(setInterval(run, task.intervalMinutes * 60 * 1000));
+      console.log(`🕒 Scheduled ${task.name} every ${task.intervalMinutes} minute(s)`);
+    }
+  }
+
+  /**
+   * Stop the timers and close the database connection
+   */
+  async shutdown() {
+    console.log('🔄 Stopping scheduler...');
+    this.timers.forEach(timer => clearInterval(timer));
+    await databaseConfig.disconnect();
+    process.exit(0);
+  }
+}
+
+const schedulerProcess = new SchedulerProcess();
+
+process.on('SIGTERM', () => schedulerProcess.shutdown());
+process.on('SIGINT', () => schedulerProcess.shutdown());
+
+schedulerProcess.start(process.argv.includes('--once'));
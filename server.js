@@ -27,6 +27,9 @@ class App {
    * Initialize middleware
    */
   initializeMiddleware() {
+    // Vercel sits in front of the app; trust its forwarded client IP for req.ip
+    this.app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || 1);
+
     // CORS configuration
     const corsOptions = {
       origin: [
@@ -208,9 +211,14 @@ class App {
     // API routes
     this.app.use('/api/auth', require('./src/routes/auth'));
     this.app.use('/api/applications', require('./src/routes/applications'));
+    this.app.use('/api/applicants', require('./src/routes/applicants'));
+    this.app.use('/api/applicant-portal', require('./src/routes/applicant-portal'));
     this.app.use('/api/jobs', require('./src/routes/jobs'));
     this.app.use('/api/interview-candidates', require('./src/routes/interview-candidates'));
+    this.app.use('/api/interviewers', require('./src/routes/interviewers'));
+    this.app.use('/api/interview-booking', require('./src/routes/interview-booking'));
     this.app.use('/api/admin', require('./src/routes/admin'));
+    this.app.use('/api/internal', require('./src/routes/internal'));
 
     console.log('✅ Routes initialized');
   }
@@ -0,0 +1,110 @@
+/**
+ * Permission Configuration
+ * Single Responsibility: Define the permission registry and the default roles
+ *
+ * Roles live in the database (see Role model) and can be managed through
+ * /api/admin/roles. DEFAULT_ROLES seeds them the first time they are needed.
+ */
+
+const WILDCARD = '*';
+
+const PERMISSIONS = {
+  'jobs:create': 'Create job postings',
+  'jobs:update': 'Edit job postings and change their status',
+  'jobs:delete': 'Delete job postings',
+  'jobs:publish': 'Publish and close job postings',
+  'jobs:manage-any': 'Manage job postings created by other users',
+  'jobs:read-stats': 'View job statistics',
+
+  'applications:read': 'View career applications and applicant pipelines',
+  'applications:update': 'Update career application status',
+  'applications:delete': 'Delete career applications',
+  'applications:resume': 'Download and preview applicant resumes',
+
+  'candidates:read': 'View all interview candidates and statistics',
+  'candidates:read-assigned': 'View candidates whose interviews the user is assigned to',
+  'candidates:create': 'Move career applications into the interview process',
+  'candidates:schedule': 'Schedule interviews',
+  'candidates:availability': 'Publish own interview availability',
+  'candidates:feedback': 'Submit feedback for interviews the user is assigned to',
+  'candidates:stage': 'Move candidates between stages',
+  'candidates:assess': 'Update overall rating and skills assessment',
+  'candidates:communicate': 'Record communications with candidates',
+  'candidates:decide': 'Make hiring decisions',
+  'candidates:offer': 'Create offers and record offer responses',
+  'candidates:view-offer': 'View offer details such as salary',
+
+  'users:manage': 'Create, update and delete user accounts',
+  'roles:manage': 'Create, update and delete roles',
+  'scheduler:manage': 'View and run scheduled tasks',
+  'audit:read': 'View the audit log'
+};
+
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access to everything',
+    permissions: [WILDCARD]
+  },
+  manager: {
+    description: 'Hiring manager: owns the full hiring pipeline including decisions and offers',
+    permissions: [
+      'jobs:create',
+      'jobs:update',
+      'jobs:delete',
+      'jobs:publish',
+      'jobs:read-stats',
+      'applications:read',
+      'applications:update',
+      'applications:resume',
+      'candidates:read',
+      'candidates:create',
+      'candidates:schedule',
+      'candidates:availability',
+      'candidates:feedback',
+      'candidates:stage',
+      'candidates:assess',
+      'candidates:communicate',
+      'candidates:decide',
+      'candidates:offer',
+      'candidates:view-offer'
+    ]
+  },
+  recruiter: {
+    description: 'Runs the interview process without making hiring decisions or offers',
+    permissions: [
+      'jobs:create',
+      'jobs:update',
+      'jobs:publish',
+      'jobs:read-stats',
+      'applications:read',
+      'applications:update',
+      'applications:resume',
+      'candidates:read',
+      'candidates:create',
+      'candidates:schedule',
+      'candidates:availability',
+      'candidates:stage',
+      'candidates:assess',
+      'candidates:communicate',
+      'candidates:view-offer'
+    ]
+  },
+  interviewer: {
+    description: 'Interviews assigned candidates and submits feedback',
+    permissions: [
+      'candidates:read-assigned',
+      'candidates:availability',
+      'candidates:feedback'
+    ]
+  },
+  user: {
+    description: 'Authenticated account without staff access',
+    permissions: []
+  }
+};
+
+module.exports = {
+  WILDCARD,
+  PERMISSIONS,
+  DEFAULT_ROLES
+};
@@ -0,0 +1,48 @@
+const LocalStorageAdapter = require('../storage/LocalStorageAdapter');
+const S3StorageAdapter = require('../storage/S3StorageAdapter');
+
+/**
+ * Storage Configuration Class
+ * Single Responsibility: Select and hold the file storage adapter
+ */
+class StorageConfig {
+  constructor() {
+    this.adapter = null;
+  }
+
+  /**
+   * Get the configured storage adapter (STORAGE_DRIVER=local|s3)
+   */
+  getAdapter() {
+    if (!this.adapter) {
+      const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+      switch (driver) {
+        case 'local':
+          this.adapter = new LocalStorageAdapter();
+          break;
+        case 's3':
+          this.adapter = new S3StorageAdapter();
+          break;
+        default:
+          throw new Error(`Unknown storage driver: ${driver}`);
+      }
+
+      console.log(`✅ Storage adapter initialized: ${this.adapter.name}`);
+    }
+
+    return this.adapter;
+  }
+
+  /**
+   * Replace the active adapter (e.g. a custom backend)
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter;
+  }
+}
+
+// Create singleton instance
+const storageConfig = new StorageConfig();
+
+module.exports = storageConfig;
@@ -0,0 +1,42 @@
+const ApplicantService = require('../services/ApplicantService');
+const InterviewCandidateController = require('./InterviewCandidateController');
+
+/**
+ * Applicant Controller Class
+ * Single Responsibility: Handle HTTP requests for applicant profiles
+ */
+class ApplicantController {
+  constructor() {
+    this.applicantService = new ApplicantService();
+  }
+
+  /**
+   * Get an applicant with their application history across jobs
+   */
+  async getApplicantById(req, res) {
+    try {
+      const { id } = req.params;
+      const history = await this.applicantService.getApplicantHistory(id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...history,
+          applications: history.applications.map(application => ({
+            ...application,
+            interviewCandidate: InterviewCandidateController.present(application.interviewCandidate, req.user)
+          }))
+        }
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.startsWith('Invalid') ? 400 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = ApplicantController;
@@ -0,0 +1,143 @@
+const CareerApplicationService = require('../services/CareerApplicationService');
+const AuditLogService = require('../services/AuditLogService');
+
+/**
+ * Applicant Portal Controller Class
+ * Single Responsibility: Handle applicant requests made through their portal link
+ */
+class ApplicantPortalController {
+  constructor() {
+    this.applicationService = new CareerApplicationService();
+  }
+
+  /**
+   * Get the applicant's view of their application
+   */
+  async getPortal(req, res) {
+    try {
+      const { token } = req.params;
+      const portal = await this.applicationService.getPortalView(token);
+
+      res.status(200).json({
+        success: true,
+        data: portal
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('Invalid or expired') ? 401 :
+                        error.message.includes('not found') ? 404 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Withdraw the application
+   */
+  async withdraw(req, res) {
+    try {
+      const { token } = req.params;
+      const { reason } = req.body || {};
+
+      await this.applicationService.withdrawApplication(token, reason, AuditLogService.getRequestContext(req));
+      const portal = await this.applicationService.getPortalView(token);
+
+      res.status(200).json({
+        success: true,
+        message: 'Your application has been withdrawn',
+        data: portal
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('Invalid or expired') ? 401 :
+                        error.message.includes('not found') ? 404 :
+                        error.message.includes('Cannot') || error.message.includes('hired') ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Apply the changes sent with a repeated application
+   */
+  async confirmResubmission(req, res) {
+    try {
+      const { token } = req.params;
+      const { resubmissionId } = req.body || {};
+
+      await this.applicationService.confirmResubmission(token, resubmissionId, AuditLogService.getRequestContext(req));
+      const portal = await this.applicationService.getPortalView(token);
+
+      res.status(200).json({
+        success: true,
+        message: 'Your application has been updated',
+        data: portal
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('Invalid or expired') ? 401 :
+                        error.message.includes('not found') ? 404 :
+                        error.message.includes('Cannot') ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Discard the changes sent with a repeated application
+   */
+  async discardResubmission(req, res) {
+    try {
+      const { token } = req.params;
+      const { resubmissionId } = req.body || {};
+
+      await this.applicationService.discardResubmission(token, resubmissionId, AuditLogService.getRequestContext(req));
+      const portal = await this.applicationService.getPortalView(token);
+
+      res.status(200).json({
+        success: true,
+        message: 'The changes have been discarded',
+        data: portal
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('Invalid or expired') ? 401 :
+                        error.message.includes('not found') ? 404 :
+                        error.message.includes('Cannot') ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Upload an updated resume
+   */
+  async updateResume(req, res) {
+    try {
+      const { token } = req.params;
+
+      await this.applicationService.replaceResume(token, req.file, AuditLogService.getRequestContext(req));
+      const portal = await this.applicationService.getPortalView(token);
+
+      res.status(200).json({
+        success: true,
+        message: 'Your resume has been updated',
+        data: portal
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('Invalid or expired') ? 401 :
+                        error.message.includes('not found') ? 404 :
+                        error.message.includes('Cannot') ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = ApplicantPortalController;
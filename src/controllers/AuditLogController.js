@@ -0,0 +1,33 @@
+const AuditLogService = require('../services/AuditLogService');
+
+/**
+ * Audit Log Controller
+ * Single Responsibility: Handle HTTP requests for the audit log
+ */
+class AuditLogController {
+  constructor() {
+    this.auditLogService = new AuditLogService();
+  }
+
+  /**
+   * Get audit log entries, filtered and paginated
+   */
+  async getEntries(req, res) {
+    try {
+      const result = await this.auditLogService.getEntries(req.query);
+
+      res.status(200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      const statusCode = error.message.startsWith('Invalid') ? 400 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = AuditLogController;
@@ -1,4 +1,5 @@
 const CareerApplicationService = require('../services/CareerApplicationService');
+const AuditLogService = require('../services/AuditLogService');
 
 /**
  * Career Application Controller Class
@@ -17,7 +18,7 @@ class CareerApplicationController {
       const applicationData = req.body;
 
       // Validate required fields
-      const requiredFields = ['firstName', 'lastName', 'email', 'phone', 'position', 'experience'];
+      const requiredFields = ['firstName', 'lastName', 'email', 'phone', 'job', 'experience'];
       for (const field of requiredFields) {
         if (!applicationData[field]) {
           return res.status(400).json({
@@ -27,15 +28,23 @@ class CareerApplicationController {
         }
       }
 
-      const application = await this.applicationService.createApplication(applicationData);
+      const { outcome } = await this.applicationService.createApplication(applicationData, req.file, AuditLogService.getRequestContext(req));
+
+      // Submissions are anonymous: acknowledge them without echoing the stored application
+      if (outcome === 'pending-confirmation') {
+        return res.status(202).json({
+          success: true,
+          message: 'You have already applied for this position. Check your email to confirm the changes to your application.'
+        });
+      }
 
       res.status(201).json({
         success: true,
-        message: 'Application submitted successfully',
-        data: application
+        message: 'Application submitted successfully'
       });
     } catch (error) {
-      res.status(400).json({
+      const statusCode = error.message.includes('already applied') ? 409 : 400;
+      res.status(statusCode).json({
         success: false,
         message: error.message
       });
@@ -48,10 +57,12 @@ class CareerApplicationController {
    */
   async getAllApplications(req, res) {
     try {
-      const { page = 1, limit = 10, status, position } = req.query;
+      const { page = 1, limit = 10, status, position, job, duplicates } = req.query;
       const filters = {};
       
       if (status) filters.status = status;
+      if (job) filters.job = job;
+      if (duplicates === 'true') filters.duplicateOf = { $ne: null };
       if (position) filters.position = { $regex: position, $options: 'i' };
 
       const options = {
@@ -95,6 +106,46 @@ class CareerApplicationController {
     }
   }
 
+  /**
+   * Stream an application's resume (download or inline PDF preview)
+   */
+  async getResume(req, res) {
+    try {
+      const { id } = req.params;
+      const resume = await this.applicationService.getResume(id);
+
+      // Only PDFs are safe to render in the browser; everything else is downloaded
+      const inline = req.query.inline === 'true' && resume.mimetype === 'application/pdf';
+      const mode = inline ? 'inline' : 'download';
+
+      await this.applicationService.logResumeAccess(resume.application, req.user, mode, req.ip);
+
+      const asciiName = resume.filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+      res.setHeader('Content-Type', resume.mimetype);
+      res.setHeader(
+        'Content-Disposition',
+        `${mode === 'inline' ? 'inline' : 'attachment'}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(resume.filename)}`
+      );
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.setHeader('Cache-Control', 'private, no-store');
+      if (resume.size) {
+        res.setHeader('Content-Length', resume.size);
+      }
+
+      resume.stream.on('error', (error) => {
+        console.error('❌ Resume stream error:', error.message);
+        res.destroy(error);
+      });
+      resume.stream.pipe(res);
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Update application status
    */
@@ -110,7 +161,7 @@ class CareerApplicationController {
         });
       }
 
-      const application = await this.applicationService.updateApplicationStatus(id, status, notes);
+      const application = await this.applicationService.updateApplicationStatus(id, status, notes, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
@@ -218,14 +269,80 @@ class CareerApplicationController {
   async deleteApplication(req, res) {
     try {
       const { id } = req.params;
-      const result = await this.applicationService.deleteApplication(id);
+      const result = await this.applicationService.deleteApplication(id, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
         message: result.message
       });
     } catch (error) {
-      res.status(404).json({
+      const statusCode = error.message.includes('Cannot delete') ? 409 : 404;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get deleted applications (admin)
+   */
+  async getDeletedApplications(req, res) {
+    try {
+      const applications = await this.applicationService.getDeletedApplications();
+
+      res.status(200).json({
+        success: true,
+        data: applications
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Restore a deleted application (admin)
+   */
+  async restoreApplication(req, res) {
+    try {
+      const { id } = req.params;
+      const application = await this.applicationService.restoreApplication(id, AuditLogService.getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Application restored successfully',
+        data: application
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Merge a duplicate application into another (admin)
+   */
+  async mergeApplications(req, res) {
+    try {
+      const { id } = req.params;
+      const { duplicateId } = req.body;
+      const result = await this.applicationService.mergeApplications(id, duplicateId, AuditLogService.getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Applications merged successfully',
+        data: result
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('Cannot delete') ? 409 : 400;
+      res.status(statusCode).json({
         success: false,
         message: error.message
       });
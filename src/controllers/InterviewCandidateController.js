@@ -1,4 +1,5 @@
 const InterviewCandidateService = require('../services/InterviewCandidateService');
+const AuditLogService = require('../services/AuditLogService');
 
 /**
  * Interview Candidate Controller
@@ -9,20 +10,45 @@ class InterviewCandidateController {
     this.interviewCandidateService = new InterviewCandidateService();
   }
 
+  /**
+   * Hide offer details (salary, benefits) from roles that may not see them
+   * Static so other controllers that embed candidates apply the same rule
+   */
+  static present(data, user) {
+    if (user.permissions.includes('candidates:view-offer')) {
+      return data;
+    }
+
+    const strip = (candidate) => {
+      if (!candidate) {
+        return candidate;
+      }
+      const plain = typeof candidate.toJSON === 'function' ? candidate.toJSON() : { ...candidate };
+      delete plain.offer;
+      return plain;
+    };
+
+    return Array.isArray(data) ? data.map(strip) : strip(data);
+  }
+
+  present(data, user) {
+    return InterviewCandidateController.present(data, user);
+  }
+
   /**
    * Create interview candidate from career application
    */
   async createFromApplication(req, res) {
     try {
       const { careerApplicationId } = req.body;
-      const userId = req.user.id;
+      const userId = req.user.userId;
 
-      const candidate = await this.interviewCandidateService.createFromApplication(careerApplicationId, userId);
+      const candidate = await this.interviewCandidateService.createFromApplication(careerApplicationId, userId, AuditLogService.getRequestContext(req));
 
       res.status(201).json({
         success: true,
         message: 'Interview candidate created successfully',
-        data: candidate
+        data: this.present(candidate, req.user)
       });
     } catch (error) {
       res.status(400).json({
@@ -41,7 +67,7 @@ class InterviewCandidateController {
 
       res.status(200).json({
         success: true,
-        data: candidates
+        data: this.present(candidates, req.user)
       });
     } catch (error) {
       res.status(500).json({
@@ -59,9 +85,18 @@ class InterviewCandidateController {
       const { id } = req.params;
       const candidate = await this.interviewCandidateService.getCandidateById(id);
 
+      // Interviewers only see candidates they interview
+      if (!req.user.permissions.includes('candidates:read') &&
+          !this.interviewCandidateService.isAssignedInterviewer(candidate, req.user.userId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You are not assigned to interview this candidate.'
+        });
+      }
+
       res.status(200).json({
         success: true,
-        data: candidate
+        data: this.present(candidate, req.user)
       });
     } catch (error) {
       const statusCode = error.message === 'Interview candidate not found' ? 404 : 500;
@@ -82,7 +117,7 @@ class InterviewCandidateController {
 
       res.status(200).json({
         success: true,
-        data: candidates
+        data: this.present(candidates, req.user)
       });
     } catch (error) {
       res.status(400).json({
@@ -101,7 +136,7 @@ class InterviewCandidateController {
 
       res.status(200).json({
         success: true,
-        data: candidates
+        data: this.present(candidates, req.user)
       });
     } catch (error) {
       res.status(500).json({
@@ -120,7 +155,7 @@ class InterviewCandidateController {
 
       res.status(200).json({
         success: true,
-        data: candidates
+        data: this.present(candidates, req.user)
       });
     } catch (error) {
       res.status(500).json({
@@ -137,17 +172,115 @@ class InterviewCandidateController {
     try {
       const { id } = req.params;
       const interviewData = req.body;
-      const userId = req.user.id;
+      const userId = req.user.userId;
 
-      const updatedCandidate = await this.interviewCandidateService.scheduleInterview(id, interviewData, userId);
+      const updatedCandidate = await this.interviewCandidateService.scheduleInterview(id, interviewData, userId, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
         message: 'Interview scheduled successfully',
-        data: updatedCandidate
+        data: this.present(updatedCandidate, req.user)
       });
     } catch (error) {
-      const statusCode = error.message.includes('not found') ? 404 : 400;
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.conflicts ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.conflicts && { conflicts: error.conflicts })
+      });
+    }
+  }
+
+  /**
+   * Reschedule an interview
+   */
+  async rescheduleInterview(req, res) {
+    try {
+      const { id, interviewIndex } = req.params;
+      const userId = req.user.userId;
+
+      const updatedCandidate = await this.interviewCandidateService.rescheduleInterview(
+        id,
+        parseInt(interviewIndex),
+        req.body,
+        userId,
+        AuditLogService.getRequestContext(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Interview rescheduled successfully',
+        data: this.present(updatedCandidate, req.user)
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.conflicts || error.message.includes('Cannot') ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.conflicts && { conflicts: error.conflicts })
+      });
+    }
+  }
+
+  /**
+   * Cancel an interview
+   */
+  async cancelInterview(req, res) {
+    try {
+      const { id, interviewIndex } = req.params;
+      const { reason } = req.body;
+      const userId = req.user.userId;
+
+      const updatedCandidate = await this.interviewCandidateService.cancelInterview(
+        id,
+        parseInt(interviewIndex),
+        reason,
+        userId,
+        AuditLogService.getRequestContext(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Interview cancelled successfully',
+        data: this.present(updatedCandidate, req.user)
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('Cannot') ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Submit a scorecard for an interview
+   */
+  async submitScorecard(req, res) {
+    try {
+      const { id, interviewIndex } = req.params;
+      const userId = req.user.userId;
+
+      const updatedCandidate = await this.interviewCandidateService.submitScorecard(
+        id,
+        parseInt(interviewIndex),
+        req.body,
+        userId,
+        AuditLogService.getRequestContext(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Scorecard submitted successfully',
+        data: this.present(updatedCandidate, req.user)
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('Only interviewers assigned') ? 403 :
+                        error.message.includes('Cannot') || error.message.includes('no scorecard') ? 409 : 400;
       res.status(statusCode).json({
         success: false,
         message: error.message
@@ -162,23 +295,25 @@ class InterviewCandidateController {
     try {
       const { id, interviewIndex } = req.params;
       const { feedback, rating } = req.body;
-      const userId = req.user.id;
+      const userId = req.user.userId;
 
       const updatedCandidate = await this.interviewCandidateService.updateInterviewFeedback(
         id, 
         parseInt(interviewIndex), 
         feedback, 
         rating, 
-        userId
+        userId,
+        AuditLogService.getRequestContext(req)
       );
 
       res.status(200).json({
         success: true,
         message: 'Interview feedback updated successfully',
-        data: updatedCandidate
+        data: this.present(updatedCandidate, req.user)
       });
     } catch (error) {
-      const statusCode = error.message.includes('not found') ? 404 : 400;
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('Only interviewers assigned') ? 403 : 400;
       res.status(statusCode).json({
         success: false,
         message: error.message
@@ -193,14 +328,14 @@ class InterviewCandidateController {
     try {
       const { id } = req.params;
       const { stage } = req.body;
-      const userId = req.user.id;
+      const userId = req.user.userId;
 
-      const updatedCandidate = await this.interviewCandidateService.updateStage(id, stage, userId);
+      const updatedCandidate = await this.interviewCandidateService.updateStage(id, stage, userId, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
         message: 'Candidate stage updated successfully',
-        data: updatedCandidate
+        data: this.present(updatedCandidate, req.user)
       });
     } catch (error) {
       res.status(400).json({
@@ -217,14 +352,14 @@ class InterviewCandidateController {
     try {
       const { id } = req.params;
       const { decision, notes } = req.body;
-      const userId = req.user.id;
+      const userId = req.user.userId;
 
-      const updatedCandidate = await this.interviewCandidateService.makeDecision(id, decision, notes, userId);
+      const updatedCandidate = await this.interviewCandidateService.makeDecision(id, decision, notes, userId, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
         message: 'Decision made successfully',
-        data: updatedCandidate
+        data: this.present(updatedCandidate, req.user)
       });
     } catch (error) {
       res.status(400).json({
@@ -241,14 +376,14 @@ class InterviewCandidateController {
     try {
       const { id } = req.params;
       const communicationData = req.body;
-      const userId = req.user.id;
+      const userId = req.user.userId;
 
-      const updatedCandidate = await this.interviewCandidateService.addCommunication(id, communicationData, userId);
+      const updatedCandidate = await this.interviewCandidateService.addCommunication(id, communicationData, userId, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
         message: 'Communication record added successfully',
-        data: updatedCandidate
+        data: this.present(updatedCandidate, req.user)
       });
     } catch (error) {
       res.status(400).json({
@@ -265,17 +400,18 @@ class InterviewCandidateController {
     try {
       const { id } = req.params;
       const { rating } = req.body;
-      const userId = req.user.id;
+      const userId = req.user.userId;
 
-      const updatedCandidate = await this.interviewCandidateService.updateOverallRating(id, rating, userId);
+      const updatedCandidate = await this.interviewCandidateService.updateOverallRating(id, rating, userId, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
         message: 'Overall rating updated successfully',
-        data: updatedCandidate
+        data: this.present(updatedCandidate, req.user)
       });
     } catch (error) {
-      res.status(400).json({
+      const statusCode = error.message.includes('computed from') ? 409 : 400;
+      res.status(statusCode).json({
         success: false,
         message: error.message
       });
@@ -289,14 +425,14 @@ class InterviewCandidateController {
     try {
       const { id } = req.params;
       const skillsData = req.body;
-      const userId = req.user.id;
+      const userId = req.user.userId;
 
-      const updatedCandidate = await this.interviewCandidateService.updateSkillsAssessment(id, skillsData, userId);
+      const updatedCandidate = await this.interviewCandidateService.updateSkillsAssessment(id, skillsData, userId, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
         message: 'Skills assessment updated successfully',
-        data: updatedCandidate
+        data: this.present(updatedCandidate, req.user)
       });
     } catch (error) {
       res.status(400).json({
@@ -313,14 +449,14 @@ class InterviewCandidateController {
     try {
       const { id } = req.params;
       const offerData = req.body;
-      const userId = req.user.id;
+      const userId = req.user.userId;
 
-      const updatedCandidate = await this.interviewCandidateService.createOffer(id, offerData, userId);
+      const updatedCandidate = await this.interviewCandidateService.createOffer(id, offerData, userId, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
         message: 'Offer created successfully',
-        data: updatedCandidate
+        data: this.present(updatedCandidate, req.user)
       });
     } catch (error) {
       const statusCode = error.message.includes('not found') ? 404 : 400;
@@ -338,17 +474,19 @@ class InterviewCandidateController {
     try {
       const { id } = req.params;
       const { status } = req.body;
-      const userId = req.user.id;
+      const userId = req.user.userId;
 
-      const updatedCandidate = await this.interviewCandidateService.updateOfferStatus(id, status, userId);
+      const updatedCandidate = await this.interviewCandidateService.updateOfferStatus(id, status, userId, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
         message: 'Offer status updated successfully',
-        data: updatedCandidate
+        data: this.present(updatedCandidate, req.user)
       });
     } catch (error) {
-      res.status(400).json({
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('already been filled') ? 409 : 400;
+      res.status(statusCode).json({
         success: false,
         message: error.message
       });
@@ -380,11 +518,19 @@ class InterviewCandidateController {
   async getCandidatesByInterviewer(req, res) {
     try {
       const { interviewerId } = req.params;
+
+      if (!req.user.permissions.includes('candidates:read') && interviewerId !== req.user.userId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own interviews.'
+        });
+      }
+
       const candidates = await this.interviewCandidateService.getCandidatesByInterviewer(interviewerId);
 
       res.status(200).json({
         success: true,
-        data: candidates
+        data: this.present(candidates, req.user)
       });
     } catch (error) {
       res.status(500).json({
@@ -0,0 +1,276 @@
+const InterviewSchedulingService = require('../services/InterviewSchedulingService');
+const AuditLogService = require('../services/AuditLogService');
+
+/**
+ * Interview Scheduling Controller
+ * Single Responsibility: Handle HTTP requests for interviewer availability and candidate self-scheduling
+ */
+class InterviewSchedulingController {
+  constructor() {
+    this.schedulingService = new InterviewSchedulingService();
+  }
+
+  /**
+   * Interviewers manage their own availability; schedulers manage anyone's
+   */
+  canManageAvailability(req) {
+    return req.user.permissions.includes('candidates:schedule') || req.params.id === req.user.userId;
+  }
+
+  /**
+   * Get an interviewer's availability windows
+   */
+  async getAvailability(req, res) {
+    try {
+      if (!this.canManageAvailability(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own availability.'
+        });
+      }
+
+      const windows = await this.schedulingService.getAvailability(req.params.id, req.query);
+
+      res.status(200).json({
+        success: true,
+        data: windows
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get an interviewer's calendar of availability and scheduled interviews
+   */
+  async getCalendar(req, res) {
+    try {
+      if (!req.user.permissions.includes('candidates:read') && req.params.id !== req.user.userId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view your own calendar.'
+        });
+      }
+
+      const calendar = await this.schedulingService.getCalendar(req.params.id, req.query);
+
+      res.status(200).json({
+        success: true,
+        data: calendar
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Issue a subscribable calendar feed URL for an interviewer
+   */
+  async createCalendarFeed(req, res) {
+    try {
+      if (!req.user.permissions.includes('candidates:read') && req.params.id !== req.user.userId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only subscribe to your own calendar.'
+        });
+      }
+
+      const { token, expiresAt } = await this.schedulingService.createCalendarFeed(req.params.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Calendar feed created; any previous feed URL no longer works',
+        data: {
+          url: `${req.protocol}://${req.get('host')}/api/interviewers/calendar-feed/${token}.ics`,
+          expiresAt
+        }
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Serve an interviewer's calendar feed to calendar apps
+   */
+  async getCalendarFeed(req, res) {
+    try {
+      const token = req.params.token.replace(/\.ics$/, '');
+      const feed = await this.schedulingService.getCalendarFeed(token);
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', 'inline; filename="interviews.ics"');
+      res.status(200).send(feed);
+    } catch (error) {
+      const statusCode = error.message.includes('Invalid or expired') ? 401 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Publish an availability window
+   */
+  async addAvailability(req, res) {
+    try {
+      if (!this.canManageAvailability(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only manage your own availability.'
+        });
+      }
+
+      const window = await this.schedulingService.addAvailability(req.params.id, req.body, req.user.userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Availability added successfully',
+        data: window
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('overlaps') ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove an availability window
+   */
+  async removeAvailability(req, res) {
+    try {
+      if (!this.canManageAvailability(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only manage your own availability.'
+        });
+      }
+
+      const result = await this.schedulingService.removeAvailability(req.params.id, req.params.windowId);
+
+      res.status(200).json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Send a candidate a self-scheduling link
+   */
+  async createSchedulingLink(req, res) {
+    try {
+      const link = await this.schedulingService.createSchedulingLink(
+        req.params.id,
+        req.body,
+        req.user.userId,
+        AuditLogService.getRequestContext(req)
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Scheduling link sent to the candidate',
+        data: link
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('Cannot') ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a candidate's scheduling links
+   */
+  async getSchedulingLinks(req, res) {
+    try {
+      const links = await this.schedulingService.getSchedulingLinks(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: links
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the interview and free slots behind a scheduling link
+   */
+  async getBookingOptions(req, res) {
+    try {
+      const options = await this.schedulingService.getBookingOptions(req.params.token);
+
+      res.status(200).json({
+        success: true,
+        data: options
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('Invalid or expired') ? 401 :
+                        error.message.includes('not found') ? 404 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Book a slot through a scheduling link
+   */
+  async bookSlot(req, res) {
+    try {
+      const { scheduledAt } = req.body || {};
+      const interview = await this.schedulingService.bookSlot(
+        req.params.token,
+        scheduledAt,
+        AuditLogService.getRequestContext(req)
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Your interview has been booked',
+        data: interview
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('Invalid or expired') ? 401 :
+                        error.message.includes('not found') ? 404 :
+                        error.message.includes('no longer available') ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = InterviewSchedulingController;
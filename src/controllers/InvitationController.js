@@ -0,0 +1,160 @@
+const InvitationService = require('../services/InvitationService');
+const AuditLogService = require('../services/AuditLogService');
+
+/**
+ * Invitation Controller
+ * Single Responsibility: Handle HTTP requests for staff invitations
+ */
+class InvitationController {
+  constructor() {
+    this.invitationService = new InvitationService();
+  }
+
+  /**
+   * Invite a staff member (admin)
+   */
+  async createInvitation(req, res) {
+    try {
+      const { email, name, role } = req.body;
+
+      if (!email || !role) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email and role are required'
+        });
+      }
+
+      const invitation = await this.invitationService.createInvitation({ email, name, role }, req.user.userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation sent successfully',
+        data: invitation
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('already exists') ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get invitations (admin)
+   */
+  async getInvitations(req, res) {
+    try {
+      const invitations = await this.invitationService.getInvitations(req.query.status);
+
+      res.status(200).json({
+        success: true,
+        data: invitations
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('Invalid status') ? 400 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Send a new link for an invitation (admin)
+   */
+  async resendInvitation(req, res) {
+    try {
+      const { id } = req.params;
+      const invitation = await this.invitationService.resendInvitation(id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation resent successfully',
+        data: invitation
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('already been') ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Revoke an invitation (admin)
+   */
+  async revokeInvitation(req, res) {
+    try {
+      const { id } = req.params;
+      const invitation = await this.invitationService.revokeInvitation(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Invitation revoked successfully',
+        data: invitation
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('already been') ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the details of an invitation by its token (public)
+   */
+  async getInvitationByToken(req, res) {
+    try {
+      const { token } = req.params;
+      const invitation = await this.invitationService.getInvitationByToken(token);
+
+      res.status(200).json({
+        success: true,
+        data: invitation
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Accept an invitation and set a password (public)
+   */
+  async acceptInvitation(req, res) {
+    try {
+      const { token, password, name } = req.body;
+
+      if (!token || !password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Token and password are required'
+        });
+      }
+
+      const result = await this.invitationService.acceptInvitation(token, password, name, AuditLogService.getRequestContext(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Invitation accepted successfully',
+        data: result
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('already exists') ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = InvitationController;
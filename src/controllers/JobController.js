@@ -1,4 +1,6 @@
 const JobService = require('../services/JobService');
+const AuditLogService = require('../services/AuditLogService');
+const InterviewCandidateController = require('./InterviewCandidateController');
 
 /**
  * Job Controller
@@ -17,7 +19,7 @@ class JobController {
       const jobData = req.body;
       const userId = req.user.userId; // Get userId from JWT payload
 
-      const job = await this.jobService.createJob(jobData, userId);
+      const job = await this.jobService.createJob(jobData, userId, AuditLogService.getRequestContext(req));
 
       res.status(201).json({
         success: true,
@@ -72,6 +74,36 @@ class JobController {
     }
   }
 
+  /**
+   * Get the applicant pipeline for a job
+   */
+  async getJobApplications(req, res) {
+    try {
+      const { id } = req.params;
+      const pipeline = await this.jobService.getApplicantPipeline(id, req.query);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...pipeline,
+          groups: pipeline.groups.map(group => ({
+            ...group,
+            applications: group.applications.map(application => ({
+              ...application,
+              interviewCandidate: InterviewCandidateController.present(application.interviewCandidate, req.user)
+            }))
+          }))
+        }
+      });
+    } catch (error) {
+      const statusCode = error.message === 'Job not found' ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Update job
    */
@@ -80,8 +112,9 @@ class JobController {
       const { id } = req.params;
       const updateData = req.body;
       const userId = req.user.userId;
+      const canManageAny = req.user.permissions.includes('jobs:manage-any');
 
-      const updatedJob = await this.jobService.updateJob(id, updateData, userId);
+      const updatedJob = await this.jobService.updateJob(id, updateData, userId, canManageAny, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
@@ -98,6 +131,54 @@ class JobController {
     }
   }
 
+  /**
+   * Get a job's interview scorecard templates
+   */
+  async getScorecards(req, res) {
+    try {
+      const { id } = req.params;
+      const scorecards = await this.jobService.getScorecards(id);
+
+      res.status(200).json({
+        success: true,
+        data: scorecards
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Replace a job's interview scorecard templates
+   */
+  async updateScorecards(req, res) {
+    try {
+      const { id } = req.params;
+      const { scorecards } = req.body;
+      const userId = req.user.userId;
+      const canManageAny = req.user.permissions.includes('jobs:manage-any');
+
+      const updated = await this.jobService.updateScorecards(id, scorecards, userId, canManageAny, AuditLogService.getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Scorecards updated successfully',
+        data: updated
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('Unauthorized') ? 403 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Delete job
    */
@@ -105,8 +186,9 @@ class JobController {
     try {
       const { id } = req.params;
       const userId = req.user.userId;
+      const canManageAny = req.user.permissions.includes('jobs:manage-any');
 
-      const result = await this.jobService.deleteJob(id, userId);
+      const result = await this.jobService.deleteJob(id, userId, canManageAny, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
@@ -122,6 +204,51 @@ class JobController {
     }
   }
 
+  /**
+   * Get deleted jobs (admin)
+   */
+  async getDeletedJobs(req, res) {
+    try {
+      const jobs = await this.jobService.getDeletedJobs();
+
+      res.status(200).json({
+        success: true,
+        data: jobs
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Restore a deleted job (admin)
+   */
+  async restoreJob(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const canManageAny = req.user.permissions.includes('jobs:manage-any');
+
+      const job = await this.jobService.restoreJob(id, userId, canManageAny, AuditLogService.getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Job restored successfully',
+        data: job
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 
+                        error.message.includes('Unauthorized') ? 403 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Publish job
    */
@@ -129,8 +256,9 @@ class JobController {
     try {
       const { id } = req.params;
       const userId = req.user.userId;
+      const canManageAny = req.user.permissions.includes('jobs:manage-any');
 
-      const publishedJob = await this.jobService.publishJob(id, userId);
+      const publishedJob = await this.jobService.publishJob(id, userId, canManageAny, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
@@ -154,8 +282,9 @@ class JobController {
     try {
       const { id } = req.params;
       const userId = req.user.userId;
+      const canManageAny = req.user.permissions.includes('jobs:manage-any');
 
-      const closedJob = await this.jobService.closeJob(id, userId);
+      const closedJob = await this.jobService.closeJob(id, userId, canManageAny, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
@@ -337,8 +466,17 @@ class JobController {
       const { id } = req.params;
       const { status } = req.body;
       const userId = req.user.userId;
+      const canManageAny = req.user.permissions.includes('jobs:manage-any');
+
+      // Publishing and closing are reserved for jobs:publish, as on the publish and close endpoints
+      if (['published', 'closed'].includes(status) && !req.user.permissions.includes('jobs:publish')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Requires permission: jobs:publish'
+        });
+      }
 
-      const updatedJob = await this.jobService.updateJobStatus(id, status, userId);
+      const updatedJob = await this.jobService.updateJobStatus(id, status, userId, canManageAny, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
@@ -0,0 +1,117 @@
+const RoleService = require('../services/RoleService');
+
+/**
+ * Role Controller
+ * Single Responsibility: Handle HTTP requests for role and permission management
+ */
+class RoleController {
+  constructor() {
+    this.roleService = new RoleService();
+  }
+
+  /**
+   * Get every known permission
+   */
+  async getPermissions(req, res) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: this.roleService.listPermissions()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get all roles
+   */
+  async getRoles(req, res) {
+    try {
+      const roles = await this.roleService.getRoles();
+
+      res.status(200).json({
+        success: true,
+        data: roles
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a role
+   */
+  async createRole(req, res) {
+    try {
+      const { name, description, permissions } = req.body;
+      const role = await this.roleService.createRole({ name, description, permissions });
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: role
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('already exists') ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a role
+   */
+  async updateRole(req, res) {
+    try {
+      const { name } = req.params;
+      const { description, permissions } = req.body;
+      const role = await this.roleService.updateRole(name, { description, permissions });
+
+      res.status(200).json({
+        success: true,
+        message: 'Role updated successfully',
+        data: role
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('cannot be modified') ? 403 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a role
+   */
+  async deleteRole(req, res) {
+    try {
+      const { name } = req.params;
+      const result = await this.roleService.deleteRole(name);
+
+      res.status(200).json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('cannot be deleted') ? 409 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = RoleController;
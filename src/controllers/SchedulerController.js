@@ -0,0 +1,74 @@
+const SchedulerService = require('../services/SchedulerService');
+
+/**
+ * Scheduler Controller
+ * Single Responsibility: Handle HTTP requests for scheduled task operations
+ */
+class SchedulerController {
+  constructor() {
+    this.schedulerService = new SchedulerService();
+  }
+
+  /**
+   * Run a scheduled task (Vercel cron or manual trigger)
+   */
+  async runTask(req, res) {
+    try {
+      const { task } = req.params;
+      const trigger = req.headers['user-agent']?.startsWith('vercel-cron') ? 'cron' : 'manual';
+
+      const taskRun = await this.schedulerService.runTask(task, trigger);
+
+      res.status(taskRun.status === 'success' ? 200 : 500).json({
+        success: taskRun.status === 'success',
+        message: taskRun.status === 'success' ? `Task ${task} completed` : `Task ${task} failed`,
+        data: taskRun
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get registered tasks
+   */
+  async getTasks(req, res) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: this.schedulerService.getTasks()
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get recent task runs
+   */
+  async getRecentRuns(req, res) {
+    try {
+      const { task, limit = 50 } = req.query;
+      const runs = await this.schedulerService.getRecentRuns(task, Math.min(parseInt(limit) || 50, 200));
+
+      res.status(200).json({
+        success: true,
+        data: runs
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = SchedulerController;
@@ -0,0 +1,177 @@
+const TwoFactorService = require('../services/TwoFactorService');
+const UserService = require('../services/UserService');
+const AuditLogService = require('../services/AuditLogService');
+
+/**
+ * Two-Factor Controller
+ * Single Responsibility: Handle HTTP requests for two-factor enrollment and management
+ */
+class TwoFactorController {
+  constructor() {
+    this.twoFactorService = new TwoFactorService();
+    this.userService = new UserService();
+  }
+
+  /**
+   * Get the current user's two-factor status
+   */
+  async getStatus(req, res) {
+    try {
+      const status = await this.twoFactorService.getStatus(req.user.userId, req.user.role);
+
+      res.status(200).json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Start enrollment and return the provisioning URI
+   */
+  async setup(req, res) {
+    try {
+      const result = await this.twoFactorService.setup(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Scan the QR code with an authenticator app, then confirm with a code',
+        data: result
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('already enabled') ? 409 :
+                        error.message.includes('not found') ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code and return recovery codes
+   */
+  async enable(req, res) {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Code is required'
+        });
+      }
+
+      const { user, recoveryCodes } = await this.twoFactorService.enable(req.user.userId, code, AuditLogService.getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are only shown once.',
+        data: {
+          recoveryCodes,
+          // Replaces an access token that was limited to 2FA setup
+          token: this.userService.generateToken(user, req.user.sessionId)
+        }
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('already enabled') ? 409 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off after confirming a code
+   */
+  async disable(req, res) {
+    try {
+      const { code, recoveryCode } = req.body;
+
+      if (this.twoFactorService.isRequiredForRole(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for your role and cannot be disabled'
+        });
+      }
+
+      if (!code && !recoveryCode) {
+        return res.status(400).json({
+          success: false,
+          message: 'A code or recovery code is required'
+        });
+      }
+
+      await this.twoFactorService.verify(req.user.userId, { code, recoveryCode });
+      await this.twoFactorService.disable(req.user.userId, AuditLogService.getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Replace the recovery codes after confirming a code
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: 'Code is required'
+        });
+      }
+
+      const recoveryCodes = await this.twoFactorService.regenerateRecoveryCodes(req.user.userId, code);
+
+      res.status(200).json({
+        success: true,
+        message: 'Recovery codes regenerated. Previous codes no longer work.',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Reset two-factor authentication for a user who lost their device (admin)
+   */
+  async resetForUser(req, res) {
+    try {
+      const { id } = req.params;
+      await this.twoFactorService.disable(id, AuditLogService.getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication reset. The user must enroll again on next login if their role requires it.'
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = TwoFactorController;
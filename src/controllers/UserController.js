@@ -1,4 +1,6 @@
 const UserService = require('../services/UserService');
+const LoginProtectionService = require('../services/LoginProtectionService');
+const AuditLogService = require('../services/AuditLogService');
 
 /**
  * User Controller Class
@@ -7,6 +9,7 @@ const UserService = require('../services/UserService');
 class UserController {
   constructor() {
     this.userService = new UserService();
+    this.loginProtectionService = new LoginProtectionService();
   }
 
   /**
@@ -14,7 +17,15 @@ class UserController {
    */
   async register(req, res) {
     try {
-      const { name, email, password, role } = req.body;
+      // Staff accounts are created through invitations
+      if (process.env.ALLOW_PUBLIC_REGISTRATION !== 'true') {
+        return res.status(403).json({
+          success: false,
+          message: 'Public registration is disabled. Ask an administrator for an invitation.'
+        });
+      }
+
+      const { name, email, password } = req.body;
 
       // Validate required fields
       if (!name || !email || !password) {
@@ -24,11 +35,25 @@ class UserController {
         });
       }
 
-      const userData = { name, email, password, role };
-      const user = await this.userService.createUser(userData);
+      // Self-registered accounts never choose their own role
+      const userData = { name, email, password, role: 'user' };
+      const user = await this.userService.createUser(userData, AuditLogService.getRequestContext(req));
+
+      // Send verification email (don't wait for it)
+      this.userService.sendEmailVerification(user._id)
+        .catch(error => console.error('Failed to send verification email:', error));
+
+      // Logins are blocked until the address is verified, so there is nothing to sign in to yet
+      if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true') {
+        return res.status(201).json({
+          success: true,
+          message: 'User registered successfully. Verify your email address to log in.',
+          data: { user, emailVerificationRequired: true }
+        });
+      }
 
       // Authenticate the user after registration
-      const result = await this.userService.authenticateUser(email, password);
+      const result = await this.userService.authenticateUser(email, password, this.getClientContext(req));
 
       res.status(201).json({
         success: true,
@@ -58,13 +83,79 @@ class UserController {
         });
       }
 
-      const result = await this.userService.authenticateUser(email, password);
+      const result = await this.userService.authenticateUser(email, password, this.getClientContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: result.twoFactorRequired ? 'Two-factor code required' : 'Login successful',
+        data: result
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('locked') ? 423 :
+                        error.message.includes('Too many') ? 429 : 401;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Second login step: verify a two-factor code or recovery code
+   */
+  async loginTwoFactor(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      if (!challengeToken || (!code && !recoveryCode)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Challenge token and a code or recovery code are required'
+        });
+      }
+
+      const result = await this.userService.authenticateTwoFactor(
+        challengeToken,
+        { code, recoveryCode },
+        this.getClientContext(req)
+      );
 
       res.status(200).json({
         success: true,
         message: 'Login successful',
         data: result
       });
+    } catch (error) {
+      const statusCode = error.message.includes('locked') ? 423 :
+                        error.message.includes('Too many') ? 429 : 401;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   */
+  async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Refresh token is required'
+        });
+      }
+
+      const result = await this.userService.refreshSession(refreshToken);
+
+      res.status(200).json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: result
+      });
     } catch (error) {
       res.status(401).json({
         success: false,
@@ -73,6 +164,173 @@ class UserController {
     }
   }
 
+  /**
+   * Log out of the current session
+   */
+  async logout(req, res) {
+    try {
+      const result = await this.userService.logout(req.user.sessionId);
+
+      res.status(200).json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Log out of every session of the current user
+   */
+  async logoutAll(req, res) {
+    try {
+      const result = await this.userService.logoutAll(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: { revoked: result.revoked }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the current user's active sessions
+   */
+  async getSessions(req, res) {
+    try {
+      const sessions = await this.userService.getSessions(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        data: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session._id.toString() === req.user.sessionId
+        }))
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Request a password reset email
+   */
+  async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is required'
+        });
+      }
+
+      await this.userService.requestPasswordReset(email);
+
+      // Same response whether or not the account exists
+      res.status(200).json({
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Reset password with a token from the reset email
+   */
+  async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body;
+
+      if (!token || !password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Token and password are required'
+        });
+      }
+
+      const result = await this.userService.resetPassword(token, password, AuditLogService.getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Verify email address with a token from the verification email
+   */
+  async verifyEmail(req, res) {
+    try {
+      const { token } = req.body;
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          message: 'Token is required'
+        });
+      }
+
+      const result = await this.userService.verifyEmail(token);
+
+      res.status(200).json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Send a new verification email to the current user
+   */
+  async resendVerification(req, res) {
+    try {
+      await this.userService.sendEmailVerification(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Verification email sent'
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('already verified') ? 409 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Get user profile
    */
@@ -99,9 +357,15 @@ class UserController {
   async updateProfile(req, res) {
     try {
       const userId = req.user.userId; // From JWT middleware
-      const updateData = req.body;
+      // Only these are self-service; role, account status, verification and lockout state are not
+      const updateData = {};
+      for (const field of ['name', 'email', 'password']) {
+        if (req.body[field] !== undefined) {
+          updateData[field] = req.body[field];
+        }
+      }
 
-      const user = await this.userService.updateUser(userId, updateData);
+      const user = await this.userService.updateUser(userId, updateData, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
@@ -116,6 +380,27 @@ class UserController {
     }
   }
 
+  /**
+   * Unlock an account locked by failed logins (admin only)
+   */
+  async unlockUser(req, res) {
+    try {
+      const { id } = req.params;
+      await this.loginProtectionService.unlockAccount(id, AuditLogService.getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Account unlocked successfully'
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Get all active users (admin only)
    */
@@ -161,9 +446,10 @@ class UserController {
   async updateUser(req, res) {
     try {
       const { id } = req.params;
-      const updateData = req.body;
+      // Two-factor is turned off through DELETE /api/admin/users/:id/2fa
+      const { twoFactorEnabled, ...updateData } = req.body;
 
-      const user = await this.userService.updateUser(id, updateData);
+      const user = await this.userService.updateUser(id, updateData, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
@@ -184,7 +470,7 @@ class UserController {
   async createUser(req, res) {
     try {
       const userData = req.body;
-      const user = await this.userService.createUser(userData);
+      const user = await this.userService.createUser(userData, AuditLogService.getRequestContext(req));
 
       res.status(201).json({
         success: true,
@@ -205,7 +491,7 @@ class UserController {
   async deleteUser(req, res) {
     try {
       const { id } = req.params;
-      await this.userService.deleteUser(id);
+      await this.userService.deleteUser(id, AuditLogService.getRequestContext(req));
 
       res.status(200).json({
         success: true,
@@ -218,6 +504,57 @@ class UserController {
       });
     }
   }
+
+  /**
+   * Get deleted users (admin only)
+   */
+  async getDeletedUsers(req, res) {
+    try {
+      const users = await this.userService.getDeletedUsers();
+
+      res.status(200).json({
+        success: true,
+        data: users
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Restore a deleted user (admin only)
+   */
+  async restoreUser(req, res) {
+    try {
+      const { id } = req.params;
+      const user = await this.userService.restoreUser(id, AuditLogService.getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'User restored successfully',
+        data: user
+      });
+    } catch (error) {
+      const statusCode = error.message.includes('not found') ? 404 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Describe the device a session is started from
+   */
+  getClientContext(req) {
+    return {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    };
+  }
 }
 
 module.exports = UserController; 
\ No newline at end of file
@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const UserService = require('../services/UserService');
+const RoleService = require('../services/RoleService');
 
 /**
  * Authentication Middleware
@@ -7,25 +9,23 @@ const UserService = require('../services/UserService');
 class AuthMiddleware {
   constructor() {
     this.userService = new UserService();
+    this.roleService = new RoleService();
   }
 
   /**
    * Verify JWT token middleware
+   * Also checks the token's session so logouts and deactivations take effect immediately
    */
-  verifyToken(req, res, next) {
+  async verifyToken(req, res, next) {
+    let decoded;
     try {
       console.log('🔍 Auth middleware - verifyToken called');
-      console.log('Headers:', req.headers);
       
       const token = req.headers.authorization?.split(' ')[1] || 
                    req.headers['x-auth-token'] ||
                    req.cookies?.token;
 
       console.log('Token found:', token ? 'Yes' : 'No');
-      if (token) {
-        console.log('Token length:', token.length);
-        console.log('Token preview:', token.substring(0, 20) + '...');
-      }
 
       if (!token) {
         console.log('❌ No token provided in verifyToken');
@@ -36,12 +36,11 @@ class AuthMiddleware {
       }
 
       console.log('🔐 Attempting to verify token...');
-      const decoded = this.userService.verifyToken(token);
+      decoded = this.userService.verifyToken(token);
+      if (decoded.purpose) {
+        throw new Error('Not an access token');
+      }
       console.log('✅ Token verified successfully');
-      console.log('Decoded user:', decoded);
-      
-      req.user = decoded;
-      next();
     } catch (error) {
       console.error('❌ Token verification failed:', error.message);
       return res.status(401).json({
@@ -49,61 +48,100 @@ class AuthMiddleware {
         message: 'Invalid token.'
       });
     }
-  }
-
-  /**
-   * Check if user is admin middleware
-   */
-  requireAdmin(req, res, next) {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. Authentication required.'
-      });
-    }
 
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
+    try {
+      const sessionActive = decoded.sessionId && await this.userService.isSessionActive(decoded.sessionId);
+      if (!sessionActive) {
+        console.log('❌ Session revoked or expired:', decoded.sessionId);
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked. Please log in again.'
+        });
+      }
+    } catch (error) {
+      console.error('❌ Session check failed:', error.message);
+      return res.status(500).json({
         success: false,
-        message: 'Access denied. Admin privileges required.'
+        message: 'Failed to verify session'
       });
     }
 
+    req.user = decoded;
     next();
   }
 
   /**
-   * Check if user is manager or admin middleware
+   * Require at least one of the given permissions, resolved from the user's role
+   * Usage: auth.require('jobs:publish')
    */
-  requireManager(req, res, next) {
-    console.log('🔍 Auth middleware - requireManager called');
-    console.log('User from request:', req.user);
-    
-    if (!req.user) {
-      console.log('❌ No user found in requireManager');
-      return res.status(401).json({
+  require(...permissions) {
+    return async (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. Authentication required.'
+        });
+      }
+
+      if (req.user.twoFactorSetupRequired) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for your role. Set it up at /api/auth/2fa/setup.',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+
+      try {
+        req.user.permissions = await this.roleService.getPermissions(req.user.role);
+      } catch (error) {
+        console.error('❌ Failed to resolve permissions:', error.message);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to resolve permissions'
+        });
+      }
+
+      if (!permissions.some(permission => req.user.permissions.includes(permission))) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Requires permission: ${permissions.join(' or ')}`
+        });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Verify the shared cron secret (Vercel cron sends it as a bearer token)
+   */
+  requireCronSecret(req, res, next) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+      return res.status(503).json({
         success: false,
-        message: 'Access denied. Authentication required.'
+        message: 'Cron secret is not configured'
       });
     }
 
-    console.log('User role:', req.user.role);
-    if (!['admin', 'manager'].includes(req.user.role)) {
-      console.log('❌ User role not authorized:', req.user.role);
-      return res.status(403).json({
+    const provided = req.headers.authorization?.split(' ')[1] || req.headers['x-cron-secret'] || '';
+    const expectedHash = crypto.createHash('sha256').update(secret).digest();
+    const providedHash = crypto.createHash('sha256').update(provided).digest();
+
+    if (!crypto.timingSafeEqual(expectedHash, providedHash)) {
+      return res.status(401).json({
         success: false,
-        message: 'Access denied. Manager or admin privileges required.'
+        message: 'Access denied. Invalid cron secret.'
       });
     }
 
-    console.log('✅ User authorized, proceeding');
     next();
   }
 
   /**
    * Optional authentication middleware
    */
-  optionalAuth(req, res, next) {
+  async optionalAuth(req, res, next) {
     try {
       const token = req.headers.authorization?.split(' ')[1] || 
                    req.headers['x-auth-token'] ||
@@ -111,7 +149,9 @@ class AuthMiddleware {
 
       if (token) {
         const decoded = this.userService.verifyToken(token);
-        req.user = decoded;
+        if (decoded.sessionId && await this.userService.isSessionActive(decoded.sessionId)) {
+          req.user = decoded;
+        }
       }
       
       next();
@@ -126,7 +166,7 @@ const authMiddleware = new AuthMiddleware();
 
 module.exports = {
   verifyToken: authMiddleware.verifyToken.bind(authMiddleware),
-  requireAdmin: authMiddleware.requireAdmin.bind(authMiddleware),
-  requireManager: authMiddleware.requireManager.bind(authMiddleware),
+  require: authMiddleware.require.bind(authMiddleware),
+  requireCronSecret: authMiddleware.requireCronSecret.bind(authMiddleware),
   optionalAuth: authMiddleware.optionalAuth.bind(authMiddleware)
 }; 
\ No newline at end of file
@@ -0,0 +1,84 @@
+const multer = require('multer');
+const path = require('path');
+
+/**
+ * Allowed resume formats with their file signatures
+ */
+const RESUME_TYPES = {
+  '.pdf': {
+    mimetypes: ['application/pdf'],
+    signature: Buffer.from('%PDF')
+  },
+  '.doc': {
+    mimetypes: ['application/msword'],
+    signature: Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])
+  },
+  '.docx': {
+    mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    signature: Buffer.from([0x50, 0x4b, 0x03, 0x04])
+  }
+};
+
+const MAX_RESUME_SIZE = (parseInt(process.env.RESUME_MAX_SIZE_MB) || 5) * 1024 * 1024;
+
+/**
+ * Upload Middleware Class
+ * Single Responsibility: Parse and validate multipart file uploads
+ */
+class UploadMiddleware {
+  constructor() {
+    this.resumeUpload = multer({
+      storage: multer.memoryStorage(),
+      limits: {
+        fileSize: MAX_RESUME_SIZE,
+        files: 1
+      },
+      fileFilter: (req, file, cb) => {
+        const type = RESUME_TYPES[path.extname(file.originalname).toLowerCase()];
+        if (!type || !type.mimetypes.includes(file.mimetype)) {
+          return cb(new Error('Resume must be a PDF, DOC or DOCX file'));
+        }
+        cb(null, true);
+      }
+    }).single('resume');
+  }
+
+  /**
+   * Accept an optional single "resume" file on multipart requests
+   * JSON requests pass through untouched
+   */
+  resume(req, res, next) {
+    this.resumeUpload(req, res, (error) => {
+      if (error) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `Resume cannot exceed ${MAX_RESUME_SIZE / (1024 * 1024)}MB`
+          : error.message;
+
+        return res.status(400).json({
+          success: false,
+          message
+        });
+      }
+
+      // The client controls the mimetype, so check the file contents as well
+      if (req.file) {
+        const type = RESUME_TYPES[path.extname(req.file.originalname).toLowerCase()];
+        const header = req.file.buffer.subarray(0, type.signature.length);
+        if (!header.equals(type.signature)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Resume file content does not match its type'
+          });
+        }
+      }
+
+      next();
+    });
+  }
+}
+
+const uploadMiddleware = new UploadMiddleware();
+
+module.exports = {
+  resume: uploadMiddleware.resume.bind(uploadMiddleware)
+};
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Applicant Schema
+ * Single Responsibility: Define the person behind one or more career applications
+ *
+ * Applicants are identified by email address. Their details come from the application
+ * that created them, since later submissions with the same address are unverified;
+ * each application keeps the details it was submitted with.
+ */
+const applicantSchema = new mongoose.Schema({
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true,
+    maxlength: [50, 'First name cannot exceed 50 characters']
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true,
+    maxlength: [50, 'Last name cannot exceed 50 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  // Application the applicant was created from; only it refreshes their details
+  sourceApplication: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CareerApplication'
+  },
+  lastAppliedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+applicantSchema.index({ lastName: 1, firstName: 1 });
+
+// Virtual for full name
+applicantSchema.virtual('fullName').get(function() {
+  return `${this.firstName} ${this.lastName}`;
+});
+
+module.exports = mongoose.model('Applicant', applicantSchema);
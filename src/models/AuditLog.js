@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const ENTITY_TYPES = ['job', 'application', 'user', 'candidate'];
+
+/**
+ * Audit Log Schema
+ * Single Responsibility: Record who changed what, when and from where
+ *
+ * Entries are append-only; nothing in the API updates or deletes them.
+ */
+const auditLogSchema = new mongoose.Schema({
+  // Null for changes made by the system (scheduled tasks) or anonymous visitors
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept so entries stay readable after the actor is deleted
+  actorEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  // <entityType>.<verb>, e.g. job.update or candidate.stage
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  entityType: {
+    type: String,
+    enum: ENTITY_TYPES,
+    required: [true, 'Entity type is required']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required']
+  },
+  // Changed fields (dot paths) with their previous and new values
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+auditLogSchema.statics.ENTITY_TYPES = ENTITY_TYPES;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
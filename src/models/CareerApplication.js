@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+/**
+ * Reduce a phone number to its digits, dropping the North American country code
+ */
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+}
 
 /**
  * Career Application Schema
@@ -29,6 +38,21 @@ const careerApplicationSchema = new mongoose.Schema({
     required: [true, 'Phone number is required'],
     trim: true
   },
+  // Digits-only phone, used to detect duplicate applications
+  phoneNormalized: {
+    type: String
+  },
+  // Person who applied; shared by all of their applications
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Applicant'
+  },
+  // Job posting applied to
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  // Job title at the time of applying (denormalized from job)
   position: {
     type: String,
     required: [true, 'Position is required'],
@@ -45,6 +69,28 @@ const careerApplicationSchema = new mongoose.Schema({
     mimetype: String,
     size: Number
   },
+  // Who opened the resume and when
+  resumeAccessLog: [{
+    accessedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: {
+      type: String
+    },
+    mode: {
+      type: String,
+      enum: ['download', 'inline'],
+      default: 'download'
+    },
+    ip: {
+      type: String
+    },
+    accessedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   coverLetter: {
     type: String,
     trim: true,
@@ -52,9 +98,18 @@ const careerApplicationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'reviewed', 'shortlisted', 'rejected', 'hired'],
+    enum: ['pending', 'reviewed', 'shortlisted', 'rejected', 'hired', 'withdrawn'],
     default: 'pending'
   },
+  // Set when the applicant withdraws through the applicant portal
+  withdrawnAt: {
+    type: Date
+  },
+  withdrawalReason: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Withdrawal reason cannot exceed 1000 characters']
+  },
   notes: {
     type: String,
     trim: true
@@ -62,6 +117,43 @@ const careerApplicationSchema = new mongoose.Schema({
   appliedAt: {
     type: Date,
     default: Date.now
+  },
+  // Earlier application by the same applicant for the same job (flagged duplicates)
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CareerApplication',
+    default: null
+  },
+  duplicateMatchedOn: {
+    type: [String],
+    enum: ['email', 'phone'],
+    default: undefined
+  },
+  // Application this one was merged into; set when it is deleted by a merge
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CareerApplication',
+    default: null
+  },
+  // Repeated submission under the update policy, held until the applicant confirms it through their portal link
+  pendingResubmission: {
+    type: new mongoose.Schema({
+      firstName: String,
+      lastName: String,
+      experience: String,
+      coverLetter: String,
+      resume: {
+        filename: String,
+        path: String,
+        mimetype: String,
+        size: Number
+      },
+      submittedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }),
+    default: null
   }
 }, {
   timestamps: true,
@@ -71,9 +163,16 @@ const careerApplicationSchema = new mongoose.Schema({
 
 // Indexes for better performance
 careerApplicationSchema.index({ email: 1 });
+careerApplicationSchema.index({ job: 1 });
 careerApplicationSchema.index({ position: 1 });
 careerApplicationSchema.index({ status: 1 });
 careerApplicationSchema.index({ appliedAt: -1 });
+careerApplicationSchema.index({ job: 1, email: 1 });
+careerApplicationSchema.index({ job: 1, phoneNormalized: 1 });
+careerApplicationSchema.index({ duplicateOf: 1 });
+careerApplicationSchema.index({ applicant: 1, appliedAt: -1 });
+
+careerApplicationSchema.plugin(softDelete);
 
 // Virtual for full name
 careerApplicationSchema.virtual('fullName').get(function() {
@@ -90,9 +189,14 @@ careerApplicationSchema.pre('save', function(next) {
   if (this.isModified('email')) {
     this.email = this.email.toLowerCase().trim();
   }
+  if (this.isModified('phone')) {
+    this.phoneNormalized = normalizePhone(this.phone);
+  }
   next();
 });
 
+careerApplicationSchema.statics.normalizePhone = normalizePhone;
+
 // Static method to find applications by status
 careerApplicationSchema.statics.findByStatus = function(status) {
   return this.find({ status });
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * Interview Availability Schema
+ * Single Responsibility: Define a window of time in which an interviewer can take interviews
+ */
+const interviewAvailabilitySchema = new mongoose.Schema({
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Interviewer is required']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startsAt || value > this.startsAt;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+interviewAvailabilitySchema.index({ interviewer: 1, endsAt: 1 });
+
+module.exports = mongoose.model('InterviewAvailability', interviewAvailabilitySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 /**
  * Interview Candidate Schema
@@ -11,6 +12,11 @@ const interviewCandidateSchema = new mongoose.Schema({
     ref: 'CareerApplication',
     required: [true, 'Career application reference is required']
   },
+  // Person behind the application, so candidacies for different jobs can be linked
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Applicant'
+  },
   
   // Interview-specific information
   currentStage: {
@@ -50,6 +56,51 @@ const interviewCandidateSchema = new mongoose.Schema({
       enum: ['scheduled', 'completed', 'cancelled', 'rescheduled'],
       default: 'scheduled'
     },
+    // iCalendar SEQUENCE; bumped on every change so calendars replace the earlier invite
+    sequence: {
+      type: Number,
+      default: 0
+    },
+    // Reminder offsets (minutes before the interview) that were already emailed
+    remindersSent: [{
+      type: Number
+    }],
+    // Earlier times of a rescheduled interview, oldest first
+    history: [{
+      scheduledAt: {
+        type: Date
+      },
+      duration: {
+        type: Number
+      },
+      location: {
+        type: String
+      },
+      meetingLink: {
+        type: String
+      },
+      reason: {
+        type: String
+      },
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    cancelledAt: {
+      type: Date
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancellationReason: {
+      type: String
+    },
     notes: {
       type: String
     },
@@ -60,7 +111,47 @@ const interviewCandidateSchema = new mongoose.Schema({
       type: Number,
       min: 1,
       max: 5
-    }
+    },
+    // Structured feedback, one per interviewer, scored against the job's scorecard for the stage.
+    // Criteria and weights are copied in so later template changes don't alter past scores
+    scorecards: [{
+      interviewer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      scores: [{
+        criterion: {
+          type: String,
+          required: true
+        },
+        weight: {
+          type: Number,
+          required: true
+        },
+        score: {
+          type: Number,
+          required: true,
+          min: 1,
+          max: 5
+        },
+        notes: {
+          type: String
+        }
+      }],
+      weightedScore: {
+        type: Number,
+        min: 1,
+        max: 5
+      },
+      comments: {
+        type: String
+      },
+      submittedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   }],
   
   // Overall candidate assessment
@@ -197,11 +288,14 @@ const interviewCandidateSchema = new mongoose.Schema({
 
 // Indexes for better performance
 interviewCandidateSchema.index({ careerApplication: 1 });
+interviewCandidateSchema.index({ applicant: 1 });
 interviewCandidateSchema.index({ currentStage: 1 });
 interviewCandidateSchema.index({ 'decision.status': 1 });
 interviewCandidateSchema.index({ 'offer.status': 1 });
 interviewCandidateSchema.index({ overallRating: -1 });
 
+interviewCandidateSchema.plugin(softDelete);
+
 // Virtual for candidate status
 interviewCandidateSchema.virtual('status').get(function() {
   if (this.decision.status === 'approved' && this.offer.status === 'accepted') {
@@ -223,18 +317,6 @@ interviewCandidateSchema.virtual('nextInterview').get(function() {
   return upcomingInterviews.length > 0 ? upcomingInterviews[0] : null;
 });
 
-// Pre-save middleware
-interviewCandidateSchema.pre('save', function(next) {
-  // Update timeline when stage changes
-  if (this.isModified('currentStage')) {
-    this.timeline.push({
-      action: `Stage changed to ${this.currentStage}`,
-      performedBy: this.decision.madeBy || null
-    });
-  }
-  next();
-});
-
 // Static method to find candidates by stage
 interviewCandidateSchema.statics.findByStage = function(stage) {
   return this.find({ currentStage: stage }).populate({
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invitation Schema
+ * Single Responsibility: Define a pending invitation for a staff member to create an account
+ */
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Role the account is created with
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    lowercase: true,
+    trim: true
+  },
+  // SHA-256 of the invitation token; the token itself only exists in the email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+invitationSchema.index({ createdAt: -1 });
+
+// Virtual for invitation status
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+module.exports = mongoose.model('Invitation', invitationSchema);
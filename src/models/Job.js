@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 /**
  * Job Schema
@@ -94,6 +95,11 @@ const jobSchema = new mongoose.Schema({
     default: 1,
     min: [1, 'Number of positions must be at least 1']
   },
+  positionsFilled: {
+    type: Number,
+    default: 0,
+    min: [0, 'Positions filled cannot be negative']
+  },
   tags: {
     type: [String],
     default: []
@@ -105,7 +111,56 @@ const jobSchema = new mongoose.Schema({
   isUrgent: {
     type: Boolean,
     default: false
-  }
+  },
+  // Interview scorecard templates, at most one per stage. Internal to the hiring team,
+  // so they are left out of job queries unless selected with +scorecards
+  scorecards: {
+    type: [{
+      stage: {
+        type: String,
+        enum: ['screening', 'phone-interview', 'technical-interview', 'final-interview'],
+        required: [true, 'Scorecard stage is required']
+      },
+      criteria: [{
+        name: {
+          type: String,
+          required: [true, 'Criterion name is required'],
+          trim: true,
+          maxlength: [100, 'Criterion name cannot exceed 100 characters']
+        },
+        description: {
+          type: String,
+          trim: true,
+          maxlength: [500, 'Criterion description cannot exceed 500 characters']
+        },
+        // Relative importance; scores are averaged in proportion to their weights
+        weight: {
+          type: Number,
+          required: [true, 'Criterion weight is required'],
+          min: [0, 'Criterion weight cannot be negative']
+        }
+      }]
+    }],
+    select: false
+  },
+  // Timeline tracking
+  timeline: [{
+    action: {
+      type: String,
+      required: true
+    },
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    details: {
+      type: String
+    }
+  }]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -124,6 +179,8 @@ jobSchema.index({ applicationDeadline: 1 });
 jobSchema.index({ isRemote: 1 });
 jobSchema.index({ isUrgent: 1 });
 
+jobSchema.plugin(softDelete);
+
 // Virtual for job status
 jobSchema.virtual('isActive').get(function() {
   return this.status === 'published' && new Date() <= this.applicationDeadline;
@@ -138,6 +195,19 @@ jobSchema.virtual('daysUntilDeadline').get(function() {
   return diffDays > 0 ? diffDays : 0;
 });
 
+// Virtual for open seats
+jobSchema.virtual('positionsRemaining').get(function() {
+  return Math.max(this.numberOfPositions - (this.positionsFilled || 0), 0);
+});
+
+// Virtual for number of applications received
+jobSchema.virtual('applicationCount', {
+  ref: 'CareerApplication',
+  localField: '_id',
+  foreignField: 'job',
+  count: true
+});
+
 // Pre-save middleware for data validation
 jobSchema.pre('save', function(next) {
   if (this.salary.min > this.salary.max) {
@@ -171,8 +241,13 @@ jobSchema.methods.publish = function() {
 };
 
 // Instance method to close job
-jobSchema.methods.close = function() {
+jobSchema.methods.close = function(details = '', performedBy = null) {
   this.status = 'closed';
+  this.timeline.push({
+    action: 'Job closed',
+    performedBy: performedBy,
+    details: details
+  });
   return this.save();
 };
 
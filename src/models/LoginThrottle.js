@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Login Throttle Schema
+ * Single Responsibility: Count failed logins per client IP within a time window
+ */
+const loginThrottleSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: [true, 'IP is required'],
+    unique: true,
+    trim: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  delayUntil: {
+    type: Date,
+    default: null
+  },
+  blockedUntil: {
+    type: Date,
+    default: null
+  },
+  // MongoDB removes the record once the window and any block are over
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
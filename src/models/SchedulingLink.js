@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * Scheduling Link Schema
+ * Single Responsibility: Define an invitation for a candidate to book their own interview slot
+ */
+const schedulingLinkSchema = new mongoose.Schema({
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InterviewCandidate',
+    required: [true, 'Candidate is required']
+  },
+  // Interview that gets booked through the link
+  stage: {
+    type: String,
+    enum: ['screening', 'phone-interview', 'technical-interview', 'final-interview'],
+    required: [true, 'Stage is required']
+  },
+  duration: {
+    type: Number, // in minutes
+    min: [15, 'Duration must be at least 15 minutes'],
+    max: [480, 'Duration cannot exceed 480 minutes'],
+    default: 60
+  },
+  // Every interviewer has to be available for a slot to be offered
+  interviewers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    validate: {
+      validator: value => value.length > 0,
+      message: 'At least one interviewer is required'
+    }
+  },
+  location: {
+    type: String,
+    default: 'TBD'
+  },
+  meetingLink: {
+    type: String
+  },
+  // SHA-256 of the link token; the token itself only exists in the email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  bookedAt: {
+    type: Date,
+    default: null
+  },
+  // The interviews[] entry created by the booking
+  interview: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+schedulingLinkSchema.index({ candidate: 1, createdAt: -1 });
+
+// Virtual for link status
+schedulingLinkSchema.virtual('status').get(function() {
+  if (this.bookedAt) return 'booked';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+module.exports = mongoose.model('SchedulingLink', schedulingLinkSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * Task Run Schema
+ * Single Responsibility: Record each execution of a scheduled task
+ */
+const taskRunSchema = new mongoose.Schema({
+  task: {
+    type: String,
+    required: [true, 'Task name is required'],
+    trim: true
+  },
+  trigger: {
+    type: String,
+    enum: ['cron', 'scheduler', 'manual'],
+    default: 'manual'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  // Summary of what the task changed
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+taskRunSchema.index({ task: 1, startedAt: -1 });
+taskRunSchema.index({ status: 1 });
+
+// Virtual for run duration in milliseconds
+taskRunSchema.virtual('durationMs').get(function() {
+  return this.finishedAt ? this.finishedAt - this.startedAt : null;
+});
+
+// Instance method to mark the run as finished
+taskRunSchema.methods.finish = function(result) {
+  this.status = 'success';
+  this.result = result;
+  this.finishedAt = new Date();
+  return this.save();
+};
+
+// Instance method to mark the run as failed
+taskRunSchema.methods.fail = function(errorMessage) {
+  this.status = 'failed';
+  this.error = errorMessage;
+  this.finishedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('TaskRun', taskRunSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Two-Factor Credential Schema
+ * Single Responsibility: Store a user's TOTP secret and recovery codes
+ *
+ * Kept out of the User document so secrets never end up in user responses.
+ */
+const twoFactorCredentialSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    unique: true
+  },
+  // Encrypted TOTP secret (iv:authTag:ciphertext)
+  secret: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  enabledAt: {
+    type: Date,
+    default: null
+  },
+  // SHA-256 hashes of single-use recovery codes
+  recoveryCodes: [{
+    hash: {
+      type: String,
+      required: true
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // Last accepted TOTP time step, so a code cannot be replayed
+  lastUsedStep: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TwoFactorCredential', twoFactorCredentialSchema);
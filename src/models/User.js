@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 /**
  * User Schema
@@ -24,18 +25,50 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Name of a Role document; validated by UserService
   role: {
     type: String,
-    enum: ['admin', 'user', 'manager'],
+    lowercase: true,
+    trim: true,
     default: 'user'
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Secrets live in TwoFactorCredential
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
   lastLogin: {
     type: Date,
     default: null
+  },
+  // Brute-force protection, reset on successful login or admin unlock
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  loginDelayUntil: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
@@ -48,6 +81,13 @@ userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 
+userSchema.plugin(softDelete);
+
+// Virtual for whether the account is temporarily locked
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockedUntil && this.lockedUntil > new Date());
+});
+
 // Virtual for user status
 userSchema.virtual('status').get(function() {
   return this.isActive ? 'active' : 'inactive';
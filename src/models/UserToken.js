@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * User Token Schema
+ * Single Responsibility: Store expiring tokens handed out to users
+ *
+ * Password reset and email verification tokens are sent by email and used once.
+ * Calendar feed tokens are part of a subscription URL and are reused until replaced.
+ */
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: ['password-reset', 'email-verification', 'calendar-feed'],
+    required: [true, 'Token type is required']
+  },
+  // SHA-256 of the token; the token itself only exists in the email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+userTokenSchema.index({ user: 1, type: 1 });
+// MongoDB removes tokens once they expire
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
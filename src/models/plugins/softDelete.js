@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const QUERY_OPERATIONS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'count',
+  'distinct',
+  'updateOne',
+  'updateMany'
+];
+
+/**
+ * Soft Delete Plugin
+ * Single Responsibility: Add deletedAt/deletedBy to a schema and hide deleted documents from queries
+ *
+ * Queries (and aggregations) only see documents that are not deleted, unless the
+ * filter mentions deletedAt itself or the query runs with { withDeleted: true }.
+ * Delete operations are left alone so purging still reaches deleted documents.
+ */
+function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(QUERY_OPERATIONS, function() {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) {
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+}
+
+module.exports = softDelete;
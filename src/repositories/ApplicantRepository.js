@@ -0,0 +1,41 @@
+const BaseRepository = require('./BaseRepository');
+const Applicant = require('../models/Applicant');
+
+/**
+ * Applicant Repository
+ * Single Responsibility: Handle all applicant database operations
+ */
+class ApplicantRepository extends BaseRepository {
+  constructor() {
+    super(Applicant);
+  }
+
+  /**
+   * Find an applicant by email
+   */
+  async findByEmail(email) {
+    try {
+      return await this.model.findOne({ email: String(email || '').toLowerCase().trim() });
+    } catch (error) {
+      throw new Error(`Failed to find applicant by email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the applicant with an email address, creating them with the given details if there is none
+   * The details of an existing applicant are left alone; only lastAppliedAt is moved forward
+   */
+  async findOrCreateByEmail(email, details, lastAppliedAt = new Date()) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { email: String(email || '').toLowerCase().trim() },
+        { $setOnInsert: details, $max: { lastAppliedAt } },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to save applicant: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ApplicantRepository;
@@ -0,0 +1,34 @@
+const BaseRepository = require('./BaseRepository');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Audit Log Repository
+ * Single Responsibility: Handle all audit log database operations
+ */
+class AuditLogRepository extends BaseRepository {
+  constructor() {
+    super(AuditLog);
+  }
+
+  /**
+   * Find a page of entries matching the filters, newest first
+   */
+  async search(filters = {}, { skip = 0, limit = 50 } = {}) {
+    try {
+      const [entries, total] = await Promise.all([
+        this.model.find(filters)
+          .populate('actor', 'name email')
+          .sort({ createdAt: -1, _id: -1 })
+          .skip(skip)
+          .limit(limit),
+        this.model.countDocuments(filters)
+      ]);
+
+      return { entries, total };
+    } catch (error) {
+      throw new Error(`Failed to search audit log: ${error.message}`);
+    }
+  }
+}
+
+module.exports = AuditLogRepository;
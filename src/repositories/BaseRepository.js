@@ -96,15 +96,84 @@ class BaseRepository {
 
   /**
    * Delete document by ID
+   * Models with the softDelete plugin are only marked as deleted
    */
-  async deleteById(id) {
+  async deleteById(id, deletedBy = null) {
     try {
-      return await this.model.findByIdAndDelete(id);
+      if (!this.supportsSoftDelete()) {
+        return await this.model.findByIdAndDelete(id);
+      }
+
+      return await this.model.findOneAndUpdate(
+        { _id: id },
+        { $set: { deletedAt: new Date(), deletedBy } },
+        { new: true }
+      );
     } catch (error) {
       throw new Error(`Failed to delete ${this.model.modelName}: ${error.message}`);
     }
   }
 
+  /**
+   * Permanently delete document by ID, deleted or not
+   */
+  async purgeById(id) {
+    try {
+      return await this.model.findByIdAndDelete(id);
+    } catch (error) {
+      throw new Error(`Failed to purge ${this.model.modelName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find soft-deleted documents, most recently deleted first
+   */
+  async findDeleted(filters = {}) {
+    try {
+      return await this.model.find({ ...filters, deletedAt: { $ne: null } })
+        .sort({ deletedAt: -1 });
+    } catch (error) {
+      throw new Error(`Failed to find deleted ${this.model.modelName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore a soft-deleted document; returns null if it is not deleted
+   */
+  async restoreById(id) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { _id: id, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null, deletedBy: null } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to restore ${this.model.modelName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Permanently delete documents soft-deleted before a date and return them
+   */
+  async purgeDeleted(deletedBefore) {
+    try {
+      const documents = await this.model.find({ deletedAt: { $ne: null, $lte: deletedBefore } });
+      if (documents.length > 0) {
+        await this.model.deleteMany({ _id: { $in: documents.map(document => document._id) } });
+      }
+      return documents;
+    } catch (error) {
+      throw new Error(`Failed to purge deleted ${this.model.modelName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether the model uses the softDelete plugin
+   */
+  supportsSoftDelete() {
+    return !!this.model.schema.path('deletedAt');
+  }
+
   /**
    * Count documents with filters
    */
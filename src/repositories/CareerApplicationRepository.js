@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const BaseRepository = require('./BaseRepository');
 const CareerApplication = require('../models/CareerApplication');
 
@@ -46,6 +47,65 @@ class CareerApplicationRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Find the IDs of all applications for a job posting
+   */
+  async findIdsByJob(jobId) {
+    try {
+      return await this.model.distinct('_id', { job: jobId });
+    } catch (error) {
+      throw new Error(`Failed to find applications by job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count a job's applications per status
+   */
+  async countByStatusForJob(jobId) {
+    try {
+      const stats = await this.model.aggregate([
+        { $match: { job: new mongoose.Types.ObjectId(jobId) } },
+        {
+          $group: {
+            _id: '$status',
+            count: { $sum: 1 }
+          }
+        }
+      ]);
+
+      return stats.reduce((acc, stat) => {
+        acc[stat._id] = stat.count;
+        return acc;
+      }, {});
+    } catch (error) {
+      throw new Error(`Failed to count applications by status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count applications per job posting
+   */
+  async countByJob() {
+    try {
+      const counts = await this.model.aggregate([
+        { $match: { job: { $ne: null } } },
+        {
+          $group: {
+            _id: '$job',
+            count: { $sum: 1 }
+          }
+        }
+      ]);
+
+      return counts.reduce((acc, stat) => {
+        acc[stat._id] = stat.count;
+        return acc;
+      }, {});
+    } catch (error) {
+      throw new Error(`Failed to count applications by job: ${error.message}`);
+    }
+  }
+
   /**
    * Update application status
    */
@@ -86,13 +146,29 @@ class CareerApplicationRepository extends BaseRepository {
         byStatus: stats.reduce((acc, stat) => {
           acc[stat._id] = stat.count;
           return acc;
-        }, {})
+        }, {}),
+        byJob: await this.countByJob()
       };
     } catch (error) {
       throw new Error(`Failed to get application statistics: ${error.message}`);
     }
   }
 
+  /**
+   * Record a resume access entry
+   */
+  async logResumeAccess(id, entry) {
+    try {
+      return await this.model.findByIdAndUpdate(
+        id,
+        { $push: { resumeAccessLog: entry } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to log resume access: ${error.message}`);
+    }
+  }
+
   /**
    * Find applications by email
    */
@@ -103,6 +179,67 @@ class CareerApplicationRepository extends BaseRepository {
       throw new Error(`Failed to find applications by email: ${error.message}`);
     }
   }
+
+  /**
+   * Find an applicant's applications with their jobs, newest first
+   */
+  async findByApplicant(applicantId) {
+    try {
+      return await this.model.find({ applicant: applicantId })
+        .populate('job', 'title department status')
+        .sort({ appliedAt: -1 });
+    } catch (error) {
+      throw new Error(`Failed to find applications by applicant: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the earliest application for a job with the same email or phone number
+   */
+  async findDuplicate(jobId, email, phone) {
+    try {
+      const conditions = [{ email: String(email || '').toLowerCase().trim() }];
+      const phoneNormalized = this.model.normalizePhone(phone);
+      if (phoneNormalized) {
+        conditions.push({ phoneNormalized });
+      }
+
+      return await this.model.findOne({ job: jobId, $or: conditions })
+        .sort({ appliedAt: 1 });
+    } catch (error) {
+      throw new Error(`Failed to find duplicate application: ${error.message}`);
+    }
+  }
+
+  /**
+   * Overwrite an application with the fields of a newer submission
+   */
+  async applySubmission(id, data) {
+    try {
+      const application = await this.findById(id);
+      if (!application) {
+        throw new Error('Application not found');
+      }
+      application.set(data);
+      return await application.save();
+    } catch (error) {
+      throw new Error(`Failed to update application: ${error.message}`);
+    }
+  }
+
+  /**
+   * Point applications flagged as duplicates of one application at another
+   */
+  async reassignDuplicates(fromId, toId) {
+    try {
+      return await this.model.updateMany(
+        { duplicateOf: fromId, _id: { $ne: toId } },
+        { $set: { duplicateOf: toId } }
+      );
+    } catch (error) {
+      throw new Error(`Failed to reassign duplicate applications: ${error.message}`);
+    }
+  }
 }
 
 module.exports = CareerApplicationRepository; 
\ No newline at end of file
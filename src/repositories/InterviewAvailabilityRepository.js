@@ -0,0 +1,29 @@
+const BaseRepository = require('./BaseRepository');
+const InterviewAvailability = require('../models/InterviewAvailability');
+
+/**
+ * Interview Availability Repository
+ * Single Responsibility: Handle all interviewer availability database operations
+ */
+class InterviewAvailabilityRepository extends BaseRepository {
+  constructor() {
+    super(InterviewAvailability);
+  }
+
+  /**
+   * Find the availability windows of interviewers that overlap a time range
+   */
+  async findOverlapping(interviewerIds, from, to) {
+    try {
+      return await this.model.find({
+        interviewer: { $in: interviewerIds },
+        startsAt: { $lt: to },
+        endsAt: { $gt: from }
+      }).sort({ startsAt: 1 });
+    } catch (error) {
+      throw new Error(`Failed to find availability: ${error.message}`);
+    }
+  }
+}
+
+module.exports = InterviewAvailabilityRepository;
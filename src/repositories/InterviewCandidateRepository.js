@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const BaseRepository = require('./BaseRepository');
 const InterviewCandidate = require('../models/InterviewCandidate');
 
@@ -191,6 +192,38 @@ class InterviewCandidateRepository extends BaseRepository {
       .sort({ updatedAt: -1 });
   }
 
+  /**
+   * Expire pending offers whose validity has run out
+   * Returns the IDs of the affected candidates
+   */
+  async expirePendingOffers(now = new Date()) {
+    const filters = {
+      'offer.status': 'pending',
+      'offer.validUntil': { $lt: now }
+    };
+
+    const candidateIds = await this.model.distinct('_id', filters);
+    if (candidateIds.length === 0) {
+      return [];
+    }
+
+    await this.model.updateMany(
+      { _id: { $in: candidateIds }, ...filters },
+      {
+        $set: { 'offer.status': 'expired' },
+        $push: {
+          timeline: {
+            action: 'Offer expired',
+            date: now,
+            details: 'Offer was not accepted before its validity date'
+          }
+        }
+      }
+    );
+
+    return candidateIds;
+  }
+
   /**
    * Find candidates by rating range
    */
@@ -229,6 +262,131 @@ class InterviewCandidateRepository extends BaseRepository {
       .populate('communications.initiatedBy', 'name email');
   }
 
+  /**
+   * Soft-delete the candidate of a career application
+   */
+  async deleteByCareerApplication(careerApplicationId, deletedBy = null) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { careerApplication: careerApplicationId },
+        { $set: { deletedAt: new Date(), deletedBy } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to delete interview candidate: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore the deleted candidate of a career application
+   */
+  async restoreByCareerApplication(careerApplicationId) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { careerApplication: careerApplicationId, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null, deletedBy: null } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to restore interview candidate: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find candidates for a set of career applications
+   */
+  async findByCareerApplications(careerApplicationIds) {
+    return await this.model.find({ careerApplication: { $in: careerApplicationIds } })
+      .populate('interviews.interviewers', 'name email')
+      .populate('decision.madeBy', 'name email');
+  }
+
+  /**
+   * Link the candidate of a career application to an applicant
+   */
+  async setApplicant(careerApplicationId, applicantId) {
+    try {
+      return await this.model.updateOne(
+        { careerApplication: careerApplicationId },
+        { $set: { applicant: applicantId } }
+      );
+    } catch (error) {
+      throw new Error(`Failed to link interview candidate to applicant: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the scheduled interviews of any of the interviewers that overlap a time range
+   */
+  async findInterviewerBookings(interviewerIds, from, to) {
+    try {
+      const ids = interviewerIds.map(id => new mongoose.Types.ObjectId(id));
+
+      return await this.model.aggregate([
+        { $match: { 'interviews.interviewers': { $in: ids } } },
+        { $unwind: { path: '$interviews', includeArrayIndex: 'interviewIndex' } },
+        {
+          $match: {
+            'interviews.status': 'scheduled',
+            'interviews.interviewers': { $in: ids },
+            'interviews.scheduledAt': { $lt: to }
+          }
+        },
+        {
+          $addFields: {
+            endsAt: {
+              $add: ['$interviews.scheduledAt', { $multiply: [{ $ifNull: ['$interviews.duration', 60] }, 60 * 1000] }]
+            }
+          }
+        },
+        { $match: { endsAt: { $gt: from } } },
+        { $sort: { 'interviews.scheduledAt': 1 } },
+        {
+          $project: {
+            _id: 0,
+            candidate: '$_id',
+            careerApplication: 1,
+            interviewIndex: 1,
+            interview: '$interviews',
+            endsAt: 1
+          }
+        }
+      ]);
+    } catch (error) {
+      throw new Error(`Failed to find interviewer bookings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find which of the given career applications have a candidate in a stage
+   */
+  async findCareerApplicationIdsByStage(careerApplicationIds, stage) {
+    return await this.model.distinct('careerApplication', {
+      careerApplication: { $in: careerApplicationIds },
+      currentStage: stage
+    });
+  }
+
+  /**
+   * Count candidates per stage for a set of career applications
+   */
+  async countByStageForApplications(careerApplicationIds) {
+    const stats = await this.model.aggregate([
+      { $match: { careerApplication: { $in: careerApplicationIds } } },
+      {
+        $group: {
+          _id: '$currentStage',
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    return stats.reduce((acc, stat) => {
+      acc[stat._id] = stat.count;
+      return acc;
+    }, {});
+  }
+
   /**
    * Get candidate statistics
    */
@@ -294,6 +452,36 @@ class InterviewCandidateRepository extends BaseRepository {
     return await candidate.scheduleInterview(interviewData);
   }
 
+  /**
+   * Find active candidates with a scheduled interview starting in a time range
+   */
+  async findWithInterviewsStartingBetween(from, to) {
+    return await this.model.find({
+      currentStage: { $nin: ['rejected', 'hired'] },
+      interviews: {
+        $elemMatch: { status: 'scheduled', scheduledAt: { $gt: from, $lte: to } }
+      }
+    })
+    .populate('careerApplication', 'firstName lastName email position')
+    .populate('interviews.interviewers', 'name email');
+  }
+
+  /**
+   * Record reminders for an interview as sent; returns false if another run already sent one of them
+   */
+  async claimInterviewReminders(candidateId, interviewId, offsets) {
+    const result = await this.model.updateOne(
+      {
+        _id: candidateId,
+        interviews: {
+          $elemMatch: { _id: interviewId, status: 'scheduled', remindersSent: { $nin: offsets } }
+        }
+      },
+      { $addToSet: { 'interviews.$.remindersSent': { $each: offsets } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
   /**
    * Update candidate stage
    */
@@ -0,0 +1,81 @@
+const BaseRepository = require('./BaseRepository');
+const Invitation = require('../models/Invitation');
+
+/**
+ * Invitation Repository
+ * Single Responsibility: Handle all invitation-related database operations
+ */
+class InvitationRepository extends BaseRepository {
+  constructor() {
+    super(Invitation);
+  }
+
+  /**
+   * Find an invitation that can still be accepted
+   */
+  async findPendingByTokenHash(tokenHash) {
+    try {
+      return await this.model.findOne({
+        tokenHash,
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
+    } catch (error) {
+      throw new Error(`Failed to find invitation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark a pending invitation as accepted; returns null if it was already used, revoked or expired
+   */
+  async markAccepted(id, userId) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { _id: id, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { acceptedAt: new Date(), acceptedUser: userId } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to accept invitation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke every open invitation for an email address
+   */
+  async revokePendingForEmail(email) {
+    try {
+      const result = await this.model.updateMany(
+        { email: email.toLowerCase(), acceptedAt: null, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Failed to revoke invitations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find invitations, optionally filtered by status
+   */
+  async findByStatus(status = null) {
+    try {
+      const now = new Date();
+      const filters = {
+        pending: { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+        accepted: { acceptedAt: { $ne: null } },
+        revoked: { acceptedAt: null, revokedAt: { $ne: null } },
+        expired: { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } }
+      };
+
+      return await this.model.find(status ? filters[status] : {})
+        .populate('invitedBy', 'name email')
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      throw new Error(`Failed to find invitations: ${error.message}`);
+    }
+  }
+}
+
+module.exports = InvitationRepository;
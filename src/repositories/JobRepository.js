@@ -124,6 +124,16 @@ class JobRepository extends BaseRepository {
     .sort({ applicationDeadline: 1 });
   }
 
+  /**
+   * Find published jobs whose application deadline has passed
+   */
+  async findPublishedPastDeadline(now = new Date()) {
+    return await this.model.find({
+      status: 'published',
+      applicationDeadline: { $lt: now }
+    });
+  }
+
   /**
    * Get job statistics
    */
@@ -177,6 +187,32 @@ class JobRepository extends BaseRepository {
     ).populate('postedBy', 'name email');
   }
 
+  /**
+   * Atomically take one open seat on a job
+   * Returns null when the job is missing or already full
+   */
+  async claimPosition(jobId) {
+    return await this.model.findOneAndUpdate(
+      {
+        _id: jobId,
+        $expr: { $lt: [{ $ifNull: ['$positionsFilled', 0] }, '$numberOfPositions'] }
+      },
+      { $inc: { positionsFilled: 1 } },
+      { new: true }
+    ).populate('postedBy', 'name email');
+  }
+
+  /**
+   * Give a previously taken seat back
+   */
+  async releasePosition(jobId) {
+    return await this.model.findOneAndUpdate(
+      { _id: jobId, positionsFilled: { $gt: 0 } },
+      { $inc: { positionsFilled: -1 } },
+      { new: true }
+    );
+  }
+
   /**
    * Find jobs by user
    */
@@ -185,6 +221,32 @@ class JobRepository extends BaseRepository {
       .populate('postedBy', 'name email')
       .sort({ createdAt: -1 });
   }
+
+  /**
+   * Find a job with its scorecard templates
+   */
+  async findWithScorecards(id) {
+    try {
+      return await this.model.findById(id).select('+scorecards');
+    } catch (error) {
+      throw new Error(`Failed to find job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace a job's scorecard templates
+   */
+  async updateScorecards(id, scorecards) {
+    try {
+      return await this.model.findByIdAndUpdate(
+        id,
+        { $set: { scorecards } },
+        { new: true, runValidators: true }
+      ).select('+scorecards');
+    } catch (error) {
+      throw new Error(`Failed to update scorecards: ${error.message}`);
+    }
+  }
 }
 
 module.exports = JobRepository; 
\ No newline at end of file
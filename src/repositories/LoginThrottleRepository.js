@@ -0,0 +1,62 @@
+const BaseRepository = require('./BaseRepository');
+const LoginThrottle = require('../models/LoginThrottle');
+
+/**
+ * Login Throttle Repository
+ * Single Responsibility: Handle all per-IP login throttle database operations
+ */
+class LoginThrottleRepository extends BaseRepository {
+  constructor() {
+    super(LoginThrottle);
+  }
+
+  /**
+   * Find the throttle record of an IP
+   */
+  async findByIp(ip) {
+    try {
+      return await this.model.findOne({ ip });
+    } catch (error) {
+      throw new Error(`Failed to find login throttle: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count a failed login for an IP, starting a new window if the current one is over
+   */
+  async recordFailure(ip, windowMs) {
+    try {
+      const now = new Date();
+      const windowStart = new Date(now.getTime() - windowMs);
+
+      // Continue the current window...
+      const current = await this.model.findOneAndUpdate(
+        { ip, windowStartedAt: { $gt: windowStart } },
+        { $inc: { failures: 1 } },
+        { new: true }
+      );
+      if (current) {
+        return current;
+      }
+
+      // ...or start a new one
+      return await this.model.findOneAndUpdate(
+        { ip },
+        {
+          $set: {
+            failures: 1,
+            windowStartedAt: now,
+            delayUntil: null,
+            blockedUntil: null,
+            expiresAt: new Date(now.getTime() + windowMs)
+          }
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to record login failure: ${error.message}`);
+    }
+  }
+}
+
+module.exports = LoginThrottleRepository;
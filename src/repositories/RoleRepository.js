@@ -0,0 +1,66 @@
+const BaseRepository = require('./BaseRepository');
+const Role = require('../models/Role');
+
+/**
+ * Role Repository
+ * Single Responsibility: Handle all role-related database operations
+ */
+class RoleRepository extends BaseRepository {
+  constructor() {
+    super(Role);
+  }
+
+  /**
+   * Find role by name
+   */
+  async findByName(name) {
+    try {
+      return await this.model.findOne({ name: name.toLowerCase() });
+    } catch (error) {
+      throw new Error(`Failed to find role by name: ${error.message}`);
+    }
+  }
+
+  /**
+   * Insert a role unless one with the same name already exists
+   */
+  async createIfMissing(roleData) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { name: roleData.name },
+        { $setOnInsert: roleData },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to seed role: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update role by name
+   */
+  async updateByName(name, data) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { name: name.toLowerCase() },
+        data,
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to update role: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete role by name
+   */
+  async deleteByName(name) {
+    try {
+      return await this.model.findOneAndDelete({ name: name.toLowerCase() });
+    } catch (error) {
+      throw new Error(`Failed to delete role: ${error.message}`);
+    }
+  }
+}
+
+module.exports = RoleRepository;
@@ -0,0 +1,73 @@
+const BaseRepository = require('./BaseRepository');
+const SchedulingLink = require('../models/SchedulingLink');
+
+/**
+ * Scheduling Link Repository
+ * Single Responsibility: Handle all candidate scheduling link database operations
+ */
+class SchedulingLinkRepository extends BaseRepository {
+  constructor() {
+    super(SchedulingLink);
+  }
+
+  /**
+   * Find a link that can still be used to book
+   */
+  async findPendingByTokenHash(tokenHash) {
+    try {
+      return await this.model.findOne({
+        tokenHash,
+        bookedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
+    } catch (error) {
+      throw new Error(`Failed to find scheduling link: ${error.message}`);
+    }
+  }
+
+  /**
+   * Claim a pending link for a booking; returns null if it was already used, revoked or expired
+   */
+  async markBooked(id) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { _id: id, bookedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { bookedAt: new Date() } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to book scheduling link: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke a candidate's open links, or only those for one interview stage
+   */
+  async revokePendingForCandidate(candidateId, stage = null) {
+    try {
+      const result = await this.model.updateMany(
+        { candidate: candidateId, ...(stage && { stage }), bookedAt: null, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Failed to revoke scheduling links: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a candidate's links, newest first
+   */
+  async findByCandidate(candidateId) {
+    try {
+      return await this.model.find({ candidate: candidateId })
+        .populate('interviewers', 'name email')
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      throw new Error(`Failed to find scheduling links: ${error.message}`);
+    }
+  }
+}
+
+module.exports = SchedulingLinkRepository;
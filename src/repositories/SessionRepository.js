@@ -0,0 +1,91 @@
+const BaseRepository = require('./BaseRepository');
+const Session = require('../models/Session');
+
+/**
+ * Session Repository
+ * Single Responsibility: Handle all session-related database operations
+ */
+class SessionRepository extends BaseRepository {
+  constructor() {
+    super(Session);
+  }
+
+  /**
+   * Find a session that is neither revoked nor expired
+   */
+  async findActiveById(id) {
+    try {
+      return await this.model.findOne({
+        _id: id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
+    } catch (error) {
+      throw new Error(`Failed to find session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Swap the refresh token hash, only if the presented token is still current
+   */
+  async rotateToken(id, currentHash, newHash) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { _id: id, tokenHash: currentHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { tokenHash: newHash, previousTokenHash: currentHash, lastUsedAt: new Date() } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to rotate session token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke a single session
+   */
+  async revoke(id, reason) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { _id: id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to revoke session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke every active session of a user
+   */
+  async revokeAllForUser(userId, reason) {
+    try {
+      const result = await this.model.updateMany(
+        { user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Failed to revoke sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the active sessions of a user, most recently used first
+   */
+  async findActiveByUser(userId) {
+    try {
+      return await this.model.find({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      })
+        .select('-tokenHash -previousTokenHash')
+        .sort({ lastUsedAt: -1 });
+    } catch (error) {
+      throw new Error(`Failed to find sessions: ${error.message}`);
+    }
+  }
+}
+
+module.exports = SessionRepository;
@@ -0,0 +1,24 @@
+const BaseRepository = require('./BaseRepository');
+const TaskRun = require('../models/TaskRun');
+
+/**
+ * Task Run Repository
+ * Single Responsibility: Handle all task run-related database operations
+ */
+class TaskRunRepository extends BaseRepository {
+  constructor() {
+    super(TaskRun);
+  }
+
+  /**
+   * Find the most recent runs, optionally for a single task
+   */
+  async findRecent(task = null, limit = 50) {
+    const filters = task ? { task } : {};
+    return await this.model.find(filters)
+      .sort({ startedAt: -1 })
+      .limit(limit);
+  }
+}
+
+module.exports = TaskRunRepository;
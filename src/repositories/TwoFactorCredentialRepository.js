@@ -0,0 +1,81 @@
+const BaseRepository = require('./BaseRepository');
+const TwoFactorCredential = require('../models/TwoFactorCredential');
+
+/**
+ * Two-Factor Credential Repository
+ * Single Responsibility: Handle all two-factor credential database operations
+ */
+class TwoFactorCredentialRepository extends BaseRepository {
+  constructor() {
+    super(TwoFactorCredential);
+  }
+
+  /**
+   * Find the credential of a user
+   */
+  async findByUser(userId) {
+    try {
+      return await this.model.findOne({ user: userId });
+    } catch (error) {
+      throw new Error(`Failed to find two-factor credential: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start (or restart) enrollment with a new, not yet enabled secret
+   */
+  async replacePending(userId, secret) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { user: userId, enabled: false },
+        { $set: { secret, recoveryCodes: [], lastUsedStep: 0 } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to save two-factor secret: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a used TOTP step; returns null if the step (or a later one) was already used
+   */
+  async markStepUsed(userId, step) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { user: userId, lastUsedStep: { $lt: step } },
+        { $set: { lastUsedStep: step } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to record two-factor code: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark a recovery code as used; returns null if it is unknown or already used
+   */
+  async useRecoveryCode(userId, hash) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { user: userId, recoveryCodes: { $elemMatch: { hash, usedAt: null } } },
+        { $set: { 'recoveryCodes.$.usedAt': new Date() } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to use recovery code: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete the credential of a user
+   */
+  async deleteByUser(userId) {
+    try {
+      return await this.model.findOneAndDelete({ user: userId });
+    } catch (error) {
+      throw new Error(`Failed to delete two-factor credential: ${error.message}`);
+    }
+  }
+}
+
+module.exports = TwoFactorCredentialRepository;
@@ -14,9 +14,9 @@ class UserRepository extends BaseRepository {
   /**
    * Find user by email
    */
-  async findByEmail(email) {
+  async findByEmail(email, withDeleted = false) {
     try {
-      return await this.model.findOne({ email: email.toLowerCase() });
+      return await this.model.findOne({ email: email.toLowerCase() }).setOptions({ withDeleted });
     } catch (error) {
       throw new Error(`Failed to find user by email: ${error.message}`);
     }
@@ -59,12 +59,58 @@ class UserRepository extends BaseRepository {
     }
   }
 
+  /**
+   * Count a failed login attempt
+   */
+  async recordFailedLogin(userId) {
+    try {
+      return await this.model.findByIdAndUpdate(
+        userId,
+        { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to record failed login: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lock an account that is not already locked; returns null if it was
+   */
+  async lockAccount(userId, lockedUntil) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { _id: userId, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }] },
+        { $set: { lockedUntil, failedLoginAttempts: 0, loginDelayUntil: null } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to lock account: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear failed login tracking and any lock
+   */
+  async resetLoginFailures(userId) {
+    try {
+      return await this.model.findByIdAndUpdate(
+        userId,
+        { $set: { failedLoginAttempts: 0, loginDelayUntil: null, lockedUntil: null } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to reset login failures: ${error.message}`);
+    }
+  }
+
   /**
    * Check if email exists
+   * Deleted users keep their address until they are purged
    */
   async emailExists(email) {
     try {
-      return await this.model.exists({ email: email.toLowerCase() });
+      return await this.model.exists({ email: email.toLowerCase() }).setOptions({ withDeleted: true });
     } catch (error) {
       throw new Error(`Failed to check email existence: ${error.message}`);
     }
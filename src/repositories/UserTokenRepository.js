@@ -0,0 +1,52 @@
+const BaseRepository = require('./BaseRepository');
+const UserToken = require('../models/UserToken');
+
+/**
+ * User Token Repository
+ * Single Responsibility: Handle all user token-related database operations
+ */
+class UserTokenRepository extends BaseRepository {
+  constructor() {
+    super(UserToken);
+  }
+
+  /**
+   * Mark a valid token as used and return it; returns null if it is unknown, used or expired
+   */
+  async consume(tokenHash, type) {
+    try {
+      return await this.model.findOneAndUpdate(
+        { tokenHash, type, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to consume token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a valid token without using it up; returns null if it is unknown, used or expired
+   */
+  async findValid(tokenHash, type) {
+    try {
+      return await this.model.findOne({ tokenHash, type, usedAt: null, expiresAt: { $gt: new Date() } });
+    } catch (error) {
+      throw new Error(`Failed to find token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a user's unused tokens of a type so only the newest one works
+   */
+  async deleteUnusedForUser(userId, type) {
+    try {
+      const result = await this.model.deleteMany({ user: userId, type, usedAt: null });
+      return result.deletedCount;
+    } catch (error) {
+      throw new Error(`Failed to delete tokens: ${error.message}`);
+    }
+  }
+}
+
+module.exports = UserTokenRepository;
@@ -2,14 +2,28 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const UserController = require('../controllers/UserController');
+const SchedulerController = require('../controllers/SchedulerController');
+const RoleController = require('../controllers/RoleController');
+const InvitationController = require('../controllers/InvitationController');
+const TwoFactorController = require('../controllers/TwoFactorController');
+const AuditLogController = require('../controllers/AuditLogController');
+const JobController = require('../controllers/JobController');
+const CareerApplicationController = require('../controllers/CareerApplicationController');
 
 const userController = new UserController();
+const schedulerController = new SchedulerController();
+const roleController = new RoleController();
+const invitationController = new InvitationController();
+const twoFactorController = new TwoFactorController();
+const auditLogController = new AuditLogController();
+const jobController = new JobController();
+const careerApplicationController = new CareerApplicationController();
 
 /**
  * @swagger
  * /api/admin/users:
  *   get:
- *     summary: Get all users (admin only)
+ *     summary: Get all users
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -19,15 +33,143 @@ const userController = new UserController();
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Access denied - admin privileges required
+ *         description: Requires users:manage permission
  */
-router.get('/users', auth.verifyToken, auth.requireAdmin, (req, res) => userController.getAllUsers(req, res));
+router.get('/users', auth.verifyToken, auth.require('users:manage'), (req, res) => userController.getAllUsers(req, res));
+
+/**
+ * @swagger
+ * /api/admin/users/invitations:
+ *   get:
+ *     summary: List staff invitations
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *     responses:
+ *       200:
+ *         description: Invitations, newest first
+ *       403:
+ *         description: Requires users:manage permission
+ */
+router.get('/users/invitations', auth.verifyToken, auth.require('users:manage'), (req, res) => invitationController.getInvitations(req, res));
+
+/**
+ * @swagger
+ * /api/admin/users/invitations:
+ *   post:
+ *     summary: Invite a staff member by email
+ *     description: Emails a single-use link to /accept-invite on the dashboard. Any earlier open invitation for the same email is revoked.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 description: Name of an existing role (see /api/admin/roles)
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Missing email or unknown role
+ *       403:
+ *         description: Requires users:manage permission
+ *       409:
+ *         description: A user with this email already exists
+ */
+router.post('/users/invitations', auth.verifyToken, auth.require('users:manage'), (req, res) => invitationController.createInvitation(req, res));
+
+/**
+ * @swagger
+ * /api/admin/users/invitations/{id}/resend:
+ *   post:
+ *     summary: Send a fresh link for an invitation and extend its expiry
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation resent; the previous link no longer works
+ *       403:
+ *         description: Requires users:manage permission
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation already accepted or revoked
+ */
+router.post('/users/invitations/:id/resend', auth.verifyToken, auth.require('users:manage'), (req, res) => invitationController.resendInvitation(req, res));
+
+/**
+ * @swagger
+ * /api/admin/users/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an invitation
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       403:
+ *         description: Requires users:manage permission
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation already accepted
+ */
+router.delete('/users/invitations/:id', auth.verifyToken, auth.require('users:manage'), (req, res) => invitationController.revokeInvitation(req, res));
+
+/**
+ * @swagger
+ * /api/admin/users/deleted:
+ *   get:
+ *     summary: List deleted users that can still be restored
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deleted users, most recently deleted first
+ *       403:
+ *         description: Requires users:manage permission
+ */
+router.get('/users/deleted', auth.verifyToken, auth.require('users:manage'), (req, res) => userController.getDeletedUsers(req, res));
 
 /**
  * @swagger
  * /api/admin/users/{id}:
  *   get:
- *     summary: Get user by ID (admin only)
+ *     summary: Get user by ID
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -43,17 +185,17 @@ router.get('/users', auth.verifyToken, auth.requireAdmin, (req, res) => userCont
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Access denied - admin privileges required
+ *         description: Requires users:manage permission
  *       404:
  *         description: User not found
  */
-router.get('/users/:id', auth.verifyToken, auth.requireAdmin, (req, res) => userController.getUserById(req, res));
+router.get('/users/:id', auth.verifyToken, auth.require('users:manage'), (req, res) => userController.getUserById(req, res));
 
 /**
  * @swagger
  * /api/admin/users/{id}:
  *   put:
- *     summary: Update user (admin only)
+ *     summary: Update user
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -76,7 +218,7 @@ router.get('/users/:id', auth.verifyToken, auth.requireAdmin, (req, res) => user
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [user, manager, admin]
+ *                 description: Name of an existing role (see /api/admin/roles)
  *               isActive:
  *                 type: boolean
  *     responses:
@@ -85,17 +227,17 @@ router.get('/users/:id', auth.verifyToken, auth.requireAdmin, (req, res) => user
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Access denied - admin privileges required
+ *         description: Requires users:manage permission
  *       404:
  *         description: User not found
  */
-router.put('/users/:id', auth.verifyToken, auth.requireAdmin, (req, res) => userController.updateUser(req, res));
+router.put('/users/:id', auth.verifyToken, auth.require('users:manage'), (req, res) => userController.updateUser(req, res));
 
 /**
  * @swagger
  * /api/admin/users:
  *   post:
- *     summary: Create new user (admin only)
+ *     summary: Create new user
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -119,7 +261,7 @@ router.put('/users/:id', auth.verifyToken, auth.requireAdmin, (req, res) => user
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [user, manager, admin]
+ *                 description: Name of an existing role (see /api/admin/roles)
  *               isActive:
  *                 type: boolean
  *                 default: true
@@ -129,17 +271,17 @@ router.put('/users/:id', auth.verifyToken, auth.requireAdmin, (req, res) => user
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Access denied - admin privileges required
+ *         description: Requires users:manage permission
  *       400:
  *         description: Bad request
  */
-router.post('/users', auth.verifyToken, auth.requireAdmin, (req, res) => userController.createUser(req, res));
+router.post('/users', auth.verifyToken, auth.require('users:manage'), (req, res) => userController.createUser(req, res));
 
 /**
  * @swagger
  * /api/admin/users/{id}:
  *   delete:
- *     summary: Delete user (admin only)
+ *     summary: Delete user
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -155,10 +297,480 @@ router.post('/users', auth.verifyToken, auth.requireAdmin, (req, res) => userCon
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Access denied - admin privileges required
+ *         description: Requires users:manage permission
  *       404:
  *         description: User not found
  */
-router.delete('/users/:id', auth.verifyToken, auth.requireAdmin, (req, res) => userController.deleteUser(req, res));
+router.delete('/users/:id', auth.verifyToken, auth.require('users:manage'), (req, res) => userController.deleteUser(req, res));
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted user
+ *     description: The user has to sign in again; their sessions were revoked on delete.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User restored
+ *       403:
+ *         description: Requires users:manage permission
+ *       404:
+ *         description: Deleted user not found
+ */
+router.post('/users/:id/restore', auth.verifyToken, auth.require('users:manage'), (req, res) => userController.restoreUser(req, res));
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account locked after too many failed logins
+ *     description: Clears the lock, the failed attempt count and any login delay.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       403:
+ *         description: Requires users:manage permission
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/unlock', auth.verifyToken, auth.require('users:manage'), (req, res) => userController.unlockUser(req, res));
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/2fa:
+ *   delete:
+ *     summary: Reset two-factor authentication for a user who lost their device
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication removed from the account
+ *       403:
+ *         description: Requires users:manage permission
+ *       404:
+ *         description: User not found
+ */
+router.delete('/users/:id/2fa', auth.verifyToken, auth.require('users:manage'), (req, res) => twoFactorController.resetForUser(req, res));
+
+/**
+ * @swagger
+ * /api/admin/permissions:
+ *   get:
+ *     summary: List every permission that can be granted to a role
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission names with descriptions
+ *       403:
+ *         description: Requires roles:manage permission
+ */
+router.get('/permissions', auth.verifyToken, auth.require('roles:manage'), (req, res) => roleController.getPermissions(req, res));
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: List roles and their permissions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of roles
+ *       403:
+ *         description: Requires roles:manage permission
+ */
+router.get('/roles', auth.verifyToken, auth.require('roles:manage'), (req, res) => roleController.getRoles(req, res));
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   post:
+ *     summary: Create a custom role
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: sourcer
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [applications:read, applications:resume]
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Invalid name or unknown permissions
+ *       403:
+ *         description: Requires roles:manage permission
+ *       409:
+ *         description: Role already exists
+ */
+router.post('/roles', auth.verifyToken, auth.require('roles:manage'), (req, res) => roleController.createRole(req, res));
+
+/**
+ * @swagger
+ * /api/admin/roles/{name}:
+ *   put:
+ *     summary: Update a role's description or permissions
+ *     description: Changes take effect within a minute; the admin role cannot be modified.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Unknown permissions
+ *       403:
+ *         description: Requires roles:manage permission, or the role is admin
+ *       404:
+ *         description: Role not found
+ */
+router.put('/roles/:name', auth.verifyToken, auth.require('roles:manage'), (req, res) => roleController.updateRole(req, res));
+
+/**
+ * @swagger
+ * /api/admin/roles/{name}:
+ *   delete:
+ *     summary: Delete a custom role
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       403:
+ *         description: Requires roles:manage permission
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Built-in role, or role still assigned to users
+ */
+router.delete('/roles/:name', auth.verifyToken, auth.require('roles:manage'), (req, res) => roleController.deleteRole(req, res));
+
+/**
+ * @swagger
+ * /api/admin/scheduler/tasks:
+ *   get:
+ *     summary: List scheduled tasks
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered tasks with their intervals
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires scheduler:manage permission
+ */
+router.get('/scheduler/tasks', auth.verifyToken, auth.require('scheduler:manage'), (req, res) => schedulerController.getTasks(req, res));
+
+/**
+ * @swagger
+ * /api/admin/scheduler/tasks/{task}/run:
+ *   post:
+ *     summary: Run a scheduled task now
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: task
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Task completed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires scheduler:manage permission
+ *       404:
+ *         description: Task not found
+ */
+router.post('/scheduler/tasks/:task/run', auth.verifyToken, auth.require('scheduler:manage'), (req, res) => schedulerController.runTask(req, res));
+
+/**
+ * @swagger
+ * /api/admin/scheduler/runs:
+ *   get:
+ *     summary: Get recent scheduled task runs
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: task
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Task runs, most recent first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires scheduler:manage permission
+ */
+router.get('/scheduler/runs', auth.verifyToken, auth.require('scheduler:manage'), (req, res) => schedulerController.getRecentRuns(req, res));
+
+/**
+ * @swagger
+ * /api/admin/jobs/deleted:
+ *   get:
+ *     summary: List deleted jobs that can still be restored
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deleted jobs, most recently deleted first
+ *       403:
+ *         description: Requires jobs:delete permission
+ */
+router.get('/jobs/deleted', auth.verifyToken, auth.require('jobs:delete'), (req, res) => jobController.getDeletedJobs(req, res));
+
+/**
+ * @swagger
+ * /api/admin/jobs/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted job
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job restored
+ *       403:
+ *         description: Requires jobs:delete permission, and jobs:manage-any for other users' jobs
+ *       404:
+ *         description: Deleted job not found
+ */
+router.post('/jobs/:id/restore', auth.verifyToken, auth.require('jobs:delete'), (req, res) => jobController.restoreJob(req, res));
+
+/**
+ * @swagger
+ * /api/admin/applications/deleted:
+ *   get:
+ *     summary: List deleted applications that can still be restored
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deleted applications, most recently deleted first
+ *       403:
+ *         description: Requires applications:delete permission
+ */
+router.get('/applications/deleted', auth.verifyToken, auth.require('applications:delete'), (req, res) => careerApplicationController.getDeletedApplications(req, res));
+
+/**
+ * @swagger
+ * /api/admin/applications/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted application and its interview candidate
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Application restored
+ *       403:
+ *         description: Requires applications:delete permission
+ *       404:
+ *         description: Deleted application not found
+ */
+router.post('/applications/:id/restore', auth.verifyToken, auth.require('applications:delete'), (req, res) => careerApplicationController.restoreApplication(req, res));
+
+/**
+ * @swagger
+ * /api/admin/applications/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate application into this one
+ *     description: >
+ *       Both applications must be for the same job. Missing details and the resume are
+ *       taken from the duplicate, the interview candidates' interviews, communications
+ *       and timelines are combined, and the duplicate is deleted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - duplicateId
+ *             properties:
+ *               duplicateId:
+ *                 type: string
+ *                 description: Application to merge and delete
+ *     responses:
+ *       200:
+ *         description: Merged application and interview candidate
+ *       400:
+ *         description: Same application or different jobs
+ *       403:
+ *         description: Requires applications:delete permission
+ *       404:
+ *         description: Application not found
+ *       409:
+ *         description: The duplicate's candidate has been hired or has an open offer
+ */
+router.post('/applications/:id/merge', auth.verifyToken, auth.require('applications:delete'), (req, res) => careerApplicationController.mergeApplications(req, res));
+
+/**
+ * @swagger
+ * /api/admin/audit-log:
+ *   get:
+ *     summary: Get the audit log
+ *     description: Who changed which job, application, user or candidate, with the changed fields, IP and user agent
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         description: User ID of the actor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         description: e.g. job.update, candidate.stage
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [job, application, user, candidate]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Entries, newest first, with pagination
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires audit:read permission
+ */
+router.get('/audit-log', auth.verifyToken, auth.require('audit:read'), (req, res) => auditLogController.getEntries(req, res));
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
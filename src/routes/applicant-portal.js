@@ -0,0 +1,174 @@
+const express = require('express');
+const ApplicantPortalController = require('../controllers/ApplicantPortalController');
+const upload = require('../middleware/upload');
+
+const router = express.Router();
+const applicantPortalController = new ApplicantPortalController();
+
+/**
+ * @swagger
+ * /api/applicant-portal/{token}:
+ *   get:
+ *     summary: Get an applicant's view of their application
+ *     description: >
+ *       Public. The token is the signed link from the application confirmation email. Shows the
+ *       application status, the resume on file and upcoming interviews.
+ *     tags: [Applicant Portal]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Application status, upcoming interviews and the actions still available
+ *       401:
+ *         description: Invalid or expired portal link
+ *       404:
+ *         description: Application not found
+ */
+router.get('/:token', (req, res) => applicantPortalController.getPortal(req, res));
+
+/**
+ * @swagger
+ * /api/applicant-portal/{token}/withdraw:
+ *   post:
+ *     summary: Withdraw the application
+ *     description: Marks the application withdrawn, rejects its interview candidate and cancels scheduled interviews.
+ *     tags: [Applicant Portal]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Application withdrawn
+ *       401:
+ *         description: Invalid or expired portal link
+ *       409:
+ *         description: The application is already hired, rejected or withdrawn
+ */
+router.post('/:token/withdraw', (req, res) => applicantPortalController.withdraw(req, res));
+
+/**
+ * @swagger
+ * /api/applicant-portal/{token}/resume:
+ *   post:
+ *     summary: Upload an updated resume
+ *     tags: [Applicant Portal]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resume
+ *             properties:
+ *               resume:
+ *                 type: string
+ *                 format: binary
+ *                 description: PDF, DOC or DOCX file (max 5MB by default)
+ *     responses:
+ *       200:
+ *         description: Resume replaced
+ *       400:
+ *         description: Missing or invalid resume file
+ *       401:
+ *         description: Invalid or expired portal link
+ *       409:
+ *         description: The application is already hired, rejected or withdrawn
+ */
+router.post('/:token/resume', upload.resume, (req, res) => applicantPortalController.updateResume(req, res));
+
+/**
+ * @swagger
+ * /api/applicant-portal/{token}/resubmission:
+ *   post:
+ *     summary: Confirm the changes sent with a repeated application
+ *     description: >
+ *       With DUPLICATE_APPLICATION_POLICY=update, applying again for the same job holds the new details
+ *       and resume on the application and emails this portal link. Nothing changes until they are confirmed
+ *       here. The earlier resume file is kept.
+ *     tags: [Applicant Portal]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resubmissionId
+ *             properties:
+ *               resubmissionId:
+ *                 type: string
+ *                 description: The pendingResubmission _id shown in the portal
+ *     responses:
+ *       200:
+ *         description: Application updated
+ *       401:
+ *         description: Invalid or expired portal link
+ *       404:
+ *         description: No pending changes with this ID
+ *       409:
+ *         description: The application is already hired, rejected or withdrawn
+ */
+router.post('/:token/resubmission', (req, res) => applicantPortalController.confirmResubmission(req, res));
+
+/**
+ * @swagger
+ * /api/applicant-portal/{token}/resubmission:
+ *   delete:
+ *     summary: Discard the changes sent with a repeated application
+ *     tags: [Applicant Portal]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resubmissionId
+ *             properties:
+ *               resubmissionId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Changes discarded
+ *       401:
+ *         description: Invalid or expired portal link
+ *       404:
+ *         description: No pending changes with this ID
+ */
+router.delete('/:token/resubmission', (req, res) => applicantPortalController.discardResubmission(req, res));
+
+module.exports = router;
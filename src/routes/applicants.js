@@ -0,0 +1,38 @@
+const express = require('express');
+const ApplicantController = require('../controllers/ApplicantController');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+const applicantController = new ApplicantController();
+
+/**
+ * @swagger
+ * /api/applicants/{id}:
+ *   get:
+ *     summary: Get an applicant and their history across jobs
+ *     description: >
+ *       The applicant's details with every application they submitted, newest first,
+ *       each with its job and interview candidate (stage, interviews, decision and offer).
+ *     tags: [Applicants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Applicant ID (the `applicant` field of an application)
+ *     responses:
+ *       200:
+ *         description: Applicant and application history; candidate offers are only included with candidates:view-offer
+ *       400:
+ *         description: Invalid applicant ID
+ *       403:
+ *         description: Requires applications:read permission
+ *       404:
+ *         description: Applicant not found
+ */
+router.get('/:id', auth.verifyToken, auth.require('applications:read'), (req, res) => applicantController.getApplicantById(req, res));
+
+module.exports = router;
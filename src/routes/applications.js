@@ -1,6 +1,7 @@
 const express = require('express');
 const CareerApplicationController = require('../controllers/CareerApplicationController');
 const auth = require('../middleware/auth');
+const upload = require('../middleware/upload');
 const databaseConfig = require('../config/database');
 
 const router = express.Router();
@@ -11,6 +12,10 @@ const applicationController = new CareerApplicationController();
  * /api/applications:
  *   post:
  *     summary: Submit a new career application
+ *     description: >
+ *       A second application for the same job with the same email or phone number is
+ *       rejected, updates the existing application, or is created and flagged as a
+ *       duplicate, depending on DUPLICATE_APPLICATION_POLICY.
  *     tags: [Career Applications]
  *     requestBody:
  *       required: true
@@ -23,7 +28,7 @@ const applicationController = new CareerApplicationController();
  *               - lastName
  *               - email
  *               - phone
- *               - position
+ *               - job
  *               - experience
  *             properties:
  *               firstName:
@@ -34,20 +39,56 @@ const applicationController = new CareerApplicationController();
  *                 type: string
  *               phone:
  *                 type: string
- *               position:
+ *               job:
  *                 type: string
+ *                 description: ID of a published job posting; position is taken from its title
  *               experience:
  *                 type: string
  *                 enum: [entry, mid, senior, expert]
  *               coverLetter:
  *                 type: string
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - firstName
+ *               - lastName
+ *               - email
+ *               - phone
+ *               - job
+ *               - experience
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               job:
+ *                 type: string
+ *                 description: ID of a published job posting; position is taken from its title
+ *               experience:
+ *                 type: string
+ *                 enum: [entry, mid, senior, expert]
+ *               coverLetter:
+ *                 type: string
+ *               resume:
+ *                 type: string
+ *                 format: binary
+ *                 description: PDF, DOC or DOCX file (max 5MB by default)
  *     responses:
  *       201:
- *         description: Application submitted successfully
+ *         description: Application submitted successfully (flagged with duplicateOf under the flag policy); the application itself is not returned
+ *       202:
+ *         description: Already applied with this email address (update policy); the changes are held until confirmed through the portal link emailed to the applicant
  *       400:
- *         description: Invalid input data
+ *         description: Invalid input data or resume file
+ *       409:
+ *         description: Already applied for this job (reject policy)
  */
-router.post('/', (req, res) => applicationController.createApplication(req, res));
+router.post('/', upload.resume, (req, res) => applicationController.createApplication(req, res));
 
 /**
  * @swagger
@@ -138,17 +179,27 @@ router.get('/test', async (req, res) => {
  *           type: string
  *         description: Filter by status
  *       - in: query
+ *         name: job
+ *         schema:
+ *           type: string
+ *         description: Filter by job ID
+ *       - in: query
  *         name: position
  *         schema:
  *           type: string
  *         description: Filter by position
+ *       - in: query
+ *         name: duplicates
+ *         schema:
+ *           type: boolean
+ *         description: Only applications flagged as duplicates
  *     responses:
  *       200:
  *         description: Applications retrieved successfully
  *       401:
  *         description: Unauthorized
  */
-router.get('/', auth.verifyToken, auth.requireManager, async (req, res, next) => {
+router.get('/', auth.verifyToken, auth.require('applications:read'), async (req, res, next) => {
   try {
     // Check database connection
     const dbStatus = databaseConfig.getStatus();
@@ -219,7 +270,7 @@ router.get('/', auth.verifyToken, auth.requireManager, async (req, res, next) =>
  *       401:
  *         description: Unauthorized
  */
-router.get('/status/:status', auth.verifyToken, auth.requireManager, (req, res) => applicationController.getApplicationsByStatus(req, res));
+router.get('/status/:status', auth.verifyToken, auth.require('applications:read'), (req, res) => applicationController.getApplicationsByStatus(req, res));
 
 /**
  * @swagger
@@ -241,7 +292,7 @@ router.get('/status/:status', auth.verifyToken, auth.requireManager, (req, res)
  *       401:
  *         description: Unauthorized
  */
-router.get('/recent', auth.verifyToken, auth.requireManager, (req, res) => applicationController.getRecentApplications(req, res));
+router.get('/recent', auth.verifyToken, auth.require('applications:read'), (req, res) => applicationController.getRecentApplications(req, res));
 
 /**
  * @swagger
@@ -257,7 +308,7 @@ router.get('/recent', auth.verifyToken, auth.requireManager, (req, res) => appli
  *       401:
  *         description: Unauthorized
  */
-router.get('/statistics', auth.verifyToken, auth.requireManager, (req, res) => applicationController.getApplicationStatistics(req, res));
+router.get('/statistics', auth.verifyToken, auth.require('applications:read'), (req, res) => applicationController.getApplicationStatistics(req, res));
 
 /**
  * @swagger
@@ -282,7 +333,7 @@ router.get('/statistics', auth.verifyToken, auth.requireManager, (req, res) => a
  *       401:
  *         description: Unauthorized
  */
-router.get('/search', auth.verifyToken, auth.requireManager, (req, res) => applicationController.searchApplications(req, res));
+router.get('/search', auth.verifyToken, auth.require('applications:read'), (req, res) => applicationController.searchApplications(req, res));
 
 /**
  * @swagger
@@ -307,13 +358,57 @@ router.get('/search', auth.verifyToken, auth.requireManager, (req, res) => appli
  *       401:
  *         description: Unauthorized
  */
-router.get('/:id', auth.verifyToken, auth.requireManager, (req, res) => applicationController.getApplicationById(req, res));
+router.get('/:id', auth.verifyToken, auth.require('applications:read'), (req, res) => applicationController.getApplicationById(req, res));
+
+/**
+ * @swagger
+ * /api/applications/{id}/resume:
+ *   get:
+ *     summary: Download or preview an application's resume (admin/manager only)
+ *     tags: [Career Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *       - in: query
+ *         name: inline
+ *         schema:
+ *           type: boolean
+ *         description: Render PDF resumes inline instead of downloading
+ *     responses:
+ *       200:
+ *         description: Resume file stream
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/msword:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/vnd.openxmlformats-officedocument.wordprocessingml.document:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Application or resume not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/resume', auth.verifyToken, auth.require('applications:resume'), (req, res) => applicationController.getResume(req, res));
 
 /**
  * @swagger
  * /api/applications/{id}/status:
  *   put:
  *     summary: Update application status (admin/manager only)
+ *     description: Rejecting an application also rejects its interview candidate, and moving it out of rejected reopens the candidate at screening. Only applications whose candidate has been hired can be marked hired.
  *     tags: [Career Applications]
  *     security:
  *       - bearerAuth: []
@@ -335,24 +430,25 @@ router.get('/:id', auth.verifyToken, auth.requireManager, (req, res) => applicat
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, reviewed, shortlisted, rejected, hired]
+ *                 enum: [pending, reviewed, shortlisted, rejected, hired, withdrawn]
  *               notes:
  *                 type: string
  *     responses:
  *       200:
  *         description: Status updated successfully
  *       400:
- *         description: Invalid input data
+ *         description: Invalid input data, or a status that contradicts the candidate's stage
  *       401:
  *         description: Unauthorized
  */
-router.put('/:id/status', auth.verifyToken, auth.requireManager, (req, res) => applicationController.updateApplicationStatus(req, res));
+router.put('/:id/status', auth.verifyToken, auth.require('applications:update'), (req, res) => applicationController.updateApplicationStatus(req, res));
 
 /**
  * @swagger
  * /api/applications/{id}:
  *   delete:
  *     summary: Delete application (admin only)
+ *     description: Soft-deletes the application together with its interview candidate.
  *     tags: [Career Applications]
  *     security:
  *       - bearerAuth: []
@@ -368,12 +464,14 @@ router.put('/:id/status', auth.verifyToken, auth.requireManager, (req, res) => a
  *         description: Application deleted successfully
  *       404:
  *         description: Application not found
+ *       409:
+ *         description: The candidate has been hired or has an open offer
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Admin privileges required
  */
-router.delete('/:id', auth.verifyToken, auth.requireAdmin, (req, res) => applicationController.deleteApplication(req, res));
+router.delete('/:id', auth.verifyToken, auth.require('applications:delete'), (req, res) => applicationController.deleteApplication(req, res));
 
 /**
  * @swagger
@@ -1,15 +1,20 @@
 const express = require('express');
 const UserController = require('../controllers/UserController');
+const InvitationController = require('../controllers/InvitationController');
+const TwoFactorController = require('../controllers/TwoFactorController');
 const auth = require('../middleware/auth');
 
 const router = express.Router();
 const userController = new UserController();
+const invitationController = new InvitationController();
+const twoFactorController = new TwoFactorController();
 
 /**
  * @swagger
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: Disabled unless ALLOW_PUBLIC_REGISTRATION=true. Staff accounts are created by accepting an invitation.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -28,14 +33,13 @@ const userController = new UserController();
  *                 type: string
  *               password:
  *                 type: string
- *               role:
- *                 type: string
- *                 enum: [user, manager, admin]
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully (always with the "user" role); a verification email is sent. Returns tokens, or only the user with emailVerificationRequired when REQUIRE_EMAIL_VERIFICATION=true
  *       400:
  *         description: Invalid input data
+ *       403:
+ *         description: Public registration is disabled
  */
 router.post('/register', (req, res) => userController.register(req, res));
 
@@ -61,12 +65,404 @@ router.post('/register', (req, res) => userController.register(req, res));
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. Returns a short-lived access token (`token`, valid for `expiresIn` seconds) and a refresh token. If the account has two-factor authentication enabled, returns `twoFactorRequired` and a `challengeToken` for /api/auth/login/2fa instead.
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts from this account or IP; retry after the delay in the message
  */
 router.post('/login', (req, res) => userController.login(req, res));
 
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Second login step for accounts with two-factor authentication
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Returned by /api/auth/login, valid for 5 minutes
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Single-use recovery code, instead of a code
+ *     responses:
+ *       200:
+ *         description: Login successful; same response as /api/auth/login
+ *       400:
+ *         description: Challenge token or code missing
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts; retry after the delay in the message
+ */
+router.post('/login/2fa', (req, res) => userController.loginTwoFactor(req, res));
+
+/**
+ * @swagger
+ * /api/auth/invitations/{token}:
+ *   get:
+ *     summary: Get the details of a pending invitation
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invited email, name, role and expiry
+ *       404:
+ *         description: Invalid, used, revoked or expired invitation
+ */
+router.get('/invitations/:token', (req, res) => invitationController.getInvitationByToken(req, res));
+
+/**
+ * @swagger
+ * /api/auth/accept-invite:
+ *   post:
+ *     summary: Accept a staff invitation and set a password
+ *     description: Creates the account with the role preset on the invitation and signs the user in.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *               name:
+ *                 type: string
+ *                 description: Overrides the name on the invitation
+ *     responses:
+ *       201:
+ *         description: Account created; returns the user and tokens like login
+ *       400:
+ *         description: Invalid, used, revoked or expired invitation, or invalid password
+ *       409:
+ *         description: An account already exists for the invited email
+ */
+router.post('/accept-invite', (req, res) => invitationController.acceptInvitation(req, res));
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: Refresh tokens rotate on every use. Replaying an already used refresh token revokes its session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *       400:
+ *         description: Refresh token missing
+ *       401:
+ *         description: Refresh token invalid, expired or revoked, or account deactivated
+ */
+router.post('/refresh', (req, res) => userController.refresh(req, res));
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Session revoked; its access and refresh tokens stop working
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', auth.verifyToken, (req, res) => userController.logout(req, res));
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Every session of the current user revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', auth.verifyToken, (req, res) => userController.logoutAll(req, res));
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions with device details; the one making the request has current=true
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', auth.verifyToken, (req, res) => userController.getSessions(req, res));
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always responds with 200 so the endpoint cannot be used to discover accounts.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Email missing
+ */
+router.post('/forgot-password', (req, res) => userController.forgotPassword(req, res));
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: Tokens are single-use and expire. A successful reset signs the user out of every device.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid, used or expired token, or password too short
+ */
+router.post('/reset-password', (req, res) => userController.resetPassword(req, res));
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address using a verification token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid, used or expired token
+ */
+router.post('/verify-email', (req, res) => userController.verifyEmail(req, res));
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification email to the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Email address is already verified
+ */
+router.post('/resend-verification', auth.verifyToken, (req, res) => userController.resendVerification(req, res));
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get the current user's two-factor status
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether 2FA is enabled or required for the user's role, and how many recovery codes are left
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/2fa', auth.verifyToken, (req, res) => twoFactorController.getStatus(req, res));
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new secret and an otpauth:// provisioning URI to render as a QR code. Calling it again restarts enrollment.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/setup', auth.verifyToken, (req, res) => twoFactorController.setup(req, res));
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a code from the authenticator app
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Enabled; returns one-time recovery codes and a fresh access token
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/enable', auth.verifyToken, (req, res) => twoFactorController.enable(req, res));
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid code
+ *       403:
+ *         description: Two-factor authentication is required for the user's role
+ */
+router.post('/2fa/disable', auth.verifyToken, (req, res) => twoFactorController.disable(req, res));
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes; the previous ones stop working
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ */
+router.post('/2fa/recovery-codes', auth.verifyToken, (req, res) => twoFactorController.regenerateRecoveryCodes(req, res));
+
 /**
  * @swagger
  * /api/auth/profile:
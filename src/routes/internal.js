@@ -0,0 +1,41 @@
+const express = require('express');
+const SchedulerController = require('../controllers/SchedulerController');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+const schedulerController = new SchedulerController();
+
+/**
+ * @swagger
+ * /api/internal/cron/{task}:
+ *   post:
+ *     summary: Run a scheduled task (requires CRON_SECRET)
+ *     description: Vercel cron invokes the same path with GET, which is accepted as well.
+ *     tags: [Internal]
+ *     parameters:
+ *       - in: path
+ *         name: task
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [close-expired-jobs, expire-offers]
+ *       - in: header
+ *         name: Authorization
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bearer CRON_SECRET
+ *     responses:
+ *       200:
+ *         description: Task completed, returns the recorded task run
+ *       401:
+ *         description: Invalid cron secret
+ *       404:
+ *         description: Task not found
+ *       500:
+ *         description: Task failed
+ */
+router.post('/cron/:task', auth.requireCronSecret, (req, res) => schedulerController.runTask(req, res));
+router.get('/cron/:task', auth.requireCronSecret, (req, res) => schedulerController.runTask(req, res));
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require('express');
+const InterviewSchedulingController = require('../controllers/InterviewSchedulingController');
+
+const router = express.Router();
+const schedulingController = new InterviewSchedulingController();
+
+/**
+ * @swagger
+ * /api/interview-booking/{token}:
+ *   get:
+ *     summary: Get the interview and free slots behind a scheduling link
+ *     description: >
+ *       Public. The token comes from the scheduling link email. Slots are times in which every
+ *       interviewer has published availability and has no other interview booked.
+ *     tags: [Interview Booking]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Interview details and available slots
+ *       401:
+ *         description: Invalid or expired scheduling link
+ */
+router.get('/:token', (req, res) => schedulingController.getBookingOptions(req, res));
+
+/**
+ * @swagger
+ * /api/interview-booking/{token}:
+ *   post:
+ *     summary: Book an interview slot
+ *     description: Public. Each link books one interview; the candidate and interviewers get a confirmation email.
+ *     tags: [Interview Booking]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scheduledAt
+ *             properties:
+ *               scheduledAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of one of the offered slots
+ *     responses:
+ *       201:
+ *         description: Interview booked
+ *       401:
+ *         description: Invalid or expired scheduling link
+ *       409:
+ *         description: The slot is no longer available
+ */
+router.post('/:token', (req, res) => schedulingController.bookSlot(req, res));
+
+module.exports = router;
@@ -1,9 +1,11 @@
 const express = require('express');
 const InterviewCandidateController = require('../controllers/InterviewCandidateController');
+const InterviewSchedulingController = require('../controllers/InterviewSchedulingController');
 const auth = require('../middleware/auth');
 
 const router = express.Router();
 const interviewCandidateController = new InterviewCandidateController();
+const schedulingController = new InterviewSchedulingController();
 
 /**
  * @swagger
@@ -129,8 +131,10 @@ const interviewCandidateController = new InterviewCandidateController();
  *         description: Interview candidate created successfully
  *       400:
  *         description: Invalid input data
+ *       403:
+ *         description: Insufficient permissions
  */
-router.post('/', auth.verifyToken, (req, res) => interviewCandidateController.createFromApplication(req, res));
+router.post('/', auth.verifyToken, auth.require('candidates:create'), (req, res) => interviewCandidateController.createFromApplication(req, res));
 
 /**
  * @swagger
@@ -143,8 +147,10 @@ router.post('/', auth.verifyToken, (req, res) => interviewCandidateController.cr
  *     responses:
  *       200:
  *         description: List of interview candidates
+ *       403:
+ *         description: Insufficient permissions
  */
-router.get('/', auth.verifyToken, (req, res) => interviewCandidateController.getAllCandidates(req, res));
+router.get('/', auth.verifyToken, auth.require('candidates:read'), (req, res) => interviewCandidateController.getAllCandidates(req, res));
 
 /**
  * @swagger
@@ -157,8 +163,10 @@ router.get('/', auth.verifyToken, (req, res) => interviewCandidateController.get
  *     responses:
  *       200:
  *         description: Interview candidate statistics
+ *       403:
+ *         description: Insufficient permissions
  */
-router.get('/statistics', auth.verifyToken, (req, res) => interviewCandidateController.getCandidateStatistics(req, res));
+router.get('/statistics', auth.verifyToken, auth.require('candidates:read'), (req, res) => interviewCandidateController.getCandidateStatistics(req, res));
 
 /**
  * @swagger
@@ -171,8 +179,10 @@ router.get('/statistics', auth.verifyToken, (req, res) => interviewCandidateCont
  *     responses:
  *       200:
  *         description: List of candidates needing follow-up
+ *       403:
+ *         description: Insufficient permissions
  */
-router.get('/follow-up', auth.verifyToken, (req, res) => interviewCandidateController.getCandidatesNeedingFollowUp(req, res));
+router.get('/follow-up', auth.verifyToken, auth.require('candidates:read'), (req, res) => interviewCandidateController.getCandidatesNeedingFollowUp(req, res));
 
 /**
  * @swagger
@@ -185,8 +195,10 @@ router.get('/follow-up', auth.verifyToken, (req, res) => interviewCandidateContr
  *     responses:
  *       200:
  *         description: List of candidates with upcoming interviews
+ *       403:
+ *         description: Insufficient permissions
  */
-router.get('/upcoming-interviews', auth.verifyToken, (req, res) => interviewCandidateController.getCandidatesWithUpcomingInterviews(req, res));
+router.get('/upcoming-interviews', auth.verifyToken, auth.require('candidates:read'), (req, res) => interviewCandidateController.getCandidatesWithUpcomingInterviews(req, res));
 
 /**
  * @swagger
@@ -205,8 +217,10 @@ router.get('/upcoming-interviews', auth.verifyToken, (req, res) => interviewCand
  *     responses:
  *       200:
  *         description: List of candidates for interviewer
+ *       403:
+ *         description: Insufficient permissions
  */
-router.get('/interviewer/:interviewerId', auth.verifyToken, (req, res) => interviewCandidateController.getCandidatesByInterviewer(req, res));
+router.get('/interviewer/:interviewerId', auth.verifyToken, auth.require('candidates:read', 'candidates:read-assigned'), (req, res) => interviewCandidateController.getCandidatesByInterviewer(req, res));
 
 /**
  * @swagger
@@ -226,11 +240,36 @@ router.get('/interviewer/:interviewerId', auth.verifyToken, (req, res) => interv
  *     responses:
  *       200:
  *         description: List of candidates in stage
+ *       403:
+ *         description: Insufficient permissions
  */
-router.get('/stage/:stage', auth.verifyToken, (req, res) => interviewCandidateController.getCandidatesByStage(req, res));
+router.get('/stage/:stage', auth.verifyToken, auth.require('candidates:read'), (req, res) => interviewCandidateController.getCandidatesByStage(req, res));
 
-// Move the /:id route to the end, after all specific routes
-router.get('/:id', auth.verifyToken, (req, res) => interviewCandidateController.getCandidateById(req, res));
+/**
+ * @swagger
+ * /api/interview-candidates/{id}:
+ *   get:
+ *     summary: Get interview candidate by ID
+ *     description: Interviewers can only view candidates whose interviews they are assigned to.
+ *     tags: [Interview Candidates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Interview candidate details
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Interview candidate not found
+ */
+// Keep the /:id route at the end, after all specific routes
+router.get('/:id', auth.verifyToken, auth.require('candidates:read', 'candidates:read-assigned'), (req, res) => interviewCandidateController.getCandidateById(req, res));
 
 /**
  * @swagger
@@ -257,8 +296,252 @@ router.get('/:id', auth.verifyToken, (req, res) => interviewCandidateController.
  *         description: Interview scheduled successfully
  *       404:
  *         description: Interview candidate not found
+ *       409:
+ *         description: >
+ *           An interviewer or the candidate already has a scheduled interview at that time.
+ *           The clashing interviews are listed in `conflicts`.
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.post('/:id/schedule-interview', auth.verifyToken, auth.require('candidates:schedule'), (req, res) => interviewCandidateController.scheduleInterview(req, res));
+
+/**
+ * @swagger
+ * /api/interview-candidates/{id}/scheduling-links:
+ *   post:
+ *     summary: Send the candidate a link to book their own interview slot
+ *     description: >
+ *       The candidate can pick any slot in which all interviewers have published availability
+ *       (see /api/interviewers/{id}/availability) and no other interview. Replaces the candidate's
+ *       open link for the same stage.
+ *     tags: [Interview Candidates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stage
+ *               - interviewers
+ *             properties:
+ *               stage:
+ *                 type: string
+ *                 enum: [screening, phone-interview, technical-interview, final-interview]
+ *               interviewers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               duration:
+ *                 type: integer
+ *                 minimum: 15
+ *                 maximum: 480
+ *                 description: Minutes (default 60)
+ *               location:
+ *                 type: string
+ *               meetingLink:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Scheduling link created and emailed to the candidate
+ *       400:
+ *         description: Invalid stage, interviewers or duration
+ *       404:
+ *         description: Interview candidate or interviewer not found
+ *       409:
+ *         description: The candidate is already rejected or hired
+ *   get:
+ *     summary: Get the candidate's scheduling links
+ *     tags: [Interview Candidates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scheduling links with their status (pending, booked, revoked or expired)
+ */
+router.post('/:id/scheduling-links', auth.verifyToken, auth.require('candidates:schedule'), (req, res) => schedulingController.createSchedulingLink(req, res));
+router.get('/:id/scheduling-links', auth.verifyToken, auth.require('candidates:schedule'), (req, res) => schedulingController.getSchedulingLinks(req, res));
+
+/**
+ * @swagger
+ * /api/interview-candidates/{id}/interviews/{interviewIndex}/reschedule:
+ *   post:
+ *     summary: Reschedule an interview
+ *     description: >
+ *       Moves a scheduled interview to a new time and keeps the previous time in its history. The candidate
+ *       and interviewers get an updated calendar invite; interviewers taken off the interview get a cancellation.
+ *     tags: [Interview Candidates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: interviewIndex
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scheduledAt
+ *               - reason
+ *             properties:
+ *               scheduledAt:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *               duration:
+ *                 type: number
+ *               interviewers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               location:
+ *                 type: string
+ *               meetingLink:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Interview rescheduled successfully
+ *       400:
+ *         description: Missing reason or invalid time
+ *       404:
+ *         description: Interview candidate or interview not found
+ *       409:
+ *         description: The interview is no longer scheduled, or the new time conflicts with other interviews (listed in `conflicts`)
+ */
+router.post('/:id/interviews/:interviewIndex/reschedule', auth.verifyToken, auth.require('candidates:schedule'), (req, res) => interviewCandidateController.rescheduleInterview(req, res));
+
+/**
+ * @swagger
+ * /api/interview-candidates/{id}/interviews/{interviewIndex}/cancel:
+ *   post:
+ *     summary: Cancel an interview
+ *     description: The candidate and interviewers get a calendar cancellation; the reason is only shared with the interviewers.
+ *     tags: [Interview Candidates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: interviewIndex
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Interview cancelled successfully
+ *       400:
+ *         description: Missing reason
+ *       404:
+ *         description: Interview candidate or interview not found
+ *       409:
+ *         description: The interview is no longer scheduled
  */
-router.post('/:id/schedule-interview', auth.verifyToken, (req, res) => interviewCandidateController.scheduleInterview(req, res));
+router.post('/:id/interviews/:interviewIndex/cancel', auth.verifyToken, auth.require('candidates:schedule'), (req, res) => interviewCandidateController.cancelInterview(req, res));
+
+/**
+ * @swagger
+ * /api/interview-candidates/{id}/interviews/{interviewIndex}/scorecard:
+ *   put:
+ *     summary: Submit a scorecard for an interview
+ *     description: >
+ *       Scores every criterion of the job's scorecard for the interview stage (see /api/jobs/{id}/scorecards)
+ *       from 1 to 5. Submitting again replaces the interviewer's earlier scorecard. The interview is marked
+ *       completed, its rating becomes the average of its scorecards and the candidate's overall rating the
+ *       average of all scorecards.
+ *     tags: [Interview Candidates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: interviewIndex
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scores
+ *             properties:
+ *               scores:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - criterion
+ *                     - score
+ *                   properties:
+ *                     criterion:
+ *                       type: string
+ *                     score:
+ *                       type: number
+ *                       minimum: 1
+ *                       maximum: 5
+ *                     notes:
+ *                       type: string
+ *               comments:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Scorecard submitted successfully
+ *       400:
+ *         description: Missing, unknown or out of range scores
+ *       403:
+ *         description: Not assigned to this interview
+ *       404:
+ *         description: Interview candidate or interview not found
+ *       409:
+ *         description: The interview was cancelled or the job has no scorecard for its stage
+ */
+router.put('/:id/interviews/:interviewIndex/scorecard', auth.verifyToken, auth.require('candidates:feedback'), (req, res) => interviewCandidateController.submitScorecard(req, res));
 
 /**
  * @swagger
@@ -297,14 +580,17 @@ router.post('/:id/schedule-interview', auth.verifyToken, (req, res) => interview
  *         description: Interview feedback updated successfully
  *       404:
  *         description: Interview candidate or interview not found
+ *       403:
+ *         description: Insufficient permissions
  */
-router.patch('/:id/interviews/:interviewIndex/feedback', auth.verifyToken, (req, res) => interviewCandidateController.updateInterviewFeedback(req, res));
+router.patch('/:id/interviews/:interviewIndex/feedback', auth.verifyToken, auth.require('candidates:feedback'), (req, res) => interviewCandidateController.updateInterviewFeedback(req, res));
 
 /**
  * @swagger
  * /api/interview-candidates/{id}/stage:
  *   patch:
  *     summary: Update candidate stage
+ *     description: Moving a candidate to hired or rejected marks their application the same way; moving them back out reopens the application as shortlisted.
  *     tags: [Interview Candidates]
  *     security:
  *       - bearerAuth: []
@@ -329,8 +615,10 @@ router.patch('/:id/interviews/:interviewIndex/feedback', auth.verifyToken, (req,
  *     responses:
  *       200:
  *         description: Candidate stage updated successfully
+ *       403:
+ *         description: Insufficient permissions
  */
-router.patch('/:id/stage', auth.verifyToken, (req, res) => interviewCandidateController.updateStage(req, res));
+router.patch('/:id/stage', auth.verifyToken, auth.require('candidates:stage'), (req, res) => interviewCandidateController.updateStage(req, res));
 
 /**
  * @swagger
@@ -363,8 +651,10 @@ router.patch('/:id/stage', auth.verifyToken, (req, res) => interviewCandidateCon
  *     responses:
  *       200:
  *         description: Decision made successfully
+ *       403:
+ *         description: Insufficient permissions
  */
-router.post('/:id/decision', auth.verifyToken, (req, res) => interviewCandidateController.makeDecision(req, res));
+router.post('/:id/decision', auth.verifyToken, auth.require('candidates:decide'), (req, res) => interviewCandidateController.makeDecision(req, res));
 
 /**
  * @swagger
@@ -389,14 +679,17 @@ router.post('/:id/decision', auth.verifyToken, (req, res) => interviewCandidateC
  *     responses:
  *       200:
  *         description: Communication record added successfully
+ *       403:
+ *         description: Insufficient permissions
  */
-router.post('/:id/communication', auth.verifyToken, (req, res) => interviewCandidateController.addCommunication(req, res));
+router.post('/:id/communication', auth.verifyToken, auth.require('candidates:communicate'), (req, res) => interviewCandidateController.addCommunication(req, res));
 
 /**
  * @swagger
  * /api/interview-candidates/{id}/rating:
  *   patch:
  *     summary: Update overall rating
+ *     description: Only for candidates without scorecards; otherwise the rating is computed from them.
  *     tags: [Interview Candidates]
  *     security:
  *       - bearerAuth: []
@@ -422,8 +715,12 @@ router.post('/:id/communication', auth.verifyToken, (req, res) => interviewCandi
  *     responses:
  *       200:
  *         description: Overall rating updated successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       409:
+ *         description: The overall rating is computed from interview scorecards
  */
-router.patch('/:id/rating', auth.verifyToken, (req, res) => interviewCandidateController.updateOverallRating(req, res));
+router.patch('/:id/rating', auth.verifyToken, auth.require('candidates:assess'), (req, res) => interviewCandidateController.updateOverallRating(req, res));
 
 /**
  * @swagger
@@ -465,8 +762,10 @@ router.patch('/:id/rating', auth.verifyToken, (req, res) => interviewCandidateCo
  *     responses:
  *       200:
  *         description: Skills assessment updated successfully
+ *       403:
+ *         description: Insufficient permissions
  */
-router.patch('/:id/skills-assessment', auth.verifyToken, (req, res) => interviewCandidateController.updateSkillsAssessment(req, res));
+router.patch('/:id/skills-assessment', auth.verifyToken, auth.require('candidates:assess'), (req, res) => interviewCandidateController.updateSkillsAssessment(req, res));
 
 /**
  * @swagger
@@ -493,8 +792,10 @@ router.patch('/:id/skills-assessment', auth.verifyToken, (req, res) => interview
  *         description: Offer created successfully
  *       404:
  *         description: Interview candidate not found
+ *       403:
+ *         description: Insufficient permissions
  */
-router.post('/:id/offer', auth.verifyToken, (req, res) => interviewCandidateController.createOffer(req, res));
+router.post('/:id/offer', auth.verifyToken, auth.require('candidates:offer'), (req, res) => interviewCandidateController.createOffer(req, res));
 
 /**
  * @swagger
@@ -525,7 +826,13 @@ router.post('/:id/offer', auth.verifyToken, (req, res) => interviewCandidateCont
  *     responses:
  *       200:
  *         description: Offer status updated successfully
+ *       404:
+ *         description: Interview candidate not found
+ *       409:
+ *         description: All positions for the candidate's job have already been filled
+ *       403:
+ *         description: Insufficient permissions
  */
-router.patch('/:id/offer-status', auth.verifyToken, (req, res) => interviewCandidateController.updateOfferStatus(req, res));
+router.patch('/:id/offer-status', auth.verifyToken, auth.require('candidates:offer'), (req, res) => interviewCandidateController.updateOfferStatus(req, res));
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,219 @@
+const express = require('express');
+const InterviewSchedulingController = require('../controllers/InterviewSchedulingController');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+const schedulingController = new InterviewSchedulingController();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AvailabilityWindow:
+ *       type: object
+ *       required:
+ *         - startsAt
+ *         - endsAt
+ *       properties:
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/interviewers/{id}/availability:
+ *   get:
+ *     summary: Get an interviewer's availability windows
+ *     description: Interviewers can view their own availability; users with candidates:schedule can view anyone's.
+ *     tags: [Interviewers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to the scheduling horizon
+ *     responses:
+ *       200:
+ *         description: Availability windows overlapping the range
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/:id/availability', auth.verifyToken, auth.require('candidates:availability', 'candidates:schedule'), (req, res) => schedulingController.getAvailability(req, res));
+
+/**
+ * @swagger
+ * /api/interviewers/{id}/calendar:
+ *   get:
+ *     summary: Get an interviewer's calendar
+ *     description: >
+ *       Availability windows and scheduled interviews in a date range. Interviews overlapping another
+ *       interview of the same interviewer are flagged with hasConflict. Interviewers can view their own
+ *       calendar; users with candidates:read can view anyone's.
+ *     tags: [Interviewers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to the scheduling horizon
+ *     responses:
+ *       200:
+ *         description: Availability windows and interviews with candidate name and position
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Interviewer not found
+ */
+router.get('/:id/calendar', auth.verifyToken, auth.require('candidates:read', 'candidates:read-assigned'), (req, res) => schedulingController.getCalendar(req, res));
+
+/**
+ * @swagger
+ * /api/interviewers/{id}/calendar-feed:
+ *   post:
+ *     summary: Create a subscribable calendar feed URL
+ *     description: >
+ *       Returns an iCalendar URL that calendar apps can subscribe to without logging in. It lists every
+ *       interview the interviewer is assigned to. Creating a new URL stops the previous one from working.
+ *       Interviewers can create their own feed; users with candidates:read can create anyone's.
+ *     tags: [Interviewers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Feed URL and its expiry
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Interviewer not found
+ */
+router.post('/:id/calendar-feed', auth.verifyToken, auth.require('candidates:read', 'candidates:read-assigned'), (req, res) => schedulingController.createCalendarFeed(req, res));
+
+/**
+ * @swagger
+ * /api/interviewers/calendar-feed/{token}:
+ *   get:
+ *     summary: Get an interviewer's calendar feed
+ *     description: Public. The token is part of the URL returned when the feed was created; a trailing .ics is allowed.
+ *     tags: [Interviewers]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Invalid or expired calendar feed
+ */
+router.get('/calendar-feed/:token', (req, res) => schedulingController.getCalendarFeed(req, res));
+
+/**
+ * @swagger
+ * /api/interviewers/{id}/availability:
+ *   post:
+ *     summary: Publish an availability window
+ *     description: Candidates with a scheduling link can book interviews inside the window.
+ *     tags: [Interviewers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AvailabilityWindow'
+ *     responses:
+ *       201:
+ *         description: Availability added
+ *       400:
+ *         description: Invalid window
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Interviewer not found
+ *       409:
+ *         description: Availability overlaps an existing window
+ */
+router.post('/:id/availability', auth.verifyToken, auth.require('candidates:availability', 'candidates:schedule'), (req, res) => schedulingController.addAvailability(req, res));
+
+/**
+ * @swagger
+ * /api/interviewers/{id}/availability/{windowId}:
+ *   delete:
+ *     summary: Remove an availability window
+ *     description: Interviews already booked in the window are not affected.
+ *     tags: [Interviewers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: windowId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Availability removed
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Availability window not found
+ */
+router.delete('/:id/availability/:windowId', auth.verifyToken, auth.require('candidates:availability', 'candidates:schedule'), (req, res) => schedulingController.removeAvailability(req, res));
+
+module.exports = router;
@@ -78,7 +78,11 @@ const jobController = new JobController();
  *         numberOfPositions:
  *           type: number
  *           default: 1
- *           description: Number of positions available
+ *           description: Number of positions available; the job closes automatically once all are filled
+ *         positionsFilled:
+ *           type: number
+ *           readOnly: true
+ *           description: Number of positions filled by accepted offers
  *         tags:
  *           type: array
  *           items:
@@ -99,6 +103,7 @@ const jobController = new JobController();
  * /api/jobs:
  *   post:
  *     summary: Create a new job
+ *     description: New jobs are drafts; status and positionsFilled in the body are ignored.
  *     tags: [Jobs]
  *     security:
  *       - bearerAuth: []
@@ -113,8 +118,10 @@ const jobController = new JobController();
  *         description: Job created successfully
  *       400:
  *         description: Invalid input data
+ *       403:
+ *         description: Requires jobs:create permission
  */
-router.post('/', auth.verifyToken, (req, res) => jobController.createJob(req, res));
+router.post('/', auth.verifyToken, auth.require('jobs:create'), (req, res) => jobController.createJob(req, res));
 
 /**
  * @swagger
@@ -249,7 +256,7 @@ router.get('/expiring', (req, res) => jobController.getJobsExpiringSoon(req, res
  *       200:
  *         description: Job statistics
  */
-router.get('/statistics', auth.verifyToken, (req, res) => jobController.getJobStatistics(req, res));
+router.get('/statistics', auth.verifyToken, auth.require('jobs:read-stats'), (req, res) => jobController.getJobStatistics(req, res));
 
 /**
  * @swagger
@@ -303,11 +310,81 @@ router.get('/department/:department', (req, res) => jobController.getJobsByDepar
  */
 router.get('/:id', (req, res) => jobController.getJobById(req, res));
 
+/**
+ * @swagger
+ * /api/jobs/{id}/applications:
+ *   get:
+ *     summary: Get the applicant pipeline for a job (admin/manager only)
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [appliedAt, createdAt, updatedAt, firstName, lastName, status, experience]
+ *           default: appliedAt
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, reviewed, shortlisted, rejected, hired, withdrawn]
+ *         description: Only include applications with this status
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: string
+ *           enum: [screening, phone-interview, technical-interview, final-interview, offer, rejected, hired]
+ *         description: Only include applications whose candidate is in this stage
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [status, stage]
+ *           default: status
+ *     responses:
+ *       200:
+ *         description: Applications with their interview candidates, grouped with counts
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Manager or admin privileges required
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id/applications', auth.verifyToken, auth.require('applications:read'), (req, res) => jobController.getJobApplications(req, res));
+
 /**
  * @swagger
  * /api/jobs/{id}:
  *   put:
  *     summary: Update job
+ *     description: The status is ignored; change it through the status, publish and close endpoints.
  *     tags: [Jobs]
  *     security:
  *       - bearerAuth: []
@@ -331,7 +408,95 @@ router.get('/:id', (req, res) => jobController.getJobById(req, res));
  *       404:
  *         description: Job not found
  */
-router.put('/:id', auth.verifyToken, (req, res) => jobController.updateJob(req, res));
+router.put('/:id', auth.verifyToken, auth.require('jobs:update'), (req, res) => jobController.updateJob(req, res));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Scorecard:
+ *       type: object
+ *       required:
+ *         - stage
+ *         - criteria
+ *       properties:
+ *         stage:
+ *           type: string
+ *           enum: [screening, phone-interview, technical-interview, final-interview]
+ *         criteria:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - name
+ *               - weight
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *                 description: Relative importance; must be positive
+ */
+
+/**
+ * @swagger
+ * /api/jobs/{id}/scorecards:
+ *   get:
+ *     summary: Get the job's interview scorecard templates
+ *     description: Scorecards are internal and are not included in the public job endpoints.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scorecard templates, one per interview stage
+ *       404:
+ *         description: Job not found
+ *   put:
+ *     summary: Replace the job's interview scorecard templates
+ *     description: Scorecards already submitted keep the criteria and weights they were scored against.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scorecards
+ *             properties:
+ *               scorecards:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Scorecard'
+ *     responses:
+ *       200:
+ *         description: Scorecards updated successfully
+ *       400:
+ *         description: Invalid scorecards
+ *       403:
+ *         description: Unauthorized
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id/scorecards', auth.verifyToken, auth.require('jobs:update', 'candidates:feedback'), (req, res) => jobController.getScorecards(req, res));
+router.put('/:id/scorecards', auth.verifyToken, auth.require('jobs:update'), (req, res) => jobController.updateScorecards(req, res));
 
 /**
  * @swagger
@@ -355,7 +520,7 @@ router.put('/:id', auth.verifyToken, (req, res) => jobController.updateJob(req,
  *       404:
  *         description: Job not found
  */
-router.delete('/:id', auth.verifyToken, (req, res) => jobController.deleteJob(req, res));
+router.delete('/:id', auth.verifyToken, auth.require('jobs:delete'), (req, res) => jobController.deleteJob(req, res));
 
 /**
  * @swagger
@@ -379,7 +544,7 @@ router.delete('/:id', auth.verifyToken, (req, res) => jobController.deleteJob(re
  *       404:
  *         description: Job not found
  */
-router.post('/:id/publish', auth.verifyToken, (req, res) => jobController.publishJob(req, res));
+router.post('/:id/publish', auth.verifyToken, auth.require('jobs:publish'), (req, res) => jobController.publishJob(req, res));
 
 /**
  * @swagger
@@ -403,13 +568,14 @@ router.post('/:id/publish', auth.verifyToken, (req, res) => jobController.publis
  *       404:
  *         description: Job not found
  */
-router.post('/:id/close', auth.verifyToken, (req, res) => jobController.closeJob(req, res));
+router.post('/:id/close', auth.verifyToken, auth.require('jobs:publish'), (req, res) => jobController.closeJob(req, res));
 
 /**
  * @swagger
  * /api/jobs/{id}/status:
  *   patch:
  *     summary: Update job status
+ *     description: Setting the status to published or closed also requires jobs:publish.
  *     tags: [Jobs]
  *     security:
  *       - bearerAuth: []
@@ -437,6 +603,6 @@ router.post('/:id/close', auth.verifyToken, (req, res) => jobController.closeJob
  *       404:
  *         description: Job not found
  */
-router.patch('/:id/status', auth.verifyToken, (req, res) => jobController.updateJobStatus(req, res));
+router.patch('/:id/status', auth.verifyToken, auth.require('jobs:update'), (req, res) => jobController.updateJobStatus(req, res));
 
 module.exports = router; 
\ No newline at end of file
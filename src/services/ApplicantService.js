@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const ApplicantRepository = require('../repositories/ApplicantRepository');
+const CareerApplicationRepository = require('../repositories/CareerApplicationRepository');
+const InterviewCandidateRepository = require('../repositories/InterviewCandidateRepository');
+
+/**
+ * Applicant Service Class
+ * Single Responsibility: Keep track of the people behind career applications
+ */
+class ApplicantService {
+  constructor() {
+    this.applicantRepository = new ApplicantRepository();
+    this.applicationRepository = new CareerApplicationRepository();
+    this.interviewCandidateRepository = new InterviewCandidateRepository();
+  }
+
+  /**
+   * Find or create the applicant behind a saved application
+   * An existing applicant keeps their details: the submission is unauthenticated and may not be theirs
+   */
+  async resolveForApplication(application) {
+    return await this.applicantRepository.findOrCreateByEmail(application.email, {
+      firstName: application.firstName,
+      lastName: application.lastName,
+      phone: application.phone,
+      sourceApplication: application._id
+    });
+  }
+
+  /**
+   * Refresh an applicant's details from a resubmitted application, if the applicant was created from it
+   */
+  async refreshFromApplication(application) {
+    const applicant = application.applicant && await this.applicantRepository.findById(application.applicant);
+    if (!applicant || String(applicant.sourceApplication) !== String(application._id)) {
+      return applicant;
+    }
+
+    return await this.applicantRepository.updateById(applicant._id, {
+      firstName: application.firstName,
+      lastName: application.lastName,
+      phone: application.phone,
+      lastAppliedAt: new Date()
+    });
+  }
+
+  /**
+   * Get an applicant with every application they submitted and how far each got
+   */
+  async getApplicantHistory(applicantId) {
+    if (!mongoose.isValidObjectId(applicantId)) {
+      throw new Error('Invalid applicant ID');
+    }
+
+    const applicant = await this.applicantRepository.findById(applicantId);
+    if (!applicant) {
+      throw new Error('Applicant not found');
+    }
+
+    const applications = await this.applicationRepository.findByApplicant(applicant._id);
+    const candidates = await this.interviewCandidateRepository.findByCareerApplications(
+      applications.map(application => application._id)
+    );
+
+    const candidatesByApplication = new Map(
+      candidates.map(candidate => [candidate.careerApplication.toString(), candidate])
+    );
+
+    return {
+      applicant,
+      applications: applications.map(application => ({
+        ...application.toJSON(),
+        interviewCandidate: candidatesByApplication.get(application._id.toString()) || null
+      }))
+    };
+  }
+}
+
+module.exports = ApplicantService;
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const AuditLogRepository = require('../repositories/AuditLogRepository');
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields and embedded histories that would only add noise to a diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'timeline', 'resumeAccessLog'];
+const REDACTED_FIELDS = ['password'];
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Audit Log Service Class
+ * Single Responsibility: Record mutating actions and query the audit trail
+ */
+class AuditLogService {
+  constructor() {
+    this.auditLogRepository = new AuditLogRepository();
+  }
+
+  /**
+   * Build the audit context (actor and client) of a request
+   */
+  static getRequestContext(req) {
+    return {
+      actor: req.user ? req.user.userId : null,
+      actorEmail: req.user ? req.user.email : null,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    };
+  }
+
+  /**
+   * Record an action with the diff between the entity before and after it
+   * Never throws: a failed audit write must not fail the action itself
+   */
+  async record(context, { action, entityType, entityId, before = null, after = null, metadata }) {
+    try {
+      const { actor = null, actorEmail = null, ip, userAgent } = context || {};
+      const changes = this.diff(this.snapshot(before), this.snapshot(after));
+
+      // An update that did not change anything is not worth an entry
+      if (before && after && changes.length === 0 && !metadata) {
+        return null;
+      }
+
+      return await this.auditLogRepository.create({
+        actor,
+        actorEmail,
+        action,
+        entityType,
+        entityId,
+        changes,
+        metadata,
+        ip,
+        userAgent
+      });
+    } catch (error) {
+      console.error(`❌ Failed to write audit log entry (${action}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get a page of audit log entries matching the filters
+   */
+  async getEntries(query = {}) {
+    const { actor, action, entityType, entityId, from, to, page = 1, limit = 50 } = query;
+    const filters = {};
+
+    if (actor) {
+      if (!mongoose.isValidObjectId(actor)) {
+        throw new Error('Invalid actor');
+      }
+      filters.actor = actor;
+    }
+
+    if (action) {
+      filters.action = action;
+    }
+
+    if (entityType) {
+      if (!AuditLog.ENTITY_TYPES.includes(entityType)) {
+        throw new Error(`Invalid entity type. Allowed: ${AuditLog.ENTITY_TYPES.join(', ')}`);
+      }
+      filters.entityType = entityType;
+    }
+
+    if (entityId) {
+      if (!mongoose.isValidObjectId(entityId)) {
+        throw new Error('Invalid entity ID');
+      }
+      filters.entityId = entityId;
+    }
+
+    if (from || to) {
+      filters.createdAt = {};
+      if (from) {
+        filters.createdAt.$gte = this.parseDate(from, 'from');
+      }
+      if (to) {
+        filters.createdAt.$lte = this.parseDate(to, 'to');
+      }
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const { entries, total } = await this.auditLogRepository.search(filters, {
+      skip: (pageNumber - 1) * pageSize,
+      limit: pageSize
+    });
+
+    return {
+      entries,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Parse a date query parameter
+   */
+  parseDate(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid ${name} date`);
+    }
+    return date;
+  }
+
+  /**
+   * Convert a document to a plain object with references as IDs
+   */
+  snapshot(entity) {
+    if (!entity) {
+      return {};
+    }
+    return typeof entity.toObject === 'function' ? entity.toObject({ depopulate: true }) : entity;
+  }
+
+  /**
+   * List the fields that differ between two plain objects, recursing into sub-documents
+   */
+  diff(before, after, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+      if (!prefix && IGNORED_FIELDS.includes(key)) {
+        continue;
+      }
+
+      const field = prefix ? `${prefix}.${key}` : key;
+      const previous = before ? before[key] : undefined;
+      const current = after ? after[key] : undefined;
+
+      if (this.isPlainObject(previous) || this.isPlainObject(current)) {
+        changes.push(...this.diff(
+          this.isPlainObject(previous) ? previous : {},
+          this.isPlainObject(current) ? current : {},
+          field
+        ));
+        continue;
+      }
+
+      if (this.serialize(previous) === this.serialize(current)) {
+        continue;
+      }
+
+      const redacted = REDACTED_FIELDS.includes(key);
+      changes.push({
+        field,
+        before: redacted && previous !== undefined ? '[redacted]' : previous,
+        after: redacted && current !== undefined ? '[redacted]' : current
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Check for a plain object (not an array, date or ObjectId)
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && value.constructor === Object;
+  }
+
+  /**
+   * Serialize a value for comparison
+   */
+  serialize(value) {
+    return JSON.stringify(value === undefined ? null : value);
+  }
+}
+
+module.exports = AuditLogService;
@@ -0,0 +1,173 @@
+const PRODUCT_ID = '-//Payday Express//Hiring//EN';
+const UID_DOMAIN = 'paydayexpress.ca';
+
+/**
+ * Calendar Service Class
+ * Single Responsibility: Build iCalendar (RFC 5545) invites and feeds for interviews
+ */
+class CalendarService {
+  /**
+   * Build a calendar with a single interview event, to send as an email invite
+   * method is REQUEST for new and updated interviews and CANCEL for cancelled ones
+   */
+  buildInterviewInvite(application, interview, interviewers = [], { method = 'REQUEST', summary } = {}) {
+    return this.buildCalendar(method, [
+      ...this.buildInterviewEvent(application, interview, interviewers, {
+        summary: summary || this.getCandidateSummary(application, interview),
+        cancelled: method === 'CANCEL'
+      })
+    ]);
+  }
+
+  /**
+   * Build a subscribable feed of the interviews an interviewer is assigned to
+   */
+  buildInterviewerFeed(interviewer, candidates) {
+    const interviewerId = interviewer._id.toString();
+    const events = [];
+
+    for (const candidate of candidates) {
+      const application = candidate.careerApplication;
+      if (!application) {
+        continue;
+      }
+
+      candidate.interviews
+        .filter(interview => ['scheduled', 'completed', 'cancelled'].includes(interview.status))
+        .filter(interview => interview.interviewers.some(assigned => (assigned._id || assigned).toString() === interviewerId))
+        .forEach(interview => events.push(...this.buildInterviewEvent(application, interview, interview.interviewers, {
+          summary: this.getInterviewerSummary(application, interview),
+          cancelled: interview.status === 'cancelled'
+        })));
+    }
+
+    return this.buildCalendar('PUBLISH', events, [`X-WR-CALNAME:${this.escapeText(`Interviews - ${interviewer.name}`)}`]);
+  }
+
+  /**
+   * Title of the event in the candidate's calendar
+   */
+  getCandidateSummary(application, interview) {
+    return `${this.formatStage(interview.stage)} interview - ${application.position}`;
+  }
+
+  /**
+   * Title of the event in an interviewer's calendar
+   */
+  getInterviewerSummary(application, interview) {
+    return `${this.formatStage(interview.stage)} interview: ${application.firstName} ${application.lastName} (${application.position})`;
+  }
+
+  /**
+   * Build the VEVENT lines for an interview
+   * The UID stays the same across updates so calendars replace the event instead of adding one
+   */
+  buildInterviewEvent(application, interview, interviewers, { summary, cancelled = false }) {
+    const start = new Date(interview.scheduledAt);
+    const end = new Date(start.getTime() + (interview.duration || 60) * 60 * 1000);
+    const organizer = process.env.SMTP_USER || 'noreply@paydayexpress.ca';
+
+    const description = [
+      `${this.formatStage(interview.stage)} interview for the ${application.position} position.`,
+      interview.meetingLink ? `Join: ${interview.meetingLink}` : null
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:interview-${interview._id}@${UID_DOMAIN}`,
+      `SEQUENCE:${interview.sequence || 0}`,
+      `DTSTAMP:${this.formatDate(new Date())}`,
+      `DTSTART:${this.formatDate(start)}`,
+      `DTEND:${this.formatDate(end)}`,
+      `SUMMARY:${this.escapeText(summary)}`,
+      `DESCRIPTION:${this.escapeText(description)}`,
+      `LOCATION:${this.escapeText(interview.location || interview.meetingLink || 'TBD')}`
+    ];
+
+    if (interview.meetingLink) {
+      lines.push(`URL:${interview.meetingLink}`);
+    }
+
+    lines.push(`ORGANIZER;CN=Payday Express:mailto:${organizer}`);
+    lines.push(this.buildAttendee(`${application.firstName} ${application.lastName}`, application.email));
+    interviewers
+      .filter(interviewer => interviewer && interviewer.email)
+      .forEach(interviewer => lines.push(this.buildAttendee(interviewer.name, interviewer.email)));
+
+    lines.push(`STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  /**
+   * Build an ATTENDEE line
+   */
+  buildAttendee(name, email) {
+    const commonName = String(name || email).replace(/["\r\n]/g, '');
+    return `ATTENDEE;CN="${commonName}";ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${email}`;
+  }
+
+  /**
+   * Wrap events in a VCALENDAR and serialize it with CRLF line endings and folded lines
+   */
+  buildCalendar(method, eventLines, extraLines = []) {
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      `METHOD:${method}`,
+      ...extraLines,
+      ...eventLines,
+      'END:VCALENDAR'
+    ].map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Format a date as UTC date-time, e.g. 20250101T093000Z
+   */
+  formatDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Turn a stage key into a title, e.g. phone-interview -> Phone
+   */
+  formatStage(stage) {
+    const label = String(stage || '').replace(/-interview$/, '').replace(/-/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  }
+
+  /**
+   * Escape a TEXT value
+   */
+  escapeText(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line so no line is longer than 75 octets
+   */
+  foldLine(line) {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+      const limit = parts.length === 0 ? 75 : 74;
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = CalendarService;
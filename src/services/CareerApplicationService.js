@@ -1,6 +1,30 @@
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 const CareerApplicationRepository = require('../repositories/CareerApplicationRepository');
+const JobRepository = require('../repositories/JobRepository');
 const EmailService = require('./EmailService');
 const InterviewCandidateService = require('./InterviewCandidateService');
+const AuditLogService = require('./AuditLogService');
+const ApplicantService = require('./ApplicantService');
+const CareerApplication = require('../models/CareerApplication');
+const storageConfig = require('../config/storage');
+
+// What to do when an applicant applies to the same job twice: reject, update or flag
+const DUPLICATE_POLICIES = ['reject', 'update', 'flag'];
+const DUPLICATE_APPLICATION_POLICY = DUPLICATE_POLICIES.includes(process.env.DUPLICATE_APPLICATION_POLICY)
+  ? process.env.DUPLICATE_APPLICATION_POLICY
+  : 'flag';
+
+// Fields a repeated submission may overwrite on the existing application; contact details stay as submitted
+const RESUBMITTABLE_FIELDS = ['firstName', 'lastName', 'experience', 'coverLetter'];
+
+// How long the applicant portal link in the confirmation email stays valid
+const APPLICANT_PORTAL_TTL_DAYS = parseInt(process.env.APPLICANT_PORTAL_TTL_DAYS, 10) || 180;
+
+// Statuses after which the applicant can no longer change their application
+const CLOSED_STATUSES = ['hired', 'rejected', 'withdrawn'];
 
 /**
  * Career Application Service Class
@@ -10,16 +34,58 @@ const InterviewCandidateService = require('./InterviewCandidateService');
 class CareerApplicationService {
   constructor() {
     this.applicationRepository = new CareerApplicationRepository();
+    this.jobRepository = new JobRepository();
     this.emailService = new EmailService();
     this.interviewCandidateService = new InterviewCandidateService();
+    this.auditLogService = new AuditLogService();
+    this.applicantService = new ApplicantService();
   }
 
   /**
    * Create a new career application
+   * Returns the application with the outcome: created, updated (an existing
+   * application was overwritten) or flagged (created and marked as a duplicate)
    */
-  async createApplication(applicationData) {
+  async createApplication(applicationData, resumeFile = null, audit = {}) {
+    let storedResume = null;
+
     try {
-      const application = await this.applicationRepository.create(applicationData);
+      // Resume metadata is only ever set from an uploaded file; the rest is for staff and the system
+      const {
+        resume, duplicateOf, duplicateMatchedOn, mergedInto, pendingResubmission,
+        status, notes, resumeAccessLog, applicant, withdrawnAt, withdrawalReason, ...data
+      } = applicationData;
+
+      // Position is denormalized from the job posting
+      const job = await this.getOpenJob(data.job);
+      data.job = job._id;
+      data.position = job.title;
+
+      const existing = await this.applicationRepository.findDuplicate(job._id, data.email, data.phone);
+      if (existing && DUPLICATE_APPLICATION_POLICY === 'reject') {
+        throw new Error('You have already applied for this position');
+      }
+
+      if (resumeFile) {
+        storedResume = await this.storeResume(resumeFile);
+        data.resume = storedResume;
+      }
+
+      if (existing && DUPLICATE_APPLICATION_POLICY === 'update' && this.canUpdateFromResubmission(existing, data)) {
+        const application = await this.holdResubmission(existing, data, audit);
+        return { application, outcome: 'pending-confirmation' };
+      }
+
+      if (existing) {
+        data.duplicateOf = existing._id;
+        data.duplicateMatchedOn = this.getDuplicateMatches(existing, data);
+        console.log(`⚠️ Application by ${data.email} flagged as a duplicate of ${existing._id}`);
+      }
+
+      const application = await this.linkApplicant(await this.applicationRepository.create(data));
+      this.auditLogService.record(audit, {
+        action: 'application.create', entityType: 'application', entityId: application._id, after: application
+      });
       
       // Automatically create interview candidate (non-blocking)
       this.interviewCandidateService.createFromApplication(application._id, 'system')
@@ -30,20 +96,232 @@ class CareerApplicationService {
           console.error('⚠️ Failed to create interview candidate automatically:', error.message);
         });
       
-      // Send confirmation email to applicant (non-blocking)
-      this.emailService.sendApplicationConfirmation(application)
+      // Send confirmation email with the applicant portal link (non-blocking)
+      this.emailService.sendApplicationConfirmation(application, this.generatePortalToken(application))
         .catch(error => console.error('Failed to send confirmation email:', error));
       
       // Send notification email to HR team (non-blocking)
       this.emailService.sendHRNotification(application)
         .catch(error => console.error('Failed to send HR notification:', error));
       
-      return application;
+      return { application, outcome: existing ? 'flagged' : 'created' };
     } catch (error) {
+      if (storedResume) {
+        storageConfig.getAdapter().remove(storedResume.path)
+          .catch(removeError => console.error('Failed to remove orphaned resume:', removeError.message));
+      }
       throw new Error(`Failed to create application: ${error.message}`);
     }
   }
 
+  /**
+   * Hold a repeated submission on the existing application and email the applicant a link to confirm it
+   * The submission is not authenticated, so nothing changes until the owner of the address confirms
+   */
+  async holdResubmission(existing, data, audit = {}) {
+    const pending = { submittedAt: new Date() };
+    for (const field of RESUBMITTABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        pending[field] = data[field];
+      }
+    }
+    if (data.resume) {
+      pending.resume = data.resume;
+    }
+
+    const replacedResume = existing.pendingResubmission && existing.pendingResubmission.resume
+      && existing.pendingResubmission.resume.path;
+
+    const application = await this.applicationRepository.updateById(existing._id, { pendingResubmission: pending });
+    this.auditLogService.record(audit, {
+      action: 'application.resubmit',
+      entityType: 'application',
+      entityId: application._id,
+      metadata: { resubmission: application.pendingResubmission._id }
+    });
+
+    // A resume that was never confirmed is not referenced by the application
+    if (replacedResume) {
+      storageConfig.getAdapter().remove(replacedResume)
+        .catch(error => console.error('Failed to remove unconfirmed resume:', error.message));
+    }
+
+    // Sent to the address on file, so only its owner can confirm
+    this.emailService.sendResubmissionConfirmation(
+      application, this.generatePortalToken(application), application.pendingResubmission._id
+    ).catch(error => console.error('Failed to send resubmission confirmation email:', error));
+
+    return application;
+  }
+
+  /**
+   * Apply the held resubmission of an application, confirmed through its applicant portal link
+   */
+  async confirmResubmission(token, resubmissionId, audit = {}) {
+    try {
+      const application = await this.getPendingResubmission(token, resubmissionId);
+      return await this.updateFromResubmission(application, application.pendingResubmission, audit);
+    } catch (error) {
+      throw new Error(`Failed to confirm update: ${error.message}`);
+    }
+  }
+
+  /**
+   * Discard the held resubmission of an application through its applicant portal link
+   */
+  async discardResubmission(token, resubmissionId, audit = {}) {
+    try {
+      const application = await this.getPendingResubmission(token, resubmissionId);
+      const { resume } = application.pendingResubmission;
+
+      const updatedApplication = await this.applicationRepository.updateById(application._id, { pendingResubmission: null });
+      this.auditLogService.record(audit, {
+        action: 'application.resubmit-discard',
+        entityType: 'application',
+        entityId: application._id,
+        metadata: { resubmission: resubmissionId, via: 'applicant-portal' }
+      });
+
+      if (resume && resume.path) {
+        storageConfig.getAdapter().remove(resume.path)
+          .catch(error => console.error('Failed to remove discarded resume:', error.message));
+      }
+      return updatedApplication;
+    } catch (error) {
+      throw new Error(`Failed to discard update: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the application behind a portal link with the held resubmission the applicant was shown
+   */
+  async getPendingResubmission(token, resubmissionId) {
+    const application = await this.getApplicationByPortalToken(token);
+    const pending = application.pendingResubmission;
+    // The id ties the confirmation to the submission the applicant saw, not one sent after it
+    if (!pending || String(pending._id) !== String(resubmissionId)) {
+      throw new Error('Pending update not found');
+    }
+    if (CLOSED_STATUSES.includes(application.status)) {
+      throw new Error(`Cannot update an application that is ${application.status}`);
+    }
+    return application;
+  }
+
+  /**
+   * Overwrite an existing application with a confirmed repeated submission
+   * The replaced resume file is kept
+   */
+  async updateFromResubmission(existing, data, audit = {}) {
+    const before = this.auditLogService.snapshot(existing);
+
+    const updates = { pendingResubmission: null };
+    for (const field of RESUBMITTABLE_FIELDS) {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    }
+    if (data.resume && data.resume.path) {
+      updates.resume = data.resume;
+    }
+
+    let application = await this.applicationRepository.applySubmission(existing._id, updates);
+    if (application.applicant) {
+      await this.applicantService.refreshFromApplication(application)
+        .catch(error => console.error('⚠️ Failed to refresh applicant details:', error.message));
+    } else {
+      application = await this.linkApplicant(application);
+      if (application.applicant) {
+        await this.interviewCandidateService.linkApplicant(application._id, application.applicant);
+      }
+    }
+    this.auditLogService.record(audit, {
+      action: 'application.update',
+      entityType: 'application',
+      entityId: application._id,
+      before,
+      after: application,
+      metadata: { resubmitted: true, via: 'applicant-portal' }
+    });
+
+    return application;
+  }
+
+  /**
+   * Link a saved application to its applicant
+   * A failure is logged and leaves the application unlinked instead of failing the submission
+   */
+  async linkApplicant(application) {
+    try {
+      const applicant = await this.applicantService.resolveForApplication(application);
+      return await this.applicationRepository.updateById(application._id, { applicant: applicant._id });
+    } catch (error) {
+      console.error('⚠️ Failed to link application to applicant:', error.message);
+      return application;
+    }
+  }
+
+  /**
+   * A repeated submission may only overwrite an open application with the same email address;
+   * other duplicates (a matching phone number only, or a closed application) are flagged instead
+   */
+  canUpdateFromResubmission(existing, data) {
+    return !CLOSED_STATUSES.includes(existing.status) && this.getDuplicateMatches(existing, data).includes('email');
+  }
+
+  /**
+   * List which applicant details a new submission shares with an existing application
+   */
+  getDuplicateMatches(existing, data) {
+    const matches = [];
+    if (existing.email === String(data.email || '').toLowerCase().trim()) {
+      matches.push('email');
+    }
+
+    const phone = CareerApplication.normalizePhone(data.phone);
+    if (phone && existing.phoneNormalized === phone) {
+      matches.push('phone');
+    }
+    return matches;
+  }
+
+  /**
+   * Get a job that is currently accepting applications
+   */
+  async getOpenJob(jobId) {
+    if (!jobId || !mongoose.isValidObjectId(jobId)) {
+      throw new Error('A valid job is required');
+    }
+
+    const job = await this.jobRepository.findById(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    if (job.status !== 'published') {
+      throw new Error('Job is not accepting applications');
+    }
+
+    if (new Date() > job.applicationDeadline) {
+      throw new Error('Application deadline for this job has passed');
+    }
+
+    return job;
+  }
+
+  /**
+   * Store an uploaded resume and return its metadata
+   */
+  async storeResume(file) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const key = `resumes/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+
+    return await storageConfig.getAdapter().save(file.buffer, key, {
+      filename: file.originalname,
+      mimetype: file.mimetype
+    });
+  }
+
   /**
    * Get application by ID
    */
@@ -59,6 +337,53 @@ class CareerApplicationService {
     }
   }
 
+  /**
+   * Get the stored resume for an application as a readable stream
+   */
+  async getResume(id) {
+    try {
+      const application = await this.applicationRepository.findById(id);
+      if (!application) {
+        throw new Error('Application not found');
+      }
+
+      if (!application.resume || !application.resume.path) {
+        throw new Error('Resume not found for this application');
+      }
+
+      const file = await storageConfig.getAdapter().read(application.resume.path);
+
+      return {
+        application,
+        filename: application.resume.filename || 'resume',
+        mimetype: application.resume.mimetype || 'application/octet-stream',
+        size: file.size,
+        stream: file.stream
+      };
+    } catch (error) {
+      throw new Error(`Failed to get resume: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record who opened an applicant's resume
+   */
+  async logResumeAccess(application, user, mode, ip) {
+    console.log(`📄 Resume of application ${application._id} (${application.email}) opened by ${user.email} [${mode}]`);
+
+    try {
+      await this.applicationRepository.logResumeAccess(application._id, {
+        accessedBy: user.userId,
+        email: user.email,
+        mode,
+        ip,
+        accessedAt: new Date()
+      });
+    } catch (error) {
+      console.error('❌ Failed to log resume access:', error.message);
+    }
+  }
+
   /**
    * Get all applications with optional filters
    */
@@ -80,18 +405,198 @@ class CareerApplicationService {
   /**
    * Update application status
    */
-  async updateApplicationStatus(id, status, notes = '') {
+  async updateApplicationStatus(id, status, notes = '', audit = {}) {
     try {
-      const application = await this.applicationRepository.updateStatus(id, status, notes);
-      if (!application) {
+      const previous = await this.applicationRepository.findById(id);
+      if (!previous) {
         throw new Error('Application not found');
       }
+
+      await this.interviewCandidateService.assertApplicationStatusChange(previous._id, status);
+
+      const before = this.auditLogService.snapshot(previous);
+      const application = await this.applicationRepository.updateStatus(id, status, notes);
+      this.auditLogService.record(audit, {
+        action: 'application.status', entityType: 'application', entityId: application._id, before, after: application
+      });
+
+      await this.interviewCandidateService.syncCandidateStage(application._id, status, audit);
       return application;
     } catch (error) {
       throw new Error(`Failed to update application status: ${error.message}`);
     }
   }
 
+  /**
+   * Generate the signed applicant portal token for an application
+   */
+  generatePortalToken(application) {
+    return jwt.sign(
+      { applicationId: application._id, purpose: 'applicant-portal' },
+      process.env.JWT_SECRET || 'your-secret-key',
+      { expiresIn: APPLICANT_PORTAL_TTL_DAYS * 24 * 60 * 60 }
+    );
+  }
+
+  /**
+   * Get the application an applicant portal token was issued for
+   */
+  async getApplicationByPortalToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    } catch (error) {
+      throw new Error('Invalid or expired portal link');
+    }
+
+    if (decoded.purpose !== 'applicant-portal' || !mongoose.isValidObjectId(decoded.applicationId)) {
+      throw new Error('Invalid or expired portal link');
+    }
+
+    const application = await this.applicationRepository.findById(decoded.applicationId);
+    if (!application) {
+      throw new Error('Application not found');
+    }
+    return application;
+  }
+
+  /**
+   * Get what an applicant sees in the portal: their application and upcoming interviews
+   */
+  async getPortalView(token) {
+    try {
+      const application = await this.getApplicationByPortalToken(token);
+      const candidate = await this.interviewCandidateService.getCandidateForApplication(application._id);
+
+      const now = new Date();
+      const upcomingInterviews = (candidate ? candidate.interviews : [])
+        .filter(interview => interview.status === 'scheduled' && interview.scheduledAt >= now)
+        .sort((a, b) => a.scheduledAt - b.scheduledAt)
+        .map(interview => ({
+          stage: interview.stage,
+          scheduledAt: interview.scheduledAt,
+          duration: interview.duration,
+          location: interview.location,
+          meetingLink: interview.meetingLink
+        }));
+
+      const open = !CLOSED_STATUSES.includes(application.status);
+      const pending = application.pendingResubmission;
+
+      return {
+        application: {
+          _id: application._id,
+          firstName: application.firstName,
+          lastName: application.lastName,
+          position: application.position,
+          status: application.status,
+          appliedAt: application.appliedAt,
+          withdrawnAt: application.withdrawnAt,
+          resume: application.resume && application.resume.path
+            ? { filename: application.resume.filename, size: application.resume.size }
+            : null
+        },
+        upcomingInterviews,
+        // Changes sent with a repeated application, waiting for the applicant to confirm or discard them
+        pendingResubmission: pending && open ? {
+          _id: pending._id,
+          submittedAt: pending.submittedAt,
+          firstName: pending.firstName,
+          lastName: pending.lastName,
+          experience: pending.experience,
+          coverLetter: pending.coverLetter,
+          resume: pending.resume && pending.resume.path
+            ? { filename: pending.resume.filename, size: pending.resume.size }
+            : null
+        } : null,
+        canWithdraw: open,
+        canUpdateResume: open
+      };
+    } catch (error) {
+      throw new Error(`Failed to load applicant portal: ${error.message}`);
+    }
+  }
+
+  /**
+   * Withdraw an application on the applicant's behalf, closing its candidate
+   */
+  async withdrawApplication(token, reason = '', audit = {}) {
+    try {
+      const application = await this.getApplicationByPortalToken(token);
+      if (CLOSED_STATUSES.includes(application.status)) {
+        throw new Error(`Cannot withdraw an application that is ${application.status}`);
+      }
+
+      await this.interviewCandidateService.assertApplicationStatusChange(application._id, 'withdrawn');
+
+      const before = this.auditLogService.snapshot(application);
+      const updatedApplication = await this.applicationRepository.updateById(application._id, {
+        status: 'withdrawn',
+        withdrawnAt: new Date(),
+        withdrawalReason: reason || undefined
+      });
+      this.auditLogService.record(audit, {
+        action: 'application.withdraw',
+        entityType: 'application',
+        entityId: application._id,
+        before,
+        after: updatedApplication,
+        metadata: { via: 'applicant-portal' }
+      });
+      console.log(`↩️ Application ${application._id} withdrawn by the applicant`);
+
+      await this.interviewCandidateService.syncCandidateStage(application._id, 'withdrawn', audit);
+      return updatedApplication;
+    } catch (error) {
+      throw new Error(`Failed to withdraw application: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace an application's resume with one uploaded by the applicant
+   */
+  async replaceResume(token, resumeFile, audit = {}) {
+    let storedResume = null;
+
+    try {
+      if (!resumeFile) {
+        throw new Error('A resume file is required');
+      }
+
+      const application = await this.getApplicationByPortalToken(token);
+      if (CLOSED_STATUSES.includes(application.status)) {
+        throw new Error(`Cannot update the resume of an application that is ${application.status}`);
+      }
+
+      const before = this.auditLogService.snapshot(application);
+      const previousResume = application.resume && application.resume.path;
+
+      storedResume = await this.storeResume(resumeFile);
+      const updatedApplication = await this.applicationRepository.updateById(application._id, { resume: storedResume });
+      this.auditLogService.record(audit, {
+        action: 'application.resume',
+        entityType: 'application',
+        entityId: application._id,
+        before,
+        after: updatedApplication,
+        metadata: { via: 'applicant-portal' }
+      });
+
+      if (previousResume) {
+        storageConfig.getAdapter().remove(previousResume)
+          .catch(error => console.error('Failed to remove replaced resume:', error.message));
+      }
+
+      return updatedApplication;
+    } catch (error) {
+      if (storedResume) {
+        storageConfig.getAdapter().remove(storedResume.path)
+          .catch(removeError => console.error('Failed to remove orphaned resume:', removeError.message));
+      }
+      throw new Error(`Failed to update resume: ${error.message}`);
+    }
+  }
+
   /**
    * Get applications by status
    */
@@ -139,18 +644,157 @@ class CareerApplicationService {
   /**
    * Delete application
    */
-  async deleteApplication(id) {
+  async deleteApplication(id, audit = {}) {
     try {
-      const application = await this.applicationRepository.deleteById(id);
+      await this.interviewCandidateService.assertApplicationDeletable(id);
+
+      const application = await this.applicationRepository.deleteById(id, audit.actor || null);
       if (!application) {
         throw new Error('Application not found');
       }
+      this.auditLogService.record(audit, { action: 'application.delete', entityType: 'application', entityId: application._id });
+
+      // The interview candidate is deleted and restored together with its application
+      await this.interviewCandidateService.deleteForApplication(application._id, audit);
+
       return { message: 'Application deleted successfully' };
     } catch (error) {
       throw new Error(`Failed to delete application: ${error.message}`);
     }
   }
 
+  /**
+   * Merge a duplicate application into a primary one
+   * The primary keeps its answers, filling gaps from the duplicate; the candidate
+   * histories are combined and the duplicate is deleted
+   */
+  async mergeApplications(primaryId, duplicateId, audit = {}) {
+    try {
+      if (!duplicateId) {
+        throw new Error('duplicateId is required');
+      }
+      if (String(primaryId) === String(duplicateId)) {
+        throw new Error('Cannot merge an application into itself');
+      }
+
+      const [primary, duplicate] = await Promise.all([
+        this.applicationRepository.findById(primaryId),
+        this.applicationRepository.findById(duplicateId)
+      ]);
+      if (!primary || !duplicate) {
+        throw new Error('Application not found');
+      }
+
+      if (String(primary.job) !== String(duplicate.job)) {
+        throw new Error('Cannot merge applications for different jobs');
+      }
+
+      // A hired candidate or open offer on the duplicate has to be dealt with first
+      await this.interviewCandidateService.assertApplicationDeletable(duplicate._id);
+
+      const before = this.auditLogService.snapshot(primary);
+      const merged = duplicate.toObject({ virtuals: false });
+      const updates = {};
+      const removals = {};
+      for (const field of ['coverLetter', 'notes']) {
+        if (!primary[field] && duplicate[field]) {
+          updates[field] = duplicate[field];
+        }
+      }
+
+      // The resume moves over instead of being shared, so purging the duplicate cannot remove it
+      const moveResume = !(primary.resume && primary.resume.path) && !!(duplicate.resume && duplicate.resume.path);
+      if (moveResume) {
+        updates.resume = merged.resume;
+      }
+
+      if (String(primary.duplicateOf) === String(duplicate._id)) {
+        updates.duplicateOf = null;
+        removals.duplicateMatchedOn = 1;
+      }
+
+      const application = await this.applicationRepository.updateById(primary._id, {
+        $set: updates,
+        ...(Object.keys(removals).length ? { $unset: removals } : {}),
+        $push: { resumeAccessLog: { $each: merged.resumeAccessLog || [] } }
+      });
+
+      const candidate = await this.interviewCandidateService.mergeForApplications(primary._id, duplicate._id, audit);
+
+      await this.applicationRepository.updateById(duplicate._id, {
+        $set: { mergedInto: primary._id },
+        ...(moveResume ? { $unset: { resume: 1 } } : {})
+      });
+      await this.applicationRepository.deleteById(duplicate._id, audit.actor || null);
+      await this.applicationRepository.reassignDuplicates(duplicate._id, primary._id);
+
+      this.auditLogService.record(audit, {
+        action: 'application.merge',
+        entityType: 'application',
+        entityId: application._id,
+        before,
+        after: application,
+        metadata: { mergedApplication: duplicate._id }
+      });
+      this.auditLogService.record(audit, {
+        action: 'application.delete',
+        entityType: 'application',
+        entityId: duplicate._id,
+        metadata: { mergedInto: application._id }
+      });
+
+      return { application, interviewCandidate: candidate };
+    } catch (error) {
+      throw new Error(`Failed to merge applications: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get deleted applications that can still be restored
+   */
+  async getDeletedApplications() {
+    try {
+      return await this.applicationRepository.findDeleted();
+    } catch (error) {
+      throw new Error(`Failed to get deleted applications: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore a deleted application and its interview candidate
+   */
+  async restoreApplication(id, audit = {}) {
+    try {
+      const application = await this.applicationRepository.restoreById(id);
+      if (!application) {
+        throw new Error('Deleted application not found');
+      }
+      this.auditLogService.record(audit, { action: 'application.restore', entityType: 'application', entityId: application._id });
+
+      await this.interviewCandidateService.restoreForApplication(application._id, audit);
+      return application;
+    } catch (error) {
+      throw new Error(`Failed to restore application: ${error.message}`);
+    }
+  }
+
+  /**
+   * Permanently remove applications deleted before a date, with their resumes
+   */
+  async purgeDeletedApplications(deletedBefore) {
+    const applications = await this.applicationRepository.purgeDeleted(deletedBefore);
+
+    for (const application of applications) {
+      if (application.resume && application.resume.path) {
+        await storageConfig.getAdapter().remove(application.resume.path)
+          .catch(error => console.error('Failed to remove purged resume:', error.message));
+      }
+      this.auditLogService.record(null, { action: 'application.purge', entityType: 'application', entityId: application._id });
+    }
+
+    return applications.length;
+  }
+
   /**
    * Search applications
    */
@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const CalendarService = require('./CalendarService');
 
 /**
  * Email Service Class
@@ -7,6 +8,7 @@ const nodemailer = require('nodemailer');
 class EmailService {
   constructor() {
     this.transporter = null;
+    this.calendarService = new CalendarService();
     this.initializeTransporter();
   }
 
@@ -52,7 +54,7 @@ class EmailService {
   /**
    * Send career application confirmation email to applicant
    */
-  async sendApplicationConfirmation(application) {
+  async sendApplicationConfirmation(application, portalToken = null) {
     try {
       if (!this.transporter) {
         console.log('⚠️ Email service not available, skipping confirmation email');
@@ -63,7 +65,7 @@ class EmailService {
         from: process.env.SMTP_USER || 'noreply@paydayexpress.ca',
         to: application.email,
         subject: `Application Received - ${application.position}`,
-        html: this.generateApplicationConfirmationTemplate(application)
+        html: this.generateApplicationConfirmationTemplate(application, portalToken)
       };
 
       const result = await this.transporter.sendMail(mailOptions);
@@ -75,6 +77,32 @@ class EmailService {
     }
   }
 
+  /**
+   * Ask an applicant to confirm the changes sent with a repeated application
+   */
+  async sendResubmissionConfirmation(application, portalToken, resubmissionId) {
+    try {
+      if (!this.transporter) {
+        console.log('⚠️ Email service not available, skipping resubmission confirmation email');
+        return false;
+      }
+
+      const mailOptions = {
+        from: process.env.SMTP_USER || 'noreply@paydayexpress.ca',
+        to: application.email,
+        subject: `Confirm Changes to Your Application - ${application.position}`,
+        html: this.generateResubmissionConfirmationTemplate(application, portalToken, resubmissionId)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Resubmission confirmation email sent:', result.messageId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send resubmission confirmation email:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Send notification email to HR team about new application
    */
@@ -103,10 +131,358 @@ class EmailService {
     }
   }
 
+  /**
+   * Send notification to the job poster that all positions have been filled
+   */
+  async sendJobFilledNotification(job) {
+    try {
+      if (!this.transporter) {
+        console.log('⚠️ Email service not available, skipping job filled notification');
+        return false;
+      }
+
+      if (!job.postedBy || !job.postedBy.email) {
+        console.log('⚠️ Job poster email unknown, skipping job filled notification');
+        return false;
+      }
+
+      const mailOptions = {
+        from: process.env.SMTP_USER || 'noreply@paydayexpress.ca',
+        to: job.postedBy.email,
+        subject: `Job Filled and Closed - ${job.title}`,
+        html: this.generateJobFilledTemplate(job)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Job filled notification email sent:', result.messageId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send job filled notification email:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send password reset link to a user
+   */
+  async sendPasswordResetEmail(user, token, expiresInMinutes) {
+    try {
+      if (!this.transporter) {
+        console.log('⚠️ Email service not available, skipping password reset email');
+        return false;
+      }
+
+      const mailOptions = {
+        from: process.env.SMTP_USER || 'noreply@paydayexpress.ca',
+        to: user.email,
+        subject: 'Reset Your Password - Payday Express',
+        html: this.generatePasswordResetTemplate(user, token, expiresInMinutes)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Password reset email sent:', result.messageId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send password reset email:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send email address verification link to a user
+   */
+  async sendEmailVerification(user, token, expiresInHours) {
+    try {
+      if (!this.transporter) {
+        console.log('⚠️ Email service not available, skipping verification email');
+        return false;
+      }
+
+      const mailOptions = {
+        from: process.env.SMTP_USER || 'noreply@paydayexpress.ca',
+        to: user.email,
+        subject: 'Verify Your Email Address - Payday Express',
+        html: this.generateEmailVerificationTemplate(user, token, expiresInHours)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Verification email sent:', result.messageId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send verification email:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send staff invitation link
+   */
+  async sendStaffInvitation(invitation, token, inviter = null) {
+    try {
+      if (!this.transporter) {
+        console.log('⚠️ Email service not available, skipping invitation email');
+        return false;
+      }
+
+      const mailOptions = {
+        from: process.env.SMTP_USER || 'noreply@paydayexpress.ca',
+        to: invitation.email,
+        subject: 'You\'re Invited to Join Payday Express',
+        html: this.generateStaffInvitationTemplate(invitation, token, inviter)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Invitation email sent:', result.messageId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send invitation email:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Alert a user that their account was locked after failed logins
+   */
+  async sendAccountLockedNotification(user, lockout) {
+    try {
+      if (!this.transporter) {
+        console.log('⚠️ Email service not available, skipping account locked email');
+        return false;
+      }
+
+      const mailOptions = {
+        from: process.env.SMTP_USER || 'noreply@paydayexpress.ca',
+        to: user.email,
+        subject: 'Your Account Has Been Locked - Payday Express',
+        html: this.generateAccountLockedTemplate(user, lockout)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Account locked email sent:', result.messageId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send account locked email:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send a candidate the link to book their own interview slot
+   */
+  async sendSchedulingLink(application, link, token) {
+    try {
+      if (!this.transporter) {
+        console.log('⚠️ Email service not available, skipping scheduling link email');
+        return false;
+      }
+
+      const mailOptions = {
+        from: process.env.SMTP_USER || 'noreply@paydayexpress.ca',
+        to: application.email,
+        subject: `Schedule Your Interview - ${application.position}`,
+        html: this.generateSchedulingLinkTemplate(application, link, token)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Scheduling link email sent:', result.messageId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send scheduling link email:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send a candidate the details of their interview with a calendar invite
+   * Interviews that were updated since the first invite (sequence > 0) are sent as updates
+   */
+  async sendInterviewConfirmation(application, interview, interviewers = []) {
+    try {
+      if (!this.transporter) {
+        console.log('⚠️ Email service not available, skipping interview confirmation');
+        return false;
+      }
+
+      const mailOptions = {
+        from: process.env.SMTP_USER || 'noreply@paydayexpress.ca',
+        to: application.email,
+        subject: `${interview.sequence ? 'Interview Updated' : 'Interview Confirmed'} - ${application.position}`,
+        html: this.generateInterviewConfirmationTemplate(application, interview, interviewers),
+        icalEvent: {
+          filename: 'interview.ics',
+          method: 'REQUEST',
+          content: this.calendarService.buildInterviewInvite(application, interview, interviewers)
+        }
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Interview confirmation email sent:', result.messageId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send interview confirmation email:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send an interviewer the details of an interview they are assigned to with a calendar invite
+   */
+  async sendInterviewerInvitation(interviewer, application, interview, interviewers = [interviewer]) {
+    try {
+      if (!this.transporter) {
+        console.log('⚠️ Email service not available, skipping interviewer invitation');
+        return false;
+      }
+
+      const mailOptions = {
+        from: process.env.SMTP_USER || 'noreply@paydayexpress.ca',
+        to: interviewer.email,
+        subject: `${interview.sequence ? 'Interview Updated' : 'Interview Scheduled'} - ${application.firstName} ${application.lastName} (${application.position})`,
+        html: this.generateInterviewerInvitationTemplate(interviewer, application, interview),
+        icalEvent: {
+          filename: 'interview.ics',
+          method: 'REQUEST',
+          content: this.calendarService.buildInterviewInvite(application, interview, interviewers, {
+            summary: this.calendarService.getInterviewerSummary(application, interview)
+          })
+        }
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Interviewer invitation sent:', result.messageId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send interviewer invitation:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Tell a candidate their interview was cancelled and remove it from their calendar
+   */
+  async sendInterviewCancellation(application, interview, interviewers = [], reason = null) {
+    try {
+      if (!this.transporter) {
+        console.log('⚠️ Email service not available, skipping interview cancellation');
+        return false;
+      }
+
+      const summary = this.calendarService.getCandidateSummary(application, interview);
+      const mailOptions = {
+        from: process.env.SMTP_USER || 'noreply@paydayexpress.ca',
+        to: application.email,
+        subject: `Interview Cancelled - ${application.position}`,
+        html: this.generateInterviewCancellationTemplate(application.firstName, summary, interview, reason),
+        icalEvent: {
+          filename: 'interview.ics',
+          method: 'CANCEL',
+          content: this.calendarService.buildInterviewInvite(application, interview, interviewers, { method: 'CANCEL', summary })
+        }
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Interview cancellation email sent:', result.messageId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send interview cancellation email:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Tell an interviewer an interview was cancelled and remove it from their calendar
+   */
+  async sendInterviewerCancellation(interviewer, application, interview, interviewers = [interviewer], reason = null) {
+    try {
+      if (!this.transporter) {
+        console.log('⚠️ Email service not available, skipping interviewer cancellation');
+        return false;
+      }
+
+      const summary = this.calendarService.getInterviewerSummary(application, interview);
+      const mailOptions = {
+        from: process.env.SMTP_USER || 'noreply@paydayexpress.ca',
+        to: interviewer.email,
+        subject: `Interview Cancelled - ${application.firstName} ${application.lastName} (${application.position})`,
+        html: this.generateInterviewCancellationTemplate(interviewer.name, summary, interview, reason),
+        icalEvent: {
+          filename: 'interview.ics',
+          method: 'CANCEL',
+          content: this.calendarService.buildInterviewInvite(application, interview, interviewers, { method: 'CANCEL', summary })
+        }
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Interviewer cancellation sent:', result.messageId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send interviewer cancellation:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Remind a candidate of an upcoming interview
+   */
+  async sendInterviewReminder(application, interview, interviewers = []) {
+    try {
+      if (!this.transporter) {
+        console.log('⚠️ Email service not available, skipping interview reminder');
+        return false;
+      }
+
+      const summary = this.calendarService.getCandidateSummary(application, interview);
+      const mailOptions = {
+        from: process.env.SMTP_USER || 'noreply@paydayexpress.ca',
+        to: application.email,
+        subject: `Reminder: ${summary} on ${new Date(interview.scheduledAt).toLocaleString()}`,
+        html: this.generateInterviewReminderTemplate(application.firstName, summary, interview, interviewers)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Interview reminder sent:', result.messageId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send interview reminder:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Remind an interviewer of an upcoming interview
+   */
+  async sendInterviewerReminder(interviewer, application, interview) {
+    try {
+      if (!this.transporter) {
+        console.log('⚠️ Email service not available, skipping interviewer reminder');
+        return false;
+      }
+
+      const summary = this.calendarService.getInterviewerSummary(application, interview);
+      const mailOptions = {
+        from: process.env.SMTP_USER || 'noreply@paydayexpress.ca',
+        to: interviewer.email,
+        subject: `Reminder: ${summary} on ${new Date(interview.scheduledAt).toLocaleString()}`,
+        html: this.generateInterviewReminderTemplate(interviewer.name, summary, interview)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+      console.log('✅ Interviewer reminder sent:', result.messageId);
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to send interviewer reminder:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Generate HTML template for application confirmation email
    */
-  generateApplicationConfirmationTemplate(application) {
+  generateApplicationConfirmationTemplate(application, portalToken = null) {
+    const portalUrl = portalToken
+      ? `${process.env.DASHBOARD_URL || 'https://payday-new.vercel.app'}/applicant-portal/${portalToken}`
+      : null;
+
     return `
       <!DOCTYPE html>
       <html>
@@ -147,6 +523,11 @@ class EmailService {
             </div>
             
             <p>Our HR team will review your application and get back to you within 5-7 business days. We'll contact you via email or phone to discuss next steps.</p>
+            ${portalUrl ? `
+            <p>You can check the status of your application, see upcoming interviews, upload an updated resume or withdraw your application at any time:</p>
+            <a href="${portalUrl}" class="button">View Your Application</a>
+            <p>Keep this link private: anyone who has it can view and change your application.</p>
+            ` : ''}
             
             <p>In the meantime, feel free to:</p>
             <ul>
@@ -174,31 +555,86 @@ class EmailService {
   }
 
   /**
-   * Generate HTML template for HR notification email
+   * Generate HTML template for the resubmission confirmation email
    */
-  generateHRNotificationTemplate(application) {
+  generateResubmissionConfirmationTemplate(application, portalToken, resubmissionId) {
+    const confirmUrl = `${process.env.DASHBOARD_URL || 'https://payday-new.vercel.app'}/applicant-portal/${portalToken}?resubmission=${resubmissionId}`;
+
     return `
       <!DOCTYPE html>
       <html>
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>New Career Application - Payday Express</title>
+        <title>Confirm Changes to Your Application - Payday Express</title>
         <style>
           body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
           .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: linear-gradient(135deg, #10b981, #3b82f6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .header { background: linear-gradient(135deg, #3b82f6, #8b5cf6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
           .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
-          .button { display: inline-block; background: #10b981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .button { display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
           .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
-          .highlight { background: #d1fae5; padding: 15px; border-radius: 6px; margin: 20px 0; }
-          .urgent { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+          .highlight { background: #e0e7ff; padding: 15px; border-radius: 6px; margin: 20px 0; }
         </style>
       </head>
       <body>
         <div class="container">
           <div class="header">
-            <h1>📝 New Career Application</h1>
+            <h1>✏️ Confirm Your Changes</h1>
+            <p>Your application has not been changed yet</p>
+          </div>
+          
+          <div class="content">
+            <h2>Hello ${application.firstName},</h2>
+            
+            <p>We received another application for the <strong>${application.position}</strong> position with your email address. Before we update your existing application with it, please review and confirm the changes:</p>
+            
+            <a href="${confirmUrl}" class="button">Review Changes</a>
+            
+            <div class="highlight">
+              <p>If you did not apply again, ignore this email or discard the changes from the link above. Your application stays as it is until the changes are confirmed.</p>
+            </div>
+            
+            <p>Best regards,<br>
+            <strong>The Payday Express HR Team</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Payday Express. All rights reserved.</p>
+            <p>This email was sent to ${application.email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate HTML template for HR notification email
+   */
+  generateHRNotificationTemplate(application) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>New Career Application - Payday Express</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #10b981, #3b82f6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #10b981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+          .highlight { background: #d1fae5; padding: 15px; border-radius: 6px; margin: 20px 0; }
+          .urgent { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📝 New Career Application</h1>
             <p>A new candidate has applied to join our team</p>
           </div>
           
@@ -248,6 +684,585 @@ class EmailService {
     `;
   }
 
+  /**
+   * Generate HTML template for job filled notification email
+   */
+  generateJobFilledTemplate(job) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Job Filled - Payday Express</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #10b981, #3b82f6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #10b981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+          .highlight { background: #d1fae5; padding: 15px; border-radius: 6px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>✅ All Positions Filled</h1>
+            <p>Your job posting has been closed automatically</p>
+          </div>
+          
+          <div class="content">
+            <h2>Hello ${job.postedBy.name || 'there'},</h2>
+            
+            <p>Every seat for the <strong>${job.title}</strong> posting has now been filled by an accepted offer, so the job has been closed and no longer accepts applications.</p>
+            
+            <div class="highlight">
+              <h3>Job Details:</h3>
+              <ul>
+                <li><strong>Title:</strong> ${job.title}</li>
+                <li><strong>Department:</strong> ${job.department}</li>
+                <li><strong>Positions Filled:</strong> ${job.positionsFilled} of ${job.numberOfPositions}</li>
+                <li><strong>Closed:</strong> ${new Date().toLocaleDateString()}</li>
+                <li><strong>Job ID:</strong> ${job._id}</li>
+              </ul>
+            </div>
+            
+            <a href="${process.env.DASHBOARD_URL || 'https://payday-new.vercel.app'}/jobs/${job._id}" class="button">View Job</a>
+            
+            <p>If you need to hire more people for this role, increase the number of positions and publish the job again.</p>
+          </div>
+          
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Payday Express. All rights reserved.</p>
+            <p>This is an automated notification from the Payday Express HR system.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate HTML template for password reset email
+   */
+  generatePasswordResetTemplate(user, token, expiresInMinutes) {
+    const resetUrl = `${process.env.DASHBOARD_URL || 'https://payday-new.vercel.app'}/reset-password?token=${token}`;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Reset Your Password - Payday Express</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #3b82f6, #8b5cf6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+          .urgent { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔑 Reset Your Password</h1>
+            <p>A password reset was requested for your account</p>
+          </div>
+          
+          <div class="content">
+            <h2>Hello ${user.name},</h2>
+            
+            <p>We received a request to reset the password for your Payday Express account. Click the button below to choose a new password.</p>
+            
+            <a href="${resetUrl}" class="button">Reset Password</a>
+            
+            <div class="urgent">
+              <p>This link expires in ${expiresInMinutes} minutes and can only be used once. Resetting your password signs you out of every device.</p>
+            </div>
+            
+            <p>If you did not request a password reset, you can ignore this email; your password will not change.</p>
+            
+            <p>Best regards,<br>
+            <strong>The Payday Express Team</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Payday Express. All rights reserved.</p>
+            <p>This email was sent to ${user.email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate HTML template for email verification email
+   */
+  generateEmailVerificationTemplate(user, token, expiresInHours) {
+    const verifyUrl = `${process.env.DASHBOARD_URL || 'https://payday-new.vercel.app'}/verify-email?token=${token}`;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Verify Your Email - Payday Express</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #10b981, #3b82f6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #10b981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>✉️ Verify Your Email</h1>
+            <p>One more step to finish setting up your account</p>
+          </div>
+          
+          <div class="content">
+            <h2>Hello ${user.name},</h2>
+            
+            <p>Please confirm that <strong>${user.email}</strong> is your email address by clicking the button below.</p>
+            
+            <a href="${verifyUrl}" class="button">Verify Email Address</a>
+            
+            <p>This link expires in ${expiresInHours} hours. If you did not create a Payday Express account, you can ignore this email.</p>
+            
+            <p>Best regards,<br>
+            <strong>The Payday Express Team</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Payday Express. All rights reserved.</p>
+            <p>This email was sent to ${user.email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate HTML template for staff invitation email
+   */
+  generateStaffInvitationTemplate(invitation, token, inviter = null) {
+    const acceptUrl = `${process.env.DASHBOARD_URL || 'https://payday-new.vercel.app'}/accept-invite?token=${token}`;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>You're Invited - Payday Express</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #3b82f6, #8b5cf6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+          .highlight { background: #e0e7ff; padding: 15px; border-radius: 6px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>👋 You're Invited!</h1>
+            <p>Join the Payday Express hiring team</p>
+          </div>
+          
+          <div class="content">
+            <h2>Hello ${invitation.name || 'there'},</h2>
+            
+            <p>${inviter ? `<strong>${inviter.name}</strong> has invited you` : 'You have been invited'} to create a Payday Express staff account.</p>
+            
+            <div class="highlight">
+              <h3>Invitation Details:</h3>
+              <ul>
+                <li><strong>Email:</strong> ${invitation.email}</li>
+                <li><strong>Role:</strong> ${invitation.role}</li>
+                <li><strong>Expires:</strong> ${new Date(invitation.expiresAt).toLocaleString()}</li>
+              </ul>
+            </div>
+            
+            <a href="${acceptUrl}" class="button">Accept Invitation</a>
+            
+            <p>You'll be asked to choose a password. The link can only be used once. If you weren't expecting this invitation, you can ignore this email.</p>
+            
+            <p>Best regards,<br>
+            <strong>The Payday Express Team</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Payday Express. All rights reserved.</p>
+            <p>This email was sent to ${invitation.email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate HTML template for account locked email
+   */
+  generateAccountLockedTemplate(user, lockout) {
+    const resetUrl = `${process.env.DASHBOARD_URL || 'https://payday-new.vercel.app'}/forgot-password`;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Account Locked - Payday Express</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #ef4444, #f59e0b); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #ef4444; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+          .urgent { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔒 Account Locked</h1>
+            <p>Too many failed sign-in attempts</p>
+          </div>
+          
+          <div class="content">
+            <h2>Hello ${user.name},</h2>
+            
+            <p>We temporarily locked your Payday Express account after several failed sign-in attempts.</p>
+            
+            <div class="urgent">
+              <ul>
+                <li><strong>Locked until:</strong> ${new Date(lockout.lockedUntil).toLocaleString()}</li>
+                ${lockout.ip ? `<li><strong>Last attempt from IP:</strong> ${lockout.ip}</li>` : ''}
+              </ul>
+            </div>
+            
+            <p>If this was you, wait until the lock expires and try again, or reset your password now. If it wasn't you, someone may be trying to guess your password: reset it and consider enabling two-factor authentication.</p>
+            
+            <a href="${resetUrl}" class="button">Reset Password</a>
+            
+            <p>An administrator can also unlock your account.</p>
+            
+            <p>Best regards,<br>
+            <strong>The Payday Express Team</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Payday Express. All rights reserved.</p>
+            <p>This email was sent to ${user.email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate HTML template for the interview scheduling link email
+   */
+  generateSchedulingLinkTemplate(application, link, token) {
+    const bookingUrl = `${process.env.DASHBOARD_URL || 'https://payday-new.vercel.app'}/schedule-interview/${token}`;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Schedule Your Interview - Payday Express</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #3b82f6, #8b5cf6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+          .highlight { background: #e0e7ff; padding: 15px; border-radius: 6px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📅 Schedule Your Interview</h1>
+            <p>Pick a time that works for you</p>
+          </div>
+          
+          <div class="content">
+            <h2>Hello ${application.firstName},</h2>
+            
+            <p>We'd like to invite you to the next step for the <strong>${application.position}</strong> position. Please choose one of the available times for your interview.</p>
+            
+            <div class="highlight">
+              <ul>
+                <li><strong>Interview:</strong> ${link.stage}</li>
+                <li><strong>Duration:</strong> ${link.duration} minutes</li>
+                <li><strong>Location:</strong> ${link.location}</li>
+              </ul>
+            </div>
+            
+            <a href="${bookingUrl}" class="button">Choose a Time</a>
+            
+            <p>This link can be used once and expires on ${new Date(link.expiresAt).toLocaleString()}.</p>
+            
+            <p>Best regards,<br>
+            <strong>The Payday Express HR Team</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Payday Express. All rights reserved.</p>
+            <p>This email was sent to ${application.email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate HTML template for the candidate's interview confirmation email
+   */
+  generateInterviewConfirmationTemplate(application, interview, interviewers = []) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Interview Confirmed - Payday Express</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #10b981, #3b82f6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+          .highlight { background: #d1fae5; padding: 15px; border-radius: 6px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${interview.sequence ? '🔄 Interview Updated' : '✅ Interview Confirmed'}</h1>
+            <p>We look forward to speaking with you</p>
+          </div>
+          
+          <div class="content">
+            <h2>Hello ${application.firstName},</h2>
+            
+            <p>${interview.sequence ? 'The details of your interview' : 'Your interview'} for the <strong>${application.position}</strong> position ${interview.sequence ? 'have changed' : 'is booked'}. The attached invite adds it to your calendar.</p>
+            
+            <div class="highlight">
+              <h3>Interview Details:</h3>
+              <ul>
+                <li><strong>When:</strong> ${new Date(interview.scheduledAt).toLocaleString()}</li>
+                <li><strong>Duration:</strong> ${interview.duration} minutes</li>
+                <li><strong>Location:</strong> ${interview.location}</li>
+                ${interview.meetingLink ? `<li><strong>Meeting link:</strong> <a href="${interview.meetingLink}">${interview.meetingLink}</a></li>` : ''}
+                ${interviewers.length ? `<li><strong>With:</strong> ${interviewers.map(interviewer => interviewer.name).join(', ')}</li>` : ''}
+              </ul>
+            </div>
+            
+            <p>If you can no longer make it, please let our HR team know at <a href="mailto:hr@paydayexpress.ca">hr@paydayexpress.ca</a>.</p>
+            
+            <p>Best regards,<br>
+            <strong>The Payday Express HR Team</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Payday Express. All rights reserved.</p>
+            <p>This email was sent to ${application.email}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate HTML template for the interviewer invitation
+   */
+  generateInterviewerInvitationTemplate(interviewer, application, interview) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Interview Scheduled - Payday Express</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #10b981, #3b82f6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #10b981; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+          .highlight { background: #d1fae5; padding: 15px; border-radius: 6px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${interview.sequence ? '🔄 Interview Updated' : '📅 Interview Scheduled'}</h1>
+            <p>${interview.sequence ? 'The details of an interview you are on have changed' : 'You have been added to an interview'}</p>
+          </div>
+          
+          <div class="content">
+            <h2>Hello ${interviewer.name || 'there'},</h2>
+            
+            <p>You are interviewing <strong>${application.firstName} ${application.lastName}</strong> for the <strong>${application.position}</strong> position. The attached invite adds the interview to your calendar.</p>
+            
+            <div class="highlight">
+              <h3>Interview Details:</h3>
+              <ul>
+                <li><strong>Stage:</strong> ${interview.stage}</li>
+                <li><strong>When:</strong> ${new Date(interview.scheduledAt).toLocaleString()}</li>
+                <li><strong>Duration:</strong> ${interview.duration} minutes</li>
+                <li><strong>Location:</strong> ${interview.location}</li>
+                ${interview.meetingLink ? `<li><strong>Meeting link:</strong> <a href="${interview.meetingLink}">${interview.meetingLink}</a></li>` : ''}
+              </ul>
+            </div>
+            
+            <a href="${process.env.DASHBOARD_URL || 'https://payday-new.vercel.app'}/applications/${application._id}" class="button">View Application</a>
+          </div>
+          
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Payday Express. All rights reserved.</p>
+            <p>This is an automated notification from the Payday Express HR system.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate HTML template for interview cancellation emails
+   */
+  generateInterviewCancellationTemplate(recipientName, summary, interview, reason = null) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Interview Cancelled - Payday Express</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #ef4444, #f97316); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+          .highlight { background: #fee2e2; padding: 15px; border-radius: 6px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Interview Cancelled</h1>
+          </div>
+          
+          <div class="content">
+            <h2>Hello ${recipientName || 'there'},</h2>
+            
+            <p>The following interview has been cancelled and removed from your calendar:</p>
+            
+            <div class="highlight">
+              <ul>
+                <li><strong>Interview:</strong> ${summary}</li>
+                <li><strong>Was scheduled for:</strong> ${new Date(interview.scheduledAt).toLocaleString()}</li>
+                ${reason ? `<li><strong>Reason:</strong> ${reason}</li>` : ''}
+              </ul>
+            </div>
+            
+            <p>Best regards,<br>
+            <strong>The Payday Express HR Team</strong></p>
+          </div>
+          
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Payday Express. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Generate HTML template for interview reminders
+   */
+  generateInterviewReminderTemplate(recipientName, summary, interview, interviewers = []) {
+    const minutesUntil = Math.max(1, Math.round((new Date(interview.scheduledAt) - Date.now()) / (60 * 1000)));
+    const startsIn = minutesUntil >= 90 ? `${Math.round(minutesUntil / 60)} hours` : `${minutesUntil} minutes`;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Interview Reminder - Payday Express</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #3b82f6, #8b5cf6); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9fafb; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+          .highlight { background: #e0e7ff; padding: 15px; border-radius: 6px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>⏰ Interview Reminder</h1>
+            <p>Starts in about ${startsIn}</p>
+          </div>
+          
+          <div class="content">
+            <h2>Hello ${recipientName || 'there'},</h2>
+            
+            <p>This is a reminder of your upcoming interview.</p>
+            
+            <div class="highlight">
+              <h3>${summary}</h3>
+              <ul>
+                <li><strong>When:</strong> ${new Date(interview.scheduledAt).toLocaleString()}</li>
+                <li><strong>Duration:</strong> ${interview.duration} minutes</li>
+                <li><strong>Location:</strong> ${interview.location}</li>
+                ${interviewers.length ? `<li><strong>With:</strong> ${interviewers.map(interviewer => interviewer.name).join(', ')}</li>` : ''}
+              </ul>
+            </div>
+            
+            ${interview.meetingLink ? `<a href="${interview.meetingLink}" class="button">Join Meeting</a>` : ''}
+          </div>
+          
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Payday Express. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   /**
    * Send test email to verify configuration
    */
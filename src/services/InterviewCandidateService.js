@@ -1,5 +1,29 @@
 const InterviewCandidateRepository = require('../repositories/InterviewCandidateRepository');
 const CareerApplicationRepository = require('../repositories/CareerApplicationRepository');
+const UserRepository = require('../repositories/UserRepository');
+const SchedulingLinkRepository = require('../repositories/SchedulingLinkRepository');
+const JobService = require('./JobService');
+const EmailService = require('./EmailService');
+const AuditLogService = require('./AuditLogService');
+
+// Final candidate stages and the application status they imply
+const APPLICATION_STATUS_BY_STAGE = {
+  hired: 'hired',
+  rejected: 'rejected'
+};
+
+// Minutes before an interview that reminders go out, configured in hours (e.g. "24,1"), largest first
+const INTERVIEW_REMINDER_OFFSETS = (process.env.INTERVIEW_REMINDER_OFFSETS_HOURS || '24,1')
+  .split(',')
+  .map(hours => Math.round(parseFloat(hours) * 60))
+  .filter(minutes => minutes > 0)
+  .sort((a, b) => b - a);
+
+// Closing application statuses and the candidate stage they imply
+const CANDIDATE_STAGE_BY_APPLICATION_STATUS = {
+  rejected: 'rejected',
+  withdrawn: 'rejected'
+};
 
 /**
  * Interview Candidate Service
@@ -9,12 +33,17 @@ class InterviewCandidateService {
   constructor() {
     this.interviewCandidateRepository = new InterviewCandidateRepository();
     this.careerApplicationRepository = new CareerApplicationRepository();
+    this.userRepository = new UserRepository();
+    this.schedulingLinkRepository = new SchedulingLinkRepository();
+    this.jobService = new JobService();
+    this.emailService = new EmailService();
+    this.auditLogService = new AuditLogService();
   }
 
   /**
    * Create interview candidate from career application
    */
-  async createFromApplication(careerApplicationId, userId) {
+  async createFromApplication(careerApplicationId, userId, audit = {}) {
     // Check if career application exists
     const application = await this.careerApplicationRepository.findById(careerApplicationId);
     if (!application) {
@@ -32,6 +61,7 @@ class InterviewCandidateService {
     // Create interview candidate
     const candidateData = {
       careerApplication: careerApplicationId,
+      applicant: application.applicant,
       currentStage: 'screening',
       timeline: [{
         action: 'Candidate created from application',
@@ -41,6 +71,7 @@ class InterviewCandidateService {
     };
 
     const candidate = await this.interviewCandidateRepository.create(candidateData);
+    this.auditLogService.record(audit, { action: 'candidate.create', entityType: 'candidate', entityId: candidate._id, after: candidate });
     
     // Note: We don't automatically change application status to 'shortlisted' anymore
     // since candidates are created for all applications now
@@ -67,6 +98,13 @@ class InterviewCandidateService {
     return candidate;
   }
 
+  /**
+   * Get the candidate of a career application, if one was created
+   */
+  async getCandidateForApplication(careerApplicationId) {
+    return await this.interviewCandidateRepository.findByCareerApplication(careerApplicationId);
+  }
+
   /**
    * Get candidates by stage
    */
@@ -96,7 +134,7 @@ class InterviewCandidateService {
   /**
    * Schedule interview
    */
-  async scheduleInterview(candidateId, interviewData, userId) {
+  async scheduleInterview(candidateId, interviewData, userId, audit = {}) {
     // Validate interview data
     this.validateInterviewData(interviewData);
     
@@ -106,19 +144,334 @@ class InterviewCandidateService {
       throw new Error('Interview candidate not found');
     }
 
+    await this.assertNoSchedulingConflicts(candidate, interviewData);
+
     // Schedule the interview
     const updatedCandidate = await this.interviewCandidateRepository.scheduleInterview(candidateId, {
       ...interviewData,
       status: 'scheduled'
     });
+    const interview = updatedCandidate.interviews[updatedCandidate.interviews.length - 1];
+
+    // Check again now the interview is saved: of two overlapping bookings made at the same
+    // time, at least one sees the other here, so it is taken back out instead of double-booking
+    const savedCandidate = await this.interviewCandidateRepository.findById(candidateId);
+    try {
+      await this.assertNoSchedulingConflicts(savedCandidate, interviewData, interview._id);
+    } catch (error) {
+      await this.interviewCandidateRepository.updateById(candidateId, { $pull: { interviews: { _id: interview._id } } });
+      throw error;
+    }
+
+    this.auditLogService.record(audit, {
+      action: 'candidate.schedule-interview', entityType: 'candidate', entityId: candidate._id, before: candidate, after: updatedCandidate
+    });
+
+    this.sendInterviewInvites(updatedCandidate, interview)
+      .catch(error => console.error('Failed to send interview invites:', error));
+
+    return updatedCandidate;
+  }
+
+  /**
+   * Move a scheduled interview to a new time, keeping the previous time in its history
+   * Interviewers, duration, location and meeting link can be changed at the same time
+   */
+  async rescheduleInterview(candidateId, interviewIndex, rescheduleData, userId, audit = {}) {
+    const { reason } = rescheduleData;
+    if (!reason || !String(reason).trim()) {
+      throw new Error('reason is required');
+    }
+
+    const candidate = await this.interviewCandidateRepository.findById(candidateId);
+    if (!candidate) {
+      throw new Error('Interview candidate not found');
+    }
+
+    const interview = candidate.interviews[interviewIndex];
+    if (!interview) {
+      throw new Error('Interview not found');
+    }
+    if (interview.status !== 'scheduled') {
+      throw new Error(`Cannot reschedule an interview that is ${interview.status}`);
+    }
+
+    const next = {
+      stage: interview.stage,
+      scheduledAt: rescheduleData.scheduledAt,
+      duration: rescheduleData.duration || interview.duration,
+      interviewers: rescheduleData.interviewers || interview.interviewers.map(interviewer => interviewer._id || interviewer),
+      location: rescheduleData.location !== undefined ? rescheduleData.location : interview.location,
+      meetingLink: rescheduleData.meetingLink !== undefined ? rescheduleData.meetingLink : interview.meetingLink
+    };
+    this.validateInterviewData(next);
+    await this.assertNoSchedulingConflicts(candidate, next, interview._id);
+
+    const path = `interviews.${interviewIndex}`;
+    await this.interviewCandidateRepository.updateById(candidate._id, {
+      $set: {
+        [`${path}.scheduledAt`]: next.scheduledAt,
+        [`${path}.duration`]: next.duration,
+        [`${path}.interviewers`]: next.interviewers,
+        [`${path}.location`]: next.location,
+        [`${path}.meetingLink`]: next.meetingLink,
+        [`${path}.remindersSent`]: []
+      },
+      $inc: { [`${path}.sequence`]: 1 },
+      $push: {
+        [`${path}.history`]: {
+          scheduledAt: interview.scheduledAt,
+          duration: interview.duration,
+          location: interview.location,
+          meetingLink: interview.meetingLink,
+          reason,
+          changedBy: userId
+        },
+        timeline: {
+          action: `Interview rescheduled for ${interview.stage}`,
+          performedBy: userId,
+          details: `Moved from ${interview.scheduledAt.toISOString()} to ${new Date(next.scheduledAt).toISOString()}: ${reason}`
+        }
+      }
+    });
+
+    const updatedCandidate = await this.interviewCandidateRepository.findById(candidate._id);
+    this.auditLogService.record(audit, {
+      action: 'candidate.reschedule-interview', entityType: 'candidate', entityId: candidate._id, before: candidate, after: updatedCandidate,
+      metadata: { interviewIndex, reason }
+    });
+
+    // Interviewers taken off the interview get a cancellation, everyone else the updated invite
+    const updatedInterview = updatedCandidate.interviews[interviewIndex];
+    const remaining = next.interviewers.map(String);
+    const removed = interview.interviewers.filter(interviewer => !remaining.includes((interviewer._id || interviewer).toString()));
+    this.sendInterviewInvites(updatedCandidate, updatedInterview)
+      .catch(error => console.error('Failed to send interview invites:', error));
+    if (removed.length > 0) {
+      // The cancellation shows the time they had, with the new sequence so calendars accept it
+      const previous = { ...interview.toObject(), sequence: updatedInterview.sequence };
+      this.sendInterviewCancellations(updatedCandidate, previous, { interviewers: removed, reason, notifyCandidate: false })
+        .catch(error => console.error('Failed to send interview cancellations:', error));
+    }
+
+    return updatedCandidate;
+  }
+
+  /**
+   * Cancel a scheduled interview
+   */
+  async cancelInterview(candidateId, interviewIndex, reason, userId, audit = {}) {
+    if (!reason || !String(reason).trim()) {
+      throw new Error('reason is required');
+    }
+
+    const candidate = await this.interviewCandidateRepository.findById(candidateId);
+    if (!candidate) {
+      throw new Error('Interview candidate not found');
+    }
+
+    const interview = candidate.interviews[interviewIndex];
+    if (!interview) {
+      throw new Error('Interview not found');
+    }
+    if (interview.status !== 'scheduled') {
+      throw new Error(`Cannot cancel an interview that is ${interview.status}`);
+    }
+
+    const path = `interviews.${interviewIndex}`;
+    await this.interviewCandidateRepository.updateById(candidate._id, {
+      $set: {
+        [`${path}.status`]: 'cancelled',
+        [`${path}.cancelledAt`]: new Date(),
+        [`${path}.cancelledBy`]: userId,
+        [`${path}.cancellationReason`]: reason
+      },
+      $inc: { [`${path}.sequence`]: 1 },
+      $push: {
+        timeline: {
+          action: `Interview cancelled for ${interview.stage}`,
+          performedBy: userId,
+          details: reason
+        }
+      }
+    });
+
+    const updatedCandidate = await this.interviewCandidateRepository.findById(candidate._id);
+    this.auditLogService.record(audit, {
+      action: 'candidate.cancel-interview', entityType: 'candidate', entityId: candidate._id, before: candidate, after: updatedCandidate,
+      metadata: { interviewIndex, reason }
+    });
+
+    this.sendInterviewCancellations(updatedCandidate, updatedCandidate.interviews[interviewIndex], { reason })
+      .catch(error => console.error('Failed to send interview cancellations:', error));
+
+    return updatedCandidate;
+  }
+
+  /**
+   * Email a cancellation that removes the interview from the candidate's and interviewers' calendars
+   * The reason is only shared with the interviewers
+   */
+  async sendInterviewCancellations(candidate, interview, { interviewers = null, reason = null, notifyCandidate = true } = {}) {
+    const application = candidate.careerApplication;
+    const participants = await this.getInterviewParticipants(interview);
+    const recipients = interviewers ? await this.getInterviewParticipants({ interviewers }) : participants;
+
+    await Promise.all([
+      notifyCandidate ? this.emailService.sendInterviewCancellation(application, interview, participants) : null,
+      ...recipients.map(interviewer =>
+        this.emailService.sendInterviewerCancellation(interviewer, application, interview, participants, reason)
+      )
+    ]);
+  }
+
+  /**
+   * Email an interview with a calendar invite to the candidate and each interviewer
+   */
+  async sendInterviewInvites(candidate, interview) {
+    const application = candidate.careerApplication;
+    const interviewers = await this.getInterviewParticipants(interview);
+
+    await Promise.all([
+      this.emailService.sendInterviewConfirmation(application, interview, interviewers),
+      ...interviewers.map(interviewer =>
+        this.emailService.sendInterviewerInvitation(interviewer, application, interview, interviewers)
+      )
+    ]);
+  }
+
+  /**
+   * Get the name and email of an interview's interviewers
+   */
+  async getInterviewParticipants(interview) {
+    return await this.userRepository.findAll(
+      { _id: { $in: interview.interviewers.map(interviewer => interviewer._id || interviewer) } },
+      { select: 'name email' }
+    );
+  }
+
+  /**
+   * Submit the current interviewer's scorecard for an interview, replacing one they submitted before
+   * The interview's rating and the candidate's overall rating are recomputed from the weighted scores
+   */
+  async submitScorecard(candidateId, interviewIndex, scorecardData, userId, audit = {}) {
+    const candidate = await this.interviewCandidateRepository.findById(candidateId);
+    if (!candidate) {
+      throw new Error('Interview candidate not found');
+    }
+
+    const interview = candidate.interviews[interviewIndex];
+    if (!interview) {
+      throw new Error('Interview not found');
+    }
+
+    if (!this.isAssignedInterviewer(candidate, userId, interviewIndex)) {
+      throw new Error('Only interviewers assigned to this interview can submit scorecards');
+    }
+    if (interview.status === 'cancelled') {
+      throw new Error('Cannot submit a scorecard for a cancelled interview');
+    }
+
+    const application = candidate.careerApplication;
+    const template = await this.jobService.getScorecardTemplate(application && application.job, interview.stage);
+    if (!template) {
+      throw new Error(`The job has no scorecard for the ${interview.stage} stage`);
+    }
+
+    const scores = this.scoreAgainstTemplate(template, scorecardData.scores);
+    const scorecard = {
+      interviewer: userId,
+      scores,
+      weightedScore: this.weightedAverage(scores.map(({ weight, score }) => ({ weight, value: score })), 2),
+      comments: scorecardData.comments,
+      submittedAt: new Date()
+    };
+
+    const scorecards = interview.scorecards
+      .filter(existing => existing.interviewer.toString() !== userId.toString())
+      .map(existing => existing.toObject())
+      .concat(scorecard);
+
+    // Every scorecard counts equally towards the overall rating
+    const allScorecards = candidate.interviews
+      .filter((other, index) => index !== interviewIndex && other.status !== 'cancelled')
+      .flatMap(other => other.scorecards)
+      .concat(scorecards);
+    const overallRating = this.weightedAverage(allScorecards.map(({ weightedScore }) => ({ weight: 1, value: weightedScore })), 1);
+
+    const path = `interviews.${interviewIndex}`;
+    await this.interviewCandidateRepository.updateById(candidate._id, {
+      $set: {
+        [`${path}.scorecards`]: scorecards,
+        [`${path}.rating`]: this.weightedAverage(scorecards.map(({ weightedScore }) => ({ weight: 1, value: weightedScore })), 1),
+        [`${path}.status`]: 'completed',
+        overallRating
+      },
+      $push: {
+        timeline: {
+          action: `Scorecard submitted for ${interview.stage}`,
+          performedBy: userId,
+          details: `Weighted score ${scorecard.weightedScore}; overall rating ${overallRating}`
+        }
+      }
+    });
 
+    const updatedCandidate = await this.interviewCandidateRepository.findById(candidate._id);
+    this.auditLogService.record(audit, {
+      action: 'candidate.scorecard', entityType: 'candidate', entityId: candidate._id, before: candidate, after: updatedCandidate,
+      metadata: { interviewIndex, weightedScore: scorecard.weightedScore }
+    });
     return updatedCandidate;
   }
 
+  /**
+   * Check submitted scores against a scorecard template; every criterion needs a score from 1 to 5
+   */
+  scoreAgainstTemplate(template, submittedScores) {
+    if (!Array.isArray(submittedScores)) {
+      throw new Error('scores is required');
+    }
+
+    const criteria = new Map(template.criteria.map(criterion => [criterion.name.toLowerCase(), criterion]));
+    const submitted = new Map();
+    for (const entry of submittedScores) {
+      const key = entry && typeof entry.criterion === 'string' ? entry.criterion.trim().toLowerCase() : '';
+      if (!criteria.has(key)) {
+        throw new Error(`Unknown criterion: ${entry && entry.criterion}`);
+      }
+      submitted.set(key, entry);
+    }
+
+    return template.criteria.map(criterion => {
+      const entry = submitted.get(criterion.name.toLowerCase());
+      if (!entry) {
+        throw new Error(`Score for "${criterion.name}" is required`);
+      }
+      if (typeof entry.score !== 'number' || entry.score < 1 || entry.score > 5) {
+        throw new Error(`Score for "${criterion.name}" must be between 1 and 5`);
+      }
+      return { criterion: criterion.name, weight: criterion.weight, score: entry.score, notes: entry.notes };
+    });
+  }
+
+  /**
+   * Average values in proportion to their weights, rounded to a number of decimals
+   */
+  weightedAverage(entries, decimals) {
+    const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    if (totalWeight === 0) {
+      return null;
+    }
+
+    const factor = Math.pow(10, decimals);
+    const average = entries.reduce((sum, entry) => sum + entry.weight * entry.value, 0) / totalWeight;
+    return Math.round(average * factor) / factor;
+  }
+
   /**
    * Update interview feedback
    */
-  async updateInterviewFeedback(candidateId, interviewIndex, feedback, rating, userId) {
+  async updateInterviewFeedback(candidateId, interviewIndex, feedback, rating, userId, audit = {}) {
     // Validate feedback data
     if (rating && (rating < 1 || rating > 5)) {
       throw new Error('Rating must be between 1 and 5');
@@ -135,8 +488,12 @@ class InterviewCandidateService {
       throw new Error('Interview not found');
     }
 
+    if (!this.isAssignedInterviewer(candidate, userId, interviewIndex)) {
+      throw new Error('Only interviewers assigned to this interview can submit feedback');
+    }
+
     // Update feedback
-    const updatedCandidate = await this.interviewCandidateRepository.updateInterviewFeedback(
+    await this.interviewCandidateRepository.updateInterviewFeedback(
       candidateId, 
       interviewIndex, 
       feedback, 
@@ -144,43 +501,79 @@ class InterviewCandidateService {
     );
 
     // Update interview status to completed
-    await this.interviewCandidateRepository.update(candidateId, {
+    const updatedCandidate = await this.interviewCandidateRepository.updateById(candidateId, {
       [`interviews.${interviewIndex}.status`]: 'completed'
     });
 
+    this.auditLogService.record(audit, {
+      action: 'candidate.feedback', entityType: 'candidate', entityId: candidate._id, before: candidate, after: updatedCandidate,
+      metadata: { interviewIndex: Number(interviewIndex) }
+    });
     return updatedCandidate;
   }
 
+  /**
+   * Check whether a user is assigned to one (or any) of a candidate's interviews
+   */
+  isAssignedInterviewer(candidate, userId, interviewIndex = null) {
+    if (!userId) {
+      return false;
+    }
+
+    const interviews = interviewIndex === null
+      ? candidate.interviews
+      : [candidate.interviews[interviewIndex]].filter(Boolean);
+
+    return interviews.some(interview =>
+      (interview.interviewers || []).some(interviewer =>
+        (interviewer._id || interviewer).toString() === userId.toString()
+      )
+    );
+  }
+
   /**
    * Update candidate stage
    */
-  async updateStage(candidateId, newStage, userId) {
+  async updateStage(candidateId, newStage, userId, audit = {}) {
     const validStages = ['screening', 'phone-interview', 'technical-interview', 'final-interview', 'offer', 'rejected', 'hired'];
     if (!validStages.includes(newStage)) {
       throw new Error('Invalid stage');
     }
 
+    const candidate = await this.getCandidateById(candidateId);
+    const before = this.auditLogService.snapshot(candidate);
+
     const updatedCandidate = await this.interviewCandidateRepository.updateStage(candidateId, newStage, userId);
-    return updatedCandidate;
+    this.auditLogService.record(audit, {
+      action: 'candidate.stage', entityType: 'candidate', entityId: candidate._id, before, after: updatedCandidate
+    });
+    await this.revokeSchedulingLinks(updatedCandidate);
+    return await this.syncApplicationStatus(updatedCandidate, audit);
   }
 
   /**
    * Make decision for candidate
    */
-  async makeDecision(candidateId, decision, notes, userId) {
+  async makeDecision(candidateId, decision, notes, userId, audit = {}) {
     const validDecisions = ['pending', 'approved', 'rejected', 'on-hold'];
     if (!validDecisions.includes(decision)) {
       throw new Error('Invalid decision');
     }
 
+    const candidate = await this.getCandidateById(candidateId);
+    const before = this.auditLogService.snapshot(candidate);
+
     const updatedCandidate = await this.interviewCandidateRepository.makeDecision(candidateId, decision, userId, notes);
+    this.auditLogService.record(audit, {
+      action: 'candidate.decision', entityType: 'candidate', entityId: candidate._id, before, after: updatedCandidate
+    });
     return updatedCandidate;
   }
 
   /**
    * Add communication record
    */
-  async addCommunication(candidateId, communicationData, userId) {
+  async addCommunication(candidateId, communicationData, userId, audit = {}) {
     // Validate communication data
     this.validateCommunicationData(communicationData);
 
@@ -191,52 +584,81 @@ class InterviewCandidateService {
     };
 
     const updatedCandidate = await this.interviewCandidateRepository.addCommunication(candidateId, communication);
+    if (!updatedCandidate) {
+      throw new Error('Interview candidate not found');
+    }
+
+    this.auditLogService.record(audit, {
+      action: 'candidate.communication', entityType: 'candidate', entityId: updatedCandidate._id,
+      metadata: { type: communication.type, subject: communication.subject }
+    });
     return updatedCandidate;
   }
 
   /**
    * Update overall rating
    */
-  async updateOverallRating(candidateId, rating, userId) {
+  async updateOverallRating(candidateId, rating, userId, audit = {}) {
     if (rating < 1 || rating > 5) {
       throw new Error('Rating must be between 1 and 5');
     }
 
+    const candidate = await this.getCandidateById(candidateId);
+    if (candidate.interviews.some(interview => interview.scorecards.length > 0)) {
+      throw new Error('Overall rating is computed from interview scorecards and cannot be set by hand');
+    }
+
     const updateData = {
-      overallRating: rating,
-      timeline: {
-        action: `Overall rating updated to ${rating}`,
-        performedBy: userId
+      $set: {
+        overallRating: rating
+      },
+      $push: {
+        timeline: {
+          action: `Overall rating updated to ${rating}`,
+          performedBy: userId
+        }
       }
     };
 
-    const updatedCandidate = await this.interviewCandidateRepository.update(candidateId, updateData);
+    const updatedCandidate = await this.interviewCandidateRepository.updateById(candidateId, updateData);
+    this.auditLogService.record(audit, {
+      action: 'candidate.rating', entityType: 'candidate', entityId: candidate._id, before: candidate, after: updatedCandidate
+    });
     return updatedCandidate;
   }
 
   /**
    * Update skills assessment
    */
-  async updateSkillsAssessment(candidateId, skillsData, userId) {
+  async updateSkillsAssessment(candidateId, skillsData, userId, audit = {}) {
     // Validate skills data
     this.validateSkillsData(skillsData);
 
+    const candidate = await this.getCandidateById(candidateId);
+
     const updateData = {
-      skillsAssessment: skillsData,
-      timeline: {
-        action: 'Skills assessment updated',
-        performedBy: userId
+      $set: {
+        skillsAssessment: skillsData
+      },
+      $push: {
+        timeline: {
+          action: 'Skills assessment updated',
+          performedBy: userId
+        }
       }
     };
 
-    const updatedCandidate = await this.interviewCandidateRepository.update(candidateId, updateData);
+    const updatedCandidate = await this.interviewCandidateRepository.updateById(candidateId, updateData);
+    this.auditLogService.record(audit, {
+      action: 'candidate.skills', entityType: 'candidate', entityId: candidate._id, before: candidate, after: updatedCandidate
+    });
     return updatedCandidate;
   }
 
   /**
    * Create offer for candidate
    */
-  async createOffer(candidateId, offerData, userId) {
+  async createOffer(candidateId, offerData, userId, audit = {}) {
     // Validate offer data
     this.validateOfferData(offerData);
 
@@ -251,56 +673,432 @@ class InterviewCandidateService {
     }
 
     const updateData = {
-      offer: {
-        ...offerData,
-        status: 'pending',
-        validUntil: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days from now
+      $set: {
+        offer: {
+          ...offerData,
+          status: 'pending',
+          validUntil: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days from now
+        },
+        currentStage: 'offer'
       },
-      currentStage: 'offer',
-      timeline: {
-        action: 'Offer created',
-        performedBy: userId,
-        details: `Offer amount: ${offerData.salary} ${offerData.currency}`
+      $push: {
+        timeline: {
+          action: 'Offer created',
+          performedBy: userId,
+          details: `Offer amount: ${offerData.salary} ${offerData.currency}`
+        }
       }
     };
 
-    const updatedCandidate = await this.interviewCandidateRepository.update(candidateId, updateData);
+    const updatedCandidate = await this.interviewCandidateRepository.updateById(candidateId, updateData);
+    this.auditLogService.record(audit, {
+      action: 'candidate.offer', entityType: 'candidate', entityId: candidate._id, before: candidate, after: updatedCandidate
+    });
     return updatedCandidate;
   }
 
   /**
    * Update offer status
    */
-  async updateOfferStatus(candidateId, status, userId) {
+  async updateOfferStatus(candidateId, status, userId, audit = {}) {
     const validStatuses = ['pending', 'accepted', 'declined', 'expired'];
     if (!validStatuses.includes(status)) {
       throw new Error('Invalid offer status');
     }
 
+    const candidate = await this.interviewCandidateRepository.findById(candidateId);
+    if (!candidate) {
+      throw new Error('Interview candidate not found');
+    }
+
+    const previousStatus = candidate.offer ? candidate.offer.status : null;
+    const jobId = candidate.careerApplication ? candidate.careerApplication.job : null;
+
     const updateData = {
-      'offer.status': status,
-      timeline: {
-        action: `Offer ${status}`,
-        performedBy: userId
+      $set: {
+        'offer.status': status
+      },
+      $push: {
+        timeline: {
+          action: `Offer ${status}`,
+          performedBy: userId
+        }
       }
     };
 
     if (status === 'accepted') {
-      updateData.currentStage = 'hired';
-      updateData['decision.status'] = 'approved';
-      updateData['decision.madeBy'] = userId;
-      updateData['decision.madeAt'] = new Date();
+      updateData.$set.currentStage = 'hired';
+      updateData.$set['decision.status'] = 'approved';
+      updateData.$set['decision.madeBy'] = userId;
+      updateData.$set['decision.madeAt'] = new Date();
     } else if (status === 'declined') {
-      updateData.currentStage = 'rejected';
-      updateData['decision.status'] = 'rejected';
-      updateData['decision.madeBy'] = userId;
-      updateData['decision.madeAt'] = new Date();
+      updateData.$set.currentStage = 'rejected';
+      updateData.$set['decision.status'] = 'rejected';
+      updateData.$set['decision.madeBy'] = userId;
+      updateData.$set['decision.madeAt'] = new Date();
+    }
+
+    // Take a seat on the job before accepting; fails when the job is already full
+    const claimsSeat = jobId && status === 'accepted' && previousStatus !== 'accepted';
+    const releasesSeat = jobId && previousStatus === 'accepted' && status !== 'accepted';
+
+    if (claimsSeat) {
+      await this.jobService.fillPosition(jobId, userId);
+    }
+
+    let updatedCandidate;
+    try {
+      updatedCandidate = await this.interviewCandidateRepository.updateById(candidateId, updateData);
+    } catch (error) {
+      if (claimsSeat) {
+        await this.jobService.releasePosition(jobId);
+      }
+      throw error;
+    }
+
+    if (releasesSeat) {
+      await this.jobService.releasePosition(jobId);
+    }
+
+    this.auditLogService.record(audit, {
+      action: 'candidate.offer-status', entityType: 'candidate', entityId: candidate._id, before: candidate, after: updatedCandidate
+    });
+    await this.revokeSchedulingLinks(updatedCandidate);
+    return await this.syncApplicationStatus(updatedCandidate, audit);
+  }
+
+  /**
+   * Bring the application status in line with the candidate's stage:
+   * hired and rejected carry over, and reopening a candidate reopens the application
+   * Returns the candidate, reloaded if its application changed
+   */
+  async syncApplicationStatus(candidate, audit = {}) {
+    const applicationId = candidate.careerApplication && (candidate.careerApplication._id || candidate.careerApplication);
+    const application = applicationId ? await this.careerApplicationRepository.findById(applicationId) : null;
+    // A withdrawal is the applicant's decision; moving the candidate does not undo it
+    if (!application || application.status === 'withdrawn') {
+      return candidate;
+    }
+
+    let status = APPLICATION_STATUS_BY_STAGE[candidate.currentStage];
+    if (!status && Object.values(APPLICATION_STATUS_BY_STAGE).includes(application.status)) {
+      status = 'shortlisted';
+    }
+    if (!status || status === application.status) {
+      return candidate;
+    }
+
+    const before = this.auditLogService.snapshot(application);
+    const updatedApplication = await this.careerApplicationRepository.updateById(application._id, { status });
+    this.auditLogService.record(audit, {
+      action: 'application.status', entityType: 'application', entityId: application._id, before, after: updatedApplication,
+      metadata: { syncedFrom: 'candidate', candidate: candidate._id }
+    });
+    console.log(`🔄 Application ${application._id} marked ${status} after candidate moved to ${candidate.currentStage}`);
+
+    return await this.getCandidateById(candidate._id);
+  }
+
+  /**
+   * Check an application status change against the application's candidate
+   * Hiring goes through an accepted offer, so the two statuses can only agree
+   */
+  async assertApplicationStatusChange(careerApplicationId, status) {
+    const candidate = await this.interviewCandidateRepository.findByCareerApplication(careerApplicationId);
+
+    if (status === 'hired' && (!candidate || candidate.currentStage !== 'hired')) {
+      throw new Error('An application is marked hired when its candidate is hired');
+    }
+
+    if (candidate && candidate.currentStage === 'hired' && status !== 'hired') {
+      throw new Error('The candidate for this application has been hired; update the offer instead');
+    }
+
+    return candidate;
+  }
+
+  /**
+   * Bring the candidate's stage in line with a changed application status:
+   * rejecting or withdrawing the application rejects the candidate, reopening it reopens the candidate
+   */
+  async syncCandidateStage(careerApplicationId, status, audit = {}) {
+    const candidate = await this.interviewCandidateRepository.findByCareerApplication(careerApplicationId);
+    if (!candidate) {
+      return null;
+    }
+
+    const closedStage = CANDIDATE_STAGE_BY_APPLICATION_STATUS[status];
+    let newStage = null;
+    if (closedStage && candidate.currentStage !== closedStage) {
+      newStage = closedStage;
+    } else if (!closedStage && candidate.currentStage === 'rejected') {
+      newStage = 'screening';
+    }
+    if (!newStage) {
+      return candidate;
+    }
+
+    const details = status === 'withdrawn' ? 'Application withdrawn by the applicant'
+      : newStage === 'rejected' ? 'Application rejected' : 'Application reopened';
+
+    const updates = { currentStage: newStage };
+    const sequences = {};
+    const cancelledIndexes = [];
+    // A candidate who withdrew will not attend their upcoming interviews
+    if (status === 'withdrawn') {
+      candidate.interviews.forEach((interview, index) => {
+        if (interview.status === 'scheduled') {
+          const path = `interviews.${index}`;
+          updates[`${path}.status`] = 'cancelled';
+          updates[`${path}.cancelledAt`] = new Date();
+          updates[`${path}.cancelledBy`] = audit.actor || null;
+          updates[`${path}.cancellationReason`] = details;
+          sequences[`${path}.sequence`] = 1;
+          cancelledIndexes.push(index);
+        }
+      });
     }
 
-    const updatedCandidate = await this.interviewCandidateRepository.update(candidateId, updateData);
+    const updatedCandidate = await this.interviewCandidateRepository.updateById(candidate._id, {
+      $set: updates,
+      ...(cancelledIndexes.length > 0 && { $inc: sequences }),
+      $push: {
+        timeline: {
+          action: `Stage updated to ${newStage}`,
+          performedBy: audit.actor || null,
+          details
+        }
+      }
+    });
+    this.auditLogService.record(audit, {
+      action: 'candidate.stage', entityType: 'candidate', entityId: candidate._id, before: candidate, after: updatedCandidate,
+      metadata: { syncedFrom: 'application' }
+    });
+    await this.revokeSchedulingLinks(updatedCandidate);
+
+    // Take the cancelled interviews off everyone's calendars, as cancelInterview does
+    cancelledIndexes.forEach(index => {
+      this.sendInterviewCancellations(updatedCandidate, updatedCandidate.interviews[index], { reason: details })
+        .catch(error => console.error('Failed to send interview cancellations:', error));
+    });
+
     return updatedCandidate;
   }
 
+  /**
+   * Revoke a rejected or hired candidate's unused scheduling links so they cannot book interviews
+   */
+  async revokeSchedulingLinks(candidate) {
+    if (!['rejected', 'hired'].includes(candidate.currentStage)) {
+      return 0;
+    }
+    return await this.schedulingLinkRepository.revokePendingForCandidate(candidate._id);
+  }
+
+  /**
+   * Check that an application can be deleted together with its candidate
+   */
+  async assertApplicationDeletable(careerApplicationId) {
+    const candidate = await this.interviewCandidateRepository.findByCareerApplication(careerApplicationId);
+    if (!candidate) {
+      return;
+    }
+
+    // Every candidate carries a default pending offer status; an offer was only made once it has an expiry
+    const hasOpenOffer = candidate.offer && (candidate.offer.status === 'accepted' ||
+      (candidate.offer.status === 'pending' && candidate.offer.validUntil));
+
+    if (candidate.currentStage === 'hired' || hasOpenOffer) {
+      throw new Error('Cannot delete an application whose candidate has been hired or has an open offer');
+    }
+  }
+
+  /**
+   * Expire pending offers that were not accepted in time
+   */
+  async expireStaleOffers() {
+    const candidateIds = await this.interviewCandidateRepository.expirePendingOffers();
+    for (const candidateId of candidateIds) {
+      this.auditLogService.record(null, { action: 'candidate.offer-expired', entityType: 'candidate', entityId: candidateId });
+    }
+
+    return {
+      expired: candidateIds.length,
+      candidateIds
+    };
+  }
+
+  /**
+   * Email the candidate and interviewers of upcoming interviews their reminders
+   * Each reminder goes out once; when a run finds several due (e.g. an interview booked an hour
+   * ahead), only one email is sent for them
+   */
+  async sendInterviewReminders(now = new Date()) {
+    if (INTERVIEW_REMINDER_OFFSETS.length === 0) {
+      return { interviews: 0, emails: 0 };
+    }
+
+    const horizon = new Date(now.getTime() + INTERVIEW_REMINDER_OFFSETS[0] * 60 * 1000);
+    const candidates = await this.interviewCandidateRepository.findWithInterviewsStartingBetween(now, horizon);
+
+    let interviews = 0;
+    let emails = 0;
+    for (const candidate of candidates) {
+      if (!candidate.careerApplication) {
+        continue;
+      }
+
+      for (const interview of candidate.interviews) {
+        if (interview.status !== 'scheduled' || interview.scheduledAt <= now) {
+          continue;
+        }
+
+        const minutesUntil = (interview.scheduledAt - now) / (60 * 1000);
+        const due = INTERVIEW_REMINDER_OFFSETS
+          .filter(offset => offset >= minutesUntil && !interview.remindersSent.includes(offset));
+        if (due.length === 0) {
+          continue;
+        }
+
+        // Claim before sending so overlapping runs (cron and scheduler process) don't both send
+        const claimed = await this.interviewCandidateRepository.claimInterviewReminders(candidate._id, interview._id, due);
+        if (!claimed) {
+          continue;
+        }
+
+        interviews++;
+        emails += await this.sendInterviewReminderEmails(candidate.careerApplication, interview);
+      }
+    }
+
+    return { interviews, emails, offsetsMinutes: INTERVIEW_REMINDER_OFFSETS };
+  }
+
+  /**
+   * Send an interview's reminder to the candidate and each interviewer; returns how many were sent
+   */
+  async sendInterviewReminderEmails(application, interview) {
+    const interviewers = interview.interviewers.filter(interviewer => interviewer && interviewer.email);
+
+    const results = await Promise.all([
+      this.emailService.sendInterviewReminder(application, interview, interviewers),
+      ...interviewers.map(interviewer => this.emailService.sendInterviewerReminder(interviewer, application, interview))
+    ]);
+    return results.filter(Boolean).length;
+  }
+
+  /**
+   * Delete the candidate of an application that is being deleted
+   */
+  async deleteForApplication(careerApplicationId, audit = {}) {
+    const candidate = await this.interviewCandidateRepository.deleteByCareerApplication(careerApplicationId, audit.actor || null);
+    if (candidate) {
+      this.auditLogService.record(audit, { action: 'candidate.delete', entityType: 'candidate', entityId: candidate._id });
+    }
+    return candidate;
+  }
+
+  /**
+   * Restore the candidate of an application that is being restored
+   */
+  async restoreForApplication(careerApplicationId, audit = {}) {
+    const candidate = await this.interviewCandidateRepository.restoreByCareerApplication(careerApplicationId);
+    if (candidate) {
+      this.auditLogService.record(audit, { action: 'candidate.restore', entityType: 'candidate', entityId: candidate._id });
+    }
+    return candidate;
+  }
+
+  /**
+   * Link the candidate of an application to the applicant it now belongs to
+   */
+  async linkApplicant(careerApplicationId, applicantId) {
+    return await this.interviewCandidateRepository.setApplicant(careerApplicationId, applicantId);
+  }
+
+  /**
+   * Combine the candidate of a duplicate application into the primary application's candidate
+   */
+  async mergeForApplications(primaryApplicationId, duplicateApplicationId, audit = {}) {
+    const [primary, duplicate] = await Promise.all([
+      this.interviewCandidateRepository.findByCareerApplication(primaryApplicationId),
+      this.interviewCandidateRepository.findByCareerApplication(duplicateApplicationId)
+    ]);
+
+    if (!duplicate) {
+      return primary;
+    }
+
+    const mergeEntry = {
+      action: 'Merged duplicate application',
+      performedBy: audit.actor || undefined,
+      details: `Application ${duplicateApplicationId} merged into this one`
+    };
+
+    // Without a candidate of its own, the primary application takes over the duplicate's
+    if (!primary) {
+      const application = await this.careerApplicationRepository.findById(primaryApplicationId);
+      const candidate = await this.interviewCandidateRepository.updateById(duplicate._id, {
+        $set: { careerApplication: primaryApplicationId, applicant: application.applicant },
+        $push: { timeline: mergeEntry }
+      });
+      this.auditLogService.record(audit, {
+        action: 'candidate.merge',
+        entityType: 'candidate',
+        entityId: candidate._id,
+        metadata: { fromApplication: duplicateApplicationId }
+      });
+      return candidate;
+    }
+
+    const history = duplicate.toObject({ depopulate: true, virtuals: false });
+    const updates = {};
+    if (!primary.overallRating && history.overallRating) {
+      updates.overallRating = history.overallRating;
+    }
+    if (!primary.notes && history.notes) {
+      updates.notes = history.notes;
+    }
+
+    const candidate = await this.interviewCandidateRepository.updateById(primary._id, {
+      $set: updates,
+      $push: {
+        interviews: { $each: history.interviews || [] },
+        communications: { $each: history.communications || [] },
+        timeline: { $each: [...(history.timeline || []), { ...mergeEntry, date: new Date() }], $sort: { date: 1 } }
+      }
+    });
+
+    await this.interviewCandidateRepository.deleteById(duplicate._id, audit.actor || null);
+    this.auditLogService.record(audit, {
+      action: 'candidate.merge',
+      entityType: 'candidate',
+      entityId: candidate._id,
+      metadata: { mergedCandidate: duplicate._id }
+    });
+    this.auditLogService.record(audit, {
+      action: 'candidate.delete',
+      entityType: 'candidate',
+      entityId: duplicate._id,
+      metadata: { mergedInto: candidate._id }
+    });
+
+    return candidate;
+  }
+
+  /**
+   * Permanently remove candidates deleted before a date
+   */
+  async purgeDeletedCandidates(deletedBefore) {
+    const candidates = await this.interviewCandidateRepository.purgeDeleted(deletedBefore);
+
+    for (const candidate of candidates) {
+      this.auditLogService.record(null, { action: 'candidate.purge', entityType: 'candidate', entityId: candidate._id });
+    }
+
+    return candidates.length;
+  }
+
   /**
    * Get candidate statistics
    */
@@ -315,6 +1113,73 @@ class InterviewCandidateService {
     return await this.interviewCandidateRepository.findByInterviewer(interviewerId);
   }
 
+  /**
+   * Find scheduled interviews that overlap a proposed interview, either for one of its
+   * interviewers or for the candidate. ignoreInterviewId skips an interview being rescheduled.
+   */
+  async findSchedulingConflicts(candidate, interviewData, ignoreInterviewId = null) {
+    const start = new Date(interviewData.scheduledAt);
+    const end = new Date(start.getTime() + (interviewData.duration || 60) * 60 * 1000);
+    const interviewerIds = (interviewData.interviewers || []).map(interviewer => (interviewer._id || interviewer).toString());
+    const ignoreId = ignoreInterviewId ? ignoreInterviewId.toString() : null;
+
+    const conflicts = new Map();
+    const addConflict = (candidateId, interviewIndex, interview, endsAt, reason) => {
+      if (interview._id && interview._id.toString() === ignoreId) {
+        return;
+      }
+
+      const key = `${candidateId}:${interviewIndex}`;
+      const conflict = conflicts.get(key) || {
+        candidate: candidateId,
+        interviewIndex,
+        interviewId: interview._id,
+        stage: interview.stage,
+        scheduledAt: interview.scheduledAt,
+        endsAt,
+        duration: interview.duration,
+        interviewers: [],
+        candidateConflict: false
+      };
+
+      if (reason === 'candidate') {
+        conflict.candidateConflict = true;
+      } else {
+        conflict.interviewers = (interview.interviewers || [])
+          .map(interviewer => (interviewer._id || interviewer).toString())
+          .filter(id => interviewerIds.includes(id));
+      }
+      conflicts.set(key, conflict);
+    };
+
+    if (interviewerIds.length > 0) {
+      const bookings = await this.interviewCandidateRepository.findInterviewerBookings(interviewerIds, start, end);
+      bookings.forEach(booking => addConflict(booking.candidate, booking.interviewIndex, booking.interview, booking.endsAt, 'interviewer'));
+    }
+
+    candidate.interviews.forEach((interview, index) => {
+      const endsAt = new Date(interview.scheduledAt.getTime() + (interview.duration || 60) * 60 * 1000);
+      if (interview.status === 'scheduled' && interview.scheduledAt < end && endsAt > start) {
+        addConflict(candidate._id, index, interview, endsAt, 'candidate');
+      }
+    });
+
+    return [...conflicts.values()].sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+  }
+
+  /**
+   * Reject an interview that would double-book an interviewer or the candidate
+   * The clashing interviews are attached to the error as `conflicts`
+   */
+  async assertNoSchedulingConflicts(candidate, interviewData, ignoreInterviewId = null) {
+    const conflicts = await this.findSchedulingConflicts(candidate, interviewData, ignoreInterviewId);
+    if (conflicts.length > 0) {
+      const error = new Error(`Interview conflicts with ${conflicts.length} scheduled interview${conflicts.length === 1 ? '' : 's'}`);
+      error.conflicts = conflicts;
+      throw error;
+    }
+  }
+
   /**
    * Validate interview data
    */
@@ -0,0 +1,483 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const InterviewAvailabilityRepository = require('../repositories/InterviewAvailabilityRepository');
+const SchedulingLinkRepository = require('../repositories/SchedulingLinkRepository');
+const InterviewCandidateRepository = require('../repositories/InterviewCandidateRepository');
+const CareerApplicationRepository = require('../repositories/CareerApplicationRepository');
+const UserRepository = require('../repositories/UserRepository');
+const InterviewCandidateService = require('./InterviewCandidateService');
+const EmailService = require('./EmailService');
+const AuditLogService = require('./AuditLogService');
+const CalendarService = require('./CalendarService');
+const UserTokenService = require('./UserTokenService');
+
+const INTERVIEW_STAGES = ['screening', 'phone-interview', 'technical-interview', 'final-interview'];
+const SCHEDULING_LINK_TTL_DAYS = parseInt(process.env.SCHEDULING_LINK_TTL_DAYS, 10) || 7;
+// Slots are offered from this many hours ahead up to the horizon
+const SCHEDULING_MIN_NOTICE_HOURS = parseInt(process.env.SCHEDULING_MIN_NOTICE_HOURS, 10) || 12;
+const SCHEDULING_HORIZON_DAYS = parseInt(process.env.SCHEDULING_HORIZON_DAYS, 10) || 30;
+const CALENDAR_FEED_TTL_DAYS = parseInt(process.env.CALENDAR_FEED_TTL_DAYS, 10) || 365;
+const SLOT_STEP_MINUTES = 30;
+const MAX_SLOTS = 200;
+
+/**
+ * Interview Scheduling Service Class
+ * Single Responsibility: Let interviewers publish availability and candidates book their own interview slot
+ */
+class InterviewSchedulingService {
+  constructor() {
+    this.availabilityRepository = new InterviewAvailabilityRepository();
+    this.schedulingLinkRepository = new SchedulingLinkRepository();
+    this.interviewCandidateRepository = new InterviewCandidateRepository();
+    this.careerApplicationRepository = new CareerApplicationRepository();
+    this.userRepository = new UserRepository();
+    this.interviewCandidateService = new InterviewCandidateService();
+    this.emailService = new EmailService();
+    this.auditLogService = new AuditLogService();
+    this.calendarService = new CalendarService();
+    this.userTokenService = new UserTokenService();
+  }
+
+  /**
+   * Get an interviewer's availability windows in a date range (default: from now on)
+   */
+  async getAvailability(interviewerId, { from, to } = {}) {
+    try {
+      if (!mongoose.isValidObjectId(interviewerId)) {
+        throw new Error('Invalid interviewer ID');
+      }
+
+      const { start, end } = this.parseRange(from, to);
+      return await this.availabilityRepository.findOverlapping([interviewerId], start, end);
+    } catch (error) {
+      throw new Error(`Failed to get availability: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an interviewer's calendar: availability windows and scheduled interviews in a date range
+   */
+  async getCalendar(interviewerId, { from, to } = {}) {
+    try {
+      const interviewer = mongoose.isValidObjectId(interviewerId) ? await this.userRepository.findById(interviewerId) : null;
+      if (!interviewer) {
+        throw new Error('Interviewer not found');
+      }
+
+      const { start, end } = this.parseRange(from, to);
+      const [availability, bookings] = await Promise.all([
+        this.availabilityRepository.findOverlapping([interviewer._id], start, end),
+        this.interviewCandidateRepository.findInterviewerBookings([interviewer._id], start, end)
+      ]);
+
+      const applications = await this.careerApplicationRepository.findAll(
+        { _id: { $in: bookings.map(booking => booking.careerApplication) } },
+        { select: 'firstName lastName position' }
+      );
+      const applicationsById = new Map(applications.map(application => [application._id.toString(), application]));
+
+      const interviews = bookings.map((booking, index) => {
+        const application = applicationsById.get(booking.careerApplication.toString());
+        return {
+          candidate: booking.candidate,
+          interviewIndex: booking.interviewIndex,
+          interviewId: booking.interview._id,
+          candidateName: application ? `${application.firstName} ${application.lastName}` : null,
+          position: application ? application.position : null,
+          stage: booking.interview.stage,
+          scheduledAt: booking.interview.scheduledAt,
+          endsAt: booking.endsAt,
+          duration: booking.interview.duration,
+          location: booking.interview.location,
+          meetingLink: booking.interview.meetingLink,
+          // Double-bookings made before conflicts were checked are flagged rather than hidden
+          hasConflict: bookings.some((other, otherIndex) => otherIndex !== index &&
+            other.interview.scheduledAt < booking.endsAt && other.endsAt > booking.interview.scheduledAt)
+        };
+      });
+
+      return {
+        interviewer: { _id: interviewer._id, name: interviewer.name, email: interviewer.email },
+        from: start,
+        to: end,
+        availability,
+        interviews
+      };
+    } catch (error) {
+      throw new Error(`Failed to get calendar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Issue the token for an interviewer's calendar feed URL, replacing the previous one
+   */
+  async createCalendarFeed(interviewerId) {
+    try {
+      const interviewer = mongoose.isValidObjectId(interviewerId) ? await this.userRepository.findById(interviewerId) : null;
+      if (!interviewer || !interviewer.isActive) {
+        throw new Error('Interviewer not found');
+      }
+
+      const ttlMs = CALENDAR_FEED_TTL_DAYS * 24 * 60 * 60 * 1000;
+      const token = await this.userTokenService.issueToken(interviewer._id, 'calendar-feed', ttlMs);
+
+      return { token, expiresAt: new Date(Date.now() + ttlMs) };
+    } catch (error) {
+      throw new Error(`Failed to create calendar feed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the iCalendar feed behind an interviewer's feed token
+   */
+  async getCalendarFeed(token) {
+    try {
+      const userToken = await this.userTokenService.verifyToken(token, 'calendar-feed');
+
+      const interviewer = await this.userRepository.findById(userToken.user);
+      if (!interviewer || !interviewer.isActive) {
+        throw new Error('Invalid or expired token');
+      }
+
+      const candidates = await this.interviewCandidateRepository.findByInterviewer(interviewer._id);
+      return this.calendarService.buildInterviewerFeed(interviewer, candidates);
+    } catch (error) {
+      throw new Error(`Failed to get calendar feed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publish a window in which an interviewer can take interviews
+   */
+  async addAvailability(interviewerId, windowData, userId) {
+    try {
+      const interviewer = mongoose.isValidObjectId(interviewerId) ? await this.userRepository.findById(interviewerId) : null;
+      if (!interviewer || !interviewer.isActive) {
+        throw new Error('Interviewer not found');
+      }
+
+      const startsAt = this.parseDate(windowData.startsAt, 'start');
+      const endsAt = this.parseDate(windowData.endsAt, 'end');
+      if (endsAt <= startsAt) {
+        throw new Error('End time must be after start time');
+      }
+      if (endsAt <= new Date()) {
+        throw new Error('Availability must end in the future');
+      }
+
+      const overlapping = await this.availabilityRepository.findOverlapping([interviewer._id], startsAt, endsAt);
+      if (overlapping.length > 0) {
+        throw new Error('Availability overlaps an existing window');
+      }
+
+      return await this.availabilityRepository.create({
+        interviewer: interviewer._id,
+        startsAt,
+        endsAt,
+        createdBy: userId
+      });
+    } catch (error) {
+      throw new Error(`Failed to add availability: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove one of an interviewer's availability windows
+   * Interviews already booked in it are not affected
+   */
+  async removeAvailability(interviewerId, windowId) {
+    try {
+      const window = mongoose.isValidObjectId(windowId) ? await this.availabilityRepository.findById(windowId) : null;
+      if (!window || window.interviewer.toString() !== String(interviewerId)) {
+        throw new Error('Availability window not found');
+      }
+
+      await this.availabilityRepository.deleteById(window._id);
+      return { message: 'Availability removed successfully' };
+    } catch (error) {
+      throw new Error(`Failed to remove availability: ${error.message}`);
+    }
+  }
+
+  /**
+   * Email a candidate a link to book an interview in the interviewers' free slots
+   * Replaces any open link for the same stage
+   */
+  async createSchedulingLink(candidateId, linkData, userId, audit = {}) {
+    try {
+      const candidate = await this.interviewCandidateRepository.findById(candidateId);
+      if (!candidate) {
+        throw new Error('Interview candidate not found');
+      }
+      if (['rejected', 'hired'].includes(candidate.currentStage)) {
+        throw new Error(`Cannot schedule interviews for a candidate who is ${candidate.currentStage}`);
+      }
+
+      const { stage, interviewers = [], duration = 60, location, meetingLink } = linkData;
+      if (!INTERVIEW_STAGES.includes(stage)) {
+        throw new Error(`Invalid stage. Must be one of: ${INTERVIEW_STAGES.join(', ')}`);
+      }
+      // Slots are computed from the duration, so it must be a whole number of minutes
+      if (!Number.isInteger(duration) || duration < 15 || duration > 480) {
+        throw new Error('Duration must be a whole number of minutes between 15 and 480');
+      }
+      await this.getInterviewers(interviewers);
+
+      await this.schedulingLinkRepository.revokePendingForCandidate(candidate._id, stage);
+
+      const token = this.generateToken();
+      const link = await this.schedulingLinkRepository.create({
+        candidate: candidate._id,
+        stage,
+        duration,
+        interviewers,
+        location,
+        meetingLink,
+        tokenHash: this.hash(token),
+        expiresAt: new Date(Date.now() + SCHEDULING_LINK_TTL_DAYS * 24 * 60 * 60 * 1000),
+        createdBy: userId
+      });
+
+      this.auditLogService.record(audit, {
+        action: 'candidate.scheduling-link',
+        entityType: 'candidate',
+        entityId: candidate._id,
+        metadata: { stage, interviewers, duration: link.duration }
+      });
+
+      this.emailService.sendSchedulingLink(candidate.careerApplication, link, token)
+        .catch(error => console.error('Failed to send scheduling link email:', error));
+
+      return link;
+    } catch (error) {
+      throw new Error(`Failed to create scheduling link: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a candidate's scheduling links
+   */
+  async getSchedulingLinks(candidateId) {
+    try {
+      return await this.schedulingLinkRepository.findByCandidate(candidateId);
+    } catch (error) {
+      throw new Error(`Failed to get scheduling links: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get what the candidate sees on the booking page: the interview and its free slots
+   */
+  async getBookingOptions(token) {
+    try {
+      const link = await this.findPendingLink(token);
+      const candidate = await this.findLinkCandidate(link);
+
+      return {
+        firstName: candidate.careerApplication ? candidate.careerApplication.firstName : null,
+        position: candidate.careerApplication ? candidate.careerApplication.position : null,
+        stage: link.stage,
+        duration: link.duration,
+        location: link.location,
+        expiresAt: link.expiresAt,
+        slots: await this.getAvailableSlots(link, candidate)
+      };
+    } catch (error) {
+      throw new Error(`Failed to get booking options: ${error.message}`);
+    }
+  }
+
+  /**
+   * Book the interview at a slot the candidate picked
+   */
+  async bookSlot(token, scheduledAt, audit = {}) {
+    try {
+      const link = await this.findPendingLink(token);
+      const current = await this.findLinkCandidate(link);
+
+      const start = this.parseDate(scheduledAt, 'slot');
+      const slots = await this.getAvailableSlots(link, current);
+      if (!slots.some(slot => slot.start.getTime() === start.getTime())) {
+        throw new Error('This slot is no longer available');
+      }
+
+      // Claim the link first so it cannot be used for a second booking
+      const claimed = await this.schedulingLinkRepository.markBooked(link._id);
+      if (!claimed) {
+        throw new Error('Invalid or expired scheduling link');
+      }
+
+      let candidate;
+      try {
+        candidate = await this.interviewCandidateService.scheduleInterview(link.candidate, {
+          stage: link.stage,
+          scheduledAt: start,
+          duration: link.duration,
+          interviewers: link.interviewers,
+          location: link.location,
+          meetingLink: link.meetingLink
+        }, null, audit);
+      } catch (error) {
+        await this.schedulingLinkRepository.updateById(link._id, { bookedAt: null });
+        // Someone else took the slot between the check above and the booking
+        throw error.conflicts ? new Error('This slot is no longer available') : error;
+      }
+
+      // scheduleInterview emails the invites to the candidate and interviewers
+      const interview = candidate.interviews[candidate.interviews.length - 1];
+      await this.schedulingLinkRepository.updateById(link._id, { interview: interview._id });
+      console.log(`📅 Candidate ${candidate._id} booked a ${link.stage} interview for ${start.toISOString()}`);
+
+      return {
+        stage: interview.stage,
+        scheduledAt: interview.scheduledAt,
+        duration: interview.duration,
+        location: interview.location,
+        meetingLink: interview.meetingLink
+      };
+    } catch (error) {
+      throw new Error(`Failed to book interview: ${error.message}`);
+    }
+  }
+
+  /**
+   * Work out the slots in which every interviewer of a link is available and neither
+   * they nor the candidate are booked
+   */
+  async getAvailableSlots(link, candidate, now = new Date()) {
+    const stepMs = SLOT_STEP_MINUTES * 60 * 1000;
+    const durationMs = link.duration * 60 * 1000;
+    const from = new Date(Math.ceil((now.getTime() + SCHEDULING_MIN_NOTICE_HOURS * 60 * 60 * 1000) / stepMs) * stepMs);
+    const to = new Date(now.getTime() + SCHEDULING_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+
+    const interviewerIds = link.interviewers.map(interviewer => (interviewer._id || interviewer).toString());
+    const [windows, interviewerBookings] = await Promise.all([
+      this.availabilityRepository.findOverlapping(interviewerIds, from, to),
+      this.interviewCandidateRepository.findInterviewerBookings(interviewerIds, from, to)
+    ]);
+    const bookings = interviewerBookings.concat(
+      candidate.interviews
+        .filter(interview => interview.status === 'scheduled')
+        .map(interview => ({
+          interview,
+          endsAt: new Date(interview.scheduledAt.getTime() + (interview.duration || 60) * 60 * 1000)
+        }))
+    );
+
+    const windowsByInterviewer = new Map(interviewerIds.map(id => [id, []]));
+    windows.forEach(window => windowsByInterviewer.get(window.interviewer.toString()).push(window));
+
+    const isAvailable = (start, end) => interviewerIds.every(id =>
+      windowsByInterviewer.get(id).some(window => window.startsAt.getTime() <= start && window.endsAt.getTime() >= end)
+    );
+    const isBooked = (start, end) => bookings.some(booking =>
+      new Date(booking.interview.scheduledAt).getTime() < end && new Date(booking.endsAt).getTime() > start
+    );
+
+    // Slots start on the step grid inside the first interviewer's windows
+    const starts = new Set();
+    for (const window of windowsByInterviewer.get(interviewerIds[0])) {
+      let start = Math.ceil(Math.max(window.startsAt.getTime(), from.getTime()) / stepMs) * stepMs;
+      for (; start + durationMs <= Math.min(window.endsAt.getTime(), to.getTime()); start += stepMs) {
+        if (isAvailable(start, start + durationMs) && !isBooked(start, start + durationMs)) {
+          starts.add(start);
+        }
+      }
+    }
+
+    return [...starts]
+      .sort((a, b) => a - b)
+      .slice(0, MAX_SLOTS)
+      .map(start => ({ start: new Date(start), end: new Date(start + durationMs) }));
+  }
+
+  /**
+   * Check that every interviewer is an active user
+   */
+  async getInterviewers(interviewerIds) {
+    if (!Array.isArray(interviewerIds) || interviewerIds.length === 0) {
+      throw new Error('At least one interviewer is required');
+    }
+    if (!interviewerIds.every(id => mongoose.isValidObjectId(id))) {
+      throw new Error('Invalid interviewer ID');
+    }
+
+    const interviewers = await this.userRepository.findAll(
+      { _id: { $in: interviewerIds }, isActive: true },
+      { select: 'name email' }
+    );
+    if (interviewers.length !== new Set(interviewerIds.map(String)).size) {
+      throw new Error('Interviewer not found');
+    }
+    return interviewers;
+  }
+
+  /**
+   * Find a link that can still be booked by its token
+   */
+  async findPendingLink(token) {
+    if (!token || typeof token !== 'string') {
+      throw new Error('Invalid or expired scheduling link');
+    }
+
+    const link = await this.schedulingLinkRepository.findPendingByTokenHash(this.hash(token));
+    if (!link) {
+      throw new Error('Invalid or expired scheduling link');
+    }
+    return link;
+  }
+
+  /**
+   * Load the candidate a link books for
+   * Links stop working once the candidate is rejected or hired, without telling the candidate which
+   */
+  async findLinkCandidate(link) {
+    const candidate = await this.interviewCandidateRepository.findById(link.candidate);
+    if (!candidate) {
+      throw new Error('Interview candidate not found');
+    }
+    if (['rejected', 'hired'].includes(candidate.currentStage)) {
+      throw new Error('Invalid or expired scheduling link');
+    }
+    return candidate;
+  }
+
+  /**
+   * Parse a from/to date range (default: from now up to the scheduling horizon)
+   */
+  parseRange(from, to) {
+    const start = from ? this.parseDate(from, 'from') : new Date();
+    const end = to ? this.parseDate(to, 'to') : new Date(start.getTime() + SCHEDULING_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+    if (end <= start) {
+      throw new Error('The to date must be after the from date');
+    }
+    return { start, end };
+  }
+
+  /**
+   * Parse a date parameter
+   */
+  parseDate(value, name) {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) {
+      throw new Error(`Invalid ${name} date`);
+    }
+    return date;
+  }
+
+  /**
+   * Generate a random link token
+   */
+  generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Hash a link token for storage
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+}
+
+module.exports = InterviewSchedulingService;
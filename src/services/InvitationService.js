@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const InvitationRepository = require('../repositories/InvitationRepository');
+const UserRepository = require('../repositories/UserRepository');
+const UserService = require('./UserService');
+const EmailService = require('./EmailService');
+
+const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS, 10) || 72;
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+/**
+ * Invitation Service Class
+ * Single Responsibility: Handle invite-only onboarding of staff accounts
+ */
+class InvitationService {
+  constructor() {
+    this.invitationRepository = new InvitationRepository();
+    this.userRepository = new UserRepository();
+    this.userService = new UserService();
+    this.emailService = new EmailService();
+  }
+
+  /**
+   * Invite a staff member by email with a preset role
+   */
+  async createInvitation(invitationData, invitedBy) {
+    try {
+      const email = (invitationData.email || '').toLowerCase().trim();
+      if (!email || !invitationData.role) {
+        throw new Error('Email and role are required');
+      }
+
+      if (await this.userRepository.emailExists(email)) {
+        throw new Error('Email already exists');
+      }
+      await this.userService.validateRole(invitationData.role);
+
+      // Only the newest invitation for an address can be accepted
+      await this.invitationRepository.revokePendingForEmail(email);
+
+      const token = this.generateToken();
+      const invitation = await this.invitationRepository.create({
+        email,
+        name: invitationData.name,
+        role: invitationData.role,
+        tokenHash: this.hash(token),
+        invitedBy,
+        expiresAt: this.getExpiry()
+      });
+
+      await this.sendInvitation(invitation, token, invitedBy);
+      return invitation;
+    } catch (error) {
+      throw new Error(`Failed to create invitation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Issue a fresh link for an invitation that has not been accepted or revoked
+   */
+  async resendInvitation(id, userId) {
+    try {
+      const invitation = await this.invitationRepository.findById(id);
+      if (!invitation) {
+        throw new Error('Invitation not found');
+      }
+      if (invitation.acceptedAt || invitation.revokedAt) {
+        throw new Error(`Invitation has already been ${invitation.status}`);
+      }
+
+      const token = this.generateToken();
+      const updatedInvitation = await this.invitationRepository.updateById(id, {
+        tokenHash: this.hash(token),
+        expiresAt: this.getExpiry()
+      });
+
+      await this.sendInvitation(updatedInvitation, token, userId);
+      return updatedInvitation;
+    } catch (error) {
+      throw new Error(`Failed to resend invitation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Revoke an invitation so its link stops working
+   */
+  async revokeInvitation(id) {
+    try {
+      const invitation = await this.invitationRepository.findById(id);
+      if (!invitation) {
+        throw new Error('Invitation not found');
+      }
+      if (invitation.acceptedAt) {
+        throw new Error('Invitation has already been accepted');
+      }
+
+      return await this.invitationRepository.updateById(id, { revokedAt: new Date() });
+    } catch (error) {
+      throw new Error(`Failed to revoke invitation: ${error.message}`);
+    }
+  }
+
+  /**
+   * List invitations, optionally by status
+   */
+  async getInvitations(status = null) {
+    try {
+      if (status && !INVITATION_STATUSES.includes(status)) {
+        throw new Error(`Invalid status. Must be one of: ${INVITATION_STATUSES.join(', ')}`);
+      }
+      return await this.invitationRepository.findByStatus(status);
+    } catch (error) {
+      throw new Error(`Failed to get invitations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Look up an invitation by token so the accept page can show who it is for
+   */
+  async getInvitationByToken(token) {
+    const invitation = await this.findPendingInvitation(token);
+    return {
+      email: invitation.email,
+      name: invitation.name,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    };
+  }
+
+  /**
+   * Accept an invitation: create the account, set its password and sign in
+   */
+  async acceptInvitation(token, password, name = null, audit = {}) {
+    try {
+      const invitation = await this.findPendingInvitation(token);
+      this.userService.validatePassword(password);
+
+      const accountName = (name || invitation.name || '').trim();
+      if (!accountName) {
+        throw new Error('Name is required');
+      }
+
+      // The invitation link proves the user owns the address
+      const user = await this.userService.createUser({
+        name: accountName,
+        email: invitation.email,
+        password,
+        role: invitation.role,
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      }, audit);
+
+      const accepted = await this.invitationRepository.markAccepted(invitation._id, user._id);
+      if (!accepted) {
+        // Accepted concurrently or revoked in the meantime
+        await this.userRepository.purgeById(user._id);
+        throw new Error('Invalid or expired invitation');
+      }
+
+      const tokens = await this.userService.issueTokens(user);
+      return { user, ...tokens };
+    } catch (error) {
+      throw new Error(`Failed to accept invitation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find a pending invitation by its token
+   */
+  async findPendingInvitation(token) {
+    if (!token || typeof token !== 'string') {
+      throw new Error('Invalid or expired invitation');
+    }
+
+    const invitation = await this.invitationRepository.findPendingByTokenHash(this.hash(token));
+    if (!invitation) {
+      throw new Error('Invalid or expired invitation');
+    }
+    return invitation;
+  }
+
+  /**
+   * Email the invitation link (don't wait for it)
+   */
+  async sendInvitation(invitation, token, invitedBy) {
+    const inviter = invitedBy ? await this.userRepository.findById(invitedBy) : null;
+
+    this.emailService.sendStaffInvitation(invitation, token, inviter)
+      .catch(error => console.error('Failed to send invitation email:', error));
+  }
+
+  /**
+   * Generate a random invitation token
+   */
+  generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Hash an invitation token for storage
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  /**
+   * Get the expiry date for a new invitation link
+   */
+  getExpiry() {
+    return new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000);
+  }
+}
+
+module.exports = InvitationService;
@@ -1,4 +1,16 @@
 const JobRepository = require('../repositories/JobRepository');
+const CareerApplicationRepository = require('../repositories/CareerApplicationRepository');
+const InterviewCandidateRepository = require('../repositories/InterviewCandidateRepository');
+const EmailService = require('./EmailService');
+const AuditLogService = require('./AuditLogService');
+
+const APPLICATION_STATUSES = ['pending', 'reviewed', 'shortlisted', 'rejected', 'hired', 'withdrawn'];
+const INTERVIEW_STAGES = ['screening', 'phone-interview', 'technical-interview', 'final-interview'];
+const CANDIDATE_STAGES = ['screening', 'phone-interview', 'technical-interview', 'final-interview', 'offer', 'rejected', 'hired'];
+const PIPELINE_SORT_FIELDS = ['appliedAt', 'createdAt', 'updatedAt', 'firstName', 'lastName', 'status', 'experience'];
+
+// Set by publishing, closing, accepted offers and deletion, never from a request body
+const MANAGED_JOB_FIELDS = ['status', 'positionsFilled', 'timeline', 'deletedAt', 'deletedBy'];
 
 /**
  * Job Service
@@ -7,21 +19,32 @@ const JobRepository = require('../repositories/JobRepository');
 class JobService {
   constructor() {
     this.jobRepository = new JobRepository();
+    this.careerApplicationRepository = new CareerApplicationRepository();
+    this.interviewCandidateRepository = new InterviewCandidateRepository();
+    this.emailService = new EmailService();
+    this.auditLogService = new AuditLogService();
   }
 
   /**
    * Create a new job
    */
-  async createJob(jobData, userId) {
+  async createJob(jobData, userId, audit = {}) {
     // Validate job data
     this.validateJobData(jobData);
+    if (jobData.scorecards !== undefined) {
+      this.validateScorecards(jobData.scorecards);
+    }
     
+    // New jobs start as drafts; publishing needs jobs:publish
+    MANAGED_JOB_FIELDS.forEach(field => delete jobData[field]);
+
     // Set the posted by user
     jobData.postedBy = userId;
     
     // Create the job
     const job = await this.jobRepository.create(jobData);
     
+    this.auditLogService.record(audit, { action: 'job.create', entityType: 'job', entityId: job._id, after: job });
     return job;
   }
 
@@ -43,10 +66,56 @@ class JobService {
     return job;
   }
 
+  /**
+   * Get a job's interview scorecard templates
+   */
+  async getScorecards(jobId) {
+    const job = await this.jobRepository.findWithScorecards(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+    return { job: job._id, title: job.title, scorecards: job.scorecards };
+  }
+
+  /**
+   * Get the scorecard template for an interview stage of a job, if it has one
+   */
+  async getScorecardTemplate(jobId, stage) {
+    const job = jobId ? await this.jobRepository.findWithScorecards(jobId) : null;
+    if (!job) {
+      return null;
+    }
+    return job.scorecards.find(scorecard => scorecard.stage === stage) || null;
+  }
+
+  /**
+   * Replace a job's interview scorecard templates
+   * Scorecards already submitted keep the criteria and weights they were scored against
+   */
+  async updateScorecards(jobId, scorecards, userId, canManageAny = false, audit = {}) {
+    this.validateScorecards(scorecards);
+
+    const job = await this.jobRepository.findWithScorecards(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    if (!this.canManageJob(job, userId, canManageAny)) {
+      throw new Error('Unauthorized to update this job');
+    }
+
+    const updatedJob = await this.jobRepository.updateScorecards(jobId, scorecards);
+    this.auditLogService.record(audit, {
+      action: 'job.scorecards', entityType: 'job', entityId: job._id,
+      before: { scorecards: job.scorecards }, after: { scorecards: updatedJob.scorecards }
+    });
+    return { job: updatedJob._id, title: updatedJob.title, scorecards: updatedJob.scorecards };
+  }
+
   /**
    * Update job
    */
-  async updateJob(jobId, updateData, userId) {
+  async updateJob(jobId, updateData, userId, canManageAny = false, audit = {}) {
     // Validate update data
     this.validateJobUpdateData(updateData);
     
@@ -56,72 +125,184 @@ class JobService {
       throw new Error('Job not found');
     }
     
-    if (job.postedBy.toString() !== userId && !this.isAdmin(userId)) {
+    if (!this.canManageJob(job, userId, canManageAny)) {
       throw new Error('Unauthorized to update this job');
     }
     
+    // Seats are only filled through accepted offers; scorecards and status have their own endpoints
+    MANAGED_JOB_FIELDS.forEach(field => delete updateData[field]);
+    delete updateData.scorecards;
+    
+    if (updateData.numberOfPositions !== undefined && updateData.numberOfPositions < job.positionsFilled) {
+      throw new Error(`Number of positions cannot be less than the ${job.positionsFilled} already filled`);
+    }
+    
     // Update the job
-    const updatedJob = await this.jobRepository.update(jobId, updateData);
+    const updatedJob = await this.jobRepository.updateById(jobId, updateData);
+    this.auditLogService.record(audit, { action: 'job.update', entityType: 'job', entityId: job._id, before: job, after: updatedJob });
     return updatedJob;
   }
 
   /**
    * Delete job
    */
-  async deleteJob(jobId, userId) {
+  async deleteJob(jobId, userId, canManageAny = false, audit = {}) {
     // Check if user has permission to delete this job
     const job = await this.jobRepository.findById(jobId);
     if (!job) {
       throw new Error('Job not found');
     }
     
-    if (job.postedBy.toString() !== userId && !this.isAdmin(userId)) {
+    if (!this.canManageJob(job, userId, canManageAny)) {
       throw new Error('Unauthorized to delete this job');
     }
     
-    // Delete the job
-    await this.jobRepository.delete(jobId);
+    // Delete the job (restorable until it is purged)
+    await this.jobRepository.deleteById(jobId, userId);
+    this.auditLogService.record(audit, { action: 'job.delete', entityType: 'job', entityId: job._id });
     return { message: 'Job deleted successfully' };
   }
 
+  /**
+   * Get deleted jobs that can still be restored
+   */
+  async getDeletedJobs() {
+    return await this.jobRepository.findDeleted();
+  }
+
+  /**
+   * Restore a deleted job
+   */
+  async restoreJob(jobId, userId, canManageAny = false, audit = {}) {
+    const [job] = await this.jobRepository.findDeleted({ _id: jobId });
+    if (!job) {
+      throw new Error('Deleted job not found');
+    }
+
+    if (!this.canManageJob(job, userId, canManageAny)) {
+      throw new Error('Unauthorized to restore this job');
+    }
+
+    const restoredJob = await this.jobRepository.restoreById(jobId);
+    this.auditLogService.record(audit, { action: 'job.restore', entityType: 'job', entityId: job._id });
+    return restoredJob;
+  }
+
+  /**
+   * Permanently remove jobs deleted before a date
+   */
+  async purgeDeletedJobs(deletedBefore) {
+    const jobs = await this.jobRepository.purgeDeleted(deletedBefore);
+
+    for (const job of jobs) {
+      this.auditLogService.record(null, { action: 'job.purge', entityType: 'job', entityId: job._id });
+    }
+
+    return jobs.length;
+  }
+
   /**
    * Publish job
    */
-  async publishJob(jobId, userId) {
+  async publishJob(jobId, userId, canManageAny = false, audit = {}) {
     // Check if user has permission to publish this job
     const job = await this.jobRepository.findById(jobId);
     if (!job) {
       throw new Error('Job not found');
     }
     
-    if (job.postedBy.toString() !== userId && !this.isAdmin(userId)) {
+    if (!this.canManageJob(job, userId, canManageAny)) {
       throw new Error('Unauthorized to publish this job');
     }
     
     // Publish the job
+    const before = this.auditLogService.snapshot(job);
     const publishedJob = await job.publish();
+    this.auditLogService.record(audit, { action: 'job.publish', entityType: 'job', entityId: job._id, before, after: publishedJob });
     return publishedJob;
   }
 
   /**
    * Close job
    */
-  async closeJob(jobId, userId) {
+  async closeJob(jobId, userId, canManageAny = false, audit = {}) {
     // Check if user has permission to close this job
     const job = await this.jobRepository.findById(jobId);
     if (!job) {
       throw new Error('Job not found');
     }
     
-    if (job.postedBy.toString() !== userId && !this.isAdmin(userId)) {
+    if (!this.canManageJob(job, userId, canManageAny)) {
       throw new Error('Unauthorized to close this job');
     }
     
     // Close the job
-    const closedJob = await job.close();
+    const before = this.auditLogService.snapshot(job);
+    const closedJob = await job.close('Closed manually', userId);
+    this.auditLogService.record(audit, { action: 'job.close', entityType: 'job', entityId: job._id, before, after: closedJob });
     return closedJob;
   }
 
+  /**
+   * Fill one seat on a job, closing it once every seat is taken
+   */
+  async fillPosition(jobId, userId) {
+    const job = await this.jobRepository.claimPosition(jobId);
+    if (!job) {
+      const existingJob = await this.jobRepository.findById(jobId);
+      if (!existingJob) {
+        throw new Error('Job not found');
+      }
+      throw new Error('All positions for this job have already been filled');
+    }
+
+    if (job.positionsFilled >= job.numberOfPositions && job.status !== 'closed') {
+      const before = this.auditLogService.snapshot(job);
+      const reason = `All ${job.numberOfPositions} position(s) filled`;
+      await job.close(reason, userId);
+      this.auditLogService.record({ actor: userId }, {
+        action: 'job.close', entityType: 'job', entityId: job._id, before, after: job, metadata: { reason }
+      });
+      console.log('✅ Job closed automatically after all positions were filled:', job._id);
+
+      // Let the poster know (non-blocking)
+      this.emailService.sendJobFilledNotification(job)
+        .catch(error => console.error('Failed to send job filled notification:', error));
+    }
+
+    return job;
+  }
+
+  /**
+   * Release a previously filled seat on a job
+   */
+  async releasePosition(jobId) {
+    return await this.jobRepository.releasePosition(jobId);
+  }
+
+  /**
+   * Close every published job whose application deadline has passed
+   */
+  async closeExpiredJobs() {
+    const jobs = await this.jobRepository.findPublishedPastDeadline();
+
+    const closedJobIds = [];
+    for (const job of jobs) {
+      const before = this.auditLogService.snapshot(job);
+      const reason = 'Application deadline passed';
+      await job.close(reason);
+      this.auditLogService.record(null, {
+        action: 'job.close', entityType: 'job', entityId: job._id, before, after: job, metadata: { reason }
+      });
+      closedJobIds.push(job._id);
+    }
+
+    return {
+      closed: closedJobIds.length,
+      jobIds: closedJobIds
+    };
+  }
+
   /**
    * Search jobs
    */
@@ -189,14 +370,14 @@ class JobService {
   /**
    * Update job status
    */
-  async updateJobStatus(jobId, status, userId) {
+  async updateJobStatus(jobId, status, userId, canManageAny = false, audit = {}) {
     // Check if user has permission
     const job = await this.jobRepository.findById(jobId);
     if (!job) {
       throw new Error('Job not found');
     }
     
-    if (job.postedBy.toString() !== userId && !this.isAdmin(userId)) {
+    if (!this.canManageJob(job, userId, canManageAny)) {
       throw new Error('Unauthorized to update job status');
     }
     
@@ -206,7 +387,132 @@ class JobService {
       throw new Error('Invalid job status');
     }
     
-    return await this.jobRepository.updateJobStatus(jobId, status);
+    const updatedJob = await this.jobRepository.updateJobStatus(jobId, status);
+    this.auditLogService.record(audit, { action: 'job.status', entityType: 'job', entityId: job._id, before: job, after: updatedJob });
+    return updatedJob;
+  }
+
+  /**
+   * Get the applicant pipeline for a job: applications with their interview
+   * candidates, grouped by application status or candidate stage
+   */
+  async getApplicantPipeline(jobId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sort = 'appliedAt',
+      order = 'desc',
+      status,
+      stage,
+      groupBy = 'status'
+    } = options;
+
+    if (!PIPELINE_SORT_FIELDS.includes(sort)) {
+      throw new Error(`Invalid sort field. Allowed: ${PIPELINE_SORT_FIELDS.join(', ')}`);
+    }
+
+    if (!['asc', 'desc'].includes(order)) {
+      throw new Error('Invalid sort order');
+    }
+
+    if (!['status', 'stage'].includes(groupBy)) {
+      throw new Error('Invalid groupBy value');
+    }
+
+    if (status && !APPLICATION_STATUSES.includes(status)) {
+      throw new Error('Invalid application status');
+    }
+
+    if (stage && !CANDIDATE_STAGES.includes(stage)) {
+      throw new Error('Invalid stage');
+    }
+
+    const job = await this.jobRepository.findById(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    // Counts always cover the whole job, regardless of filters
+    const applicationIds = await this.careerApplicationRepository.findIdsByJob(job._id);
+    const [byStatus, byStage] = await Promise.all([
+      this.careerApplicationRepository.countByStatusForJob(job._id),
+      this.interviewCandidateRepository.countByStageForApplications(applicationIds)
+    ]);
+
+    const filters = { job: job._id };
+    if (status) {
+      filters.status = status;
+    }
+    if (stage) {
+      filters._id = {
+        $in: await this.interviewCandidateRepository.findCareerApplicationIdsByStage(applicationIds, stage)
+      };
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [applications, total] = await Promise.all([
+      this.careerApplicationRepository.findAll(filters, {
+        sort: { [sort]: order === 'asc' ? 1 : -1, _id: 1 },
+        skip: (pageNumber - 1) * pageSize,
+        limit: pageSize
+      }),
+      this.careerApplicationRepository.count(filters)
+    ]);
+
+    const candidates = await this.interviewCandidateRepository.findByCareerApplications(
+      applications.map(application => application._id)
+    );
+    const candidatesByApplication = new Map(
+      candidates.map(candidate => [candidate.careerApplication.toString(), candidate])
+    );
+
+    const entries = applications.map(application => ({
+      ...application.toObject(),
+      interviewCandidate: candidatesByApplication.get(application._id.toString()) || null
+    }));
+
+    // Group the current page, keeping pipeline order and whole-job counts
+    const groupKeys = groupBy === 'stage' ? [...CANDIDATE_STAGES, 'unassigned'] : APPLICATION_STATUSES;
+    const groupCounts = groupBy === 'stage'
+      ? { ...byStage, unassigned: applicationIds.length - Object.values(byStage).reduce((sum, count) => sum + count, 0) }
+      : byStatus;
+
+    const groups = groupKeys.map(key => ({
+      key,
+      count: groupCounts[key] || 0,
+      applications: entries.filter(entry => {
+        const entryKey = groupBy === 'stage'
+          ? (entry.interviewCandidate ? entry.interviewCandidate.currentStage : 'unassigned')
+          : entry.status;
+        return entryKey === key;
+      })
+    }));
+
+    return {
+      job: {
+        _id: job._id,
+        title: job.title,
+        department: job.department,
+        status: job.status,
+        numberOfPositions: job.numberOfPositions,
+        applicationDeadline: job.applicationDeadline
+      },
+      counts: {
+        total: applicationIds.length,
+        byStatus,
+        byStage
+      },
+      groupBy,
+      groups,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
   }
 
   /**
@@ -245,6 +551,46 @@ class JobService {
     }
   }
 
+  /**
+   * Validate scorecard templates
+   */
+  validateScorecards(scorecards) {
+    if (!Array.isArray(scorecards)) {
+      throw new Error('scorecards must be an array');
+    }
+
+    const stages = new Set();
+    for (const scorecard of scorecards) {
+      if (!scorecard || !INTERVIEW_STAGES.includes(scorecard.stage)) {
+        throw new Error(`Invalid scorecard stage. Must be one of: ${INTERVIEW_STAGES.join(', ')}`);
+      }
+      if (stages.has(scorecard.stage)) {
+        throw new Error(`Only one scorecard is allowed for the ${scorecard.stage} stage`);
+      }
+      stages.add(scorecard.stage);
+
+      if (!Array.isArray(scorecard.criteria) || scorecard.criteria.length === 0) {
+        throw new Error(`The ${scorecard.stage} scorecard needs at least one criterion`);
+      }
+
+      const names = new Set();
+      for (const criterion of scorecard.criteria) {
+        const name = criterion && typeof criterion.name === 'string' ? criterion.name.trim().toLowerCase() : '';
+        if (!name) {
+          throw new Error('Criterion name is required');
+        }
+        if (names.has(name)) {
+          throw new Error(`Duplicate criterion "${criterion.name}" in the ${scorecard.stage} scorecard`);
+        }
+        names.add(name);
+
+        if (typeof criterion.weight !== 'number' || !(criterion.weight > 0)) {
+          throw new Error(`Weight of "${criterion.name}" must be a positive number`);
+        }
+      }
+    }
+  }
+
   /**
    * Validate job update data
    */
@@ -265,12 +611,10 @@ class JobService {
   }
 
   /**
-   * Check if user is admin (placeholder - should be implemented based on your auth system)
+   * Check if user may manage a job: its poster, or anyone granted jobs:manage-any
    */
-  isAdmin(userId) {
-    // This should be implemented based on your user role system
-    // For now, returning false as placeholder
-    return false;
+  canManageJob(job, userId, canManageAny = false) {
+    return canManageAny || (job.postedBy && job.postedBy.toString() === String(userId));
   }
 }
 
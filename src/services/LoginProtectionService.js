@@ -0,0 +1,165 @@
+const UserRepository = require('../repositories/UserRepository');
+const LoginThrottleRepository = require('../repositories/LoginThrottleRepository');
+const EmailService = require('./EmailService');
+const AuditLogService = require('./AuditLogService');
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 10;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 50;
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15;
+// Failures allowed before delays start, per account and per IP
+const ACCOUNT_FREE_ATTEMPTS = 3;
+const IP_FREE_ATTEMPTS = 10;
+const MAX_DELAY_SECONDS = 30;
+
+/**
+ * Login Protection Service Class
+ * Single Responsibility: Slow down and lock out repeated failed logins per account and per IP
+ */
+class LoginProtectionService {
+  constructor() {
+    this.userRepository = new UserRepository();
+    this.loginThrottleRepository = new LoginThrottleRepository();
+    this.emailService = new EmailService();
+    this.auditLogService = new AuditLogService();
+  }
+
+  /**
+   * Reject the attempt if the client IP is delayed or blocked
+   */
+  async assertIpAllowed(ip) {
+    if (!ip) {
+      return;
+    }
+
+    const throttle = await this.loginThrottleRepository.findByIp(ip);
+    if (!throttle) {
+      return;
+    }
+
+    const now = new Date();
+    if (throttle.blockedUntil && throttle.blockedUntil > now) {
+      throw new Error(`Too many failed login attempts from this network. Try again in ${this.formatWait(throttle.blockedUntil)}`);
+    }
+    if (throttle.delayUntil && throttle.delayUntil > now) {
+      throw new Error(`Too many failed login attempts. Try again in ${this.formatWait(throttle.delayUntil)}`);
+    }
+  }
+
+  /**
+   * Reject the attempt if the account is locked or still in its delay
+   */
+  assertAccountAllowed(user) {
+    const now = new Date();
+    if (user.lockedUntil && user.lockedUntil > now) {
+      throw new Error(`Account is locked after too many failed login attempts. Try again in ${this.formatWait(user.lockedUntil)}`);
+    }
+    if (user.loginDelayUntil && user.loginDelayUntil > now) {
+      throw new Error(`Too many failed login attempts. Try again in ${this.formatWait(user.loginDelayUntil)}`);
+    }
+  }
+
+  /**
+   * Record a failed attempt against the IP and, if known, the account
+   * Returns { locked, lockedUntil } for the account
+   */
+  async recordFailure(user, ip) {
+    if (ip) {
+      await this.recordIpFailure(ip);
+    }
+
+    if (!user) {
+      return { locked: false };
+    }
+
+    const updatedUser = await this.userRepository.recordFailedLogin(user._id);
+    if (!updatedUser) {
+      return { locked: false };
+    }
+
+    if (updatedUser.failedLoginAttempts >= MAX_FAILED_ATTEMPTS) {
+      const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+      const lockedUser = await this.userRepository.lockAccount(user._id, lockedUntil);
+
+      // Only the request that actually locked the account sends the alert
+      if (lockedUser) {
+        console.warn(`⚠️ Account ${lockedUser.email} locked until ${lockedUntil.toISOString()}`);
+        this.emailService.sendAccountLockedNotification(lockedUser, { lockedUntil, ip })
+          .catch(error => console.error('Failed to send account locked email:', error));
+      }
+      return { locked: true, lockedUntil };
+    }
+
+    if (updatedUser.failedLoginAttempts > ACCOUNT_FREE_ATTEMPTS) {
+      await this.userRepository.updateById(user._id, {
+        loginDelayUntil: this.getDelayUntil(updatedUser.failedLoginAttempts - ACCOUNT_FREE_ATTEMPTS)
+      });
+    }
+
+    return { locked: false };
+  }
+
+  /**
+   * Record a failed attempt from an IP and delay or block it as failures pile up
+   */
+  async recordIpFailure(ip) {
+    const windowMs = IP_WINDOW_MINUTES * 60 * 1000;
+    const throttle = await this.loginThrottleRepository.recordFailure(ip, windowMs);
+
+    if (throttle.failures >= IP_MAX_FAILURES) {
+      const blockedUntil = new Date(throttle.windowStartedAt.getTime() + windowMs);
+      await this.loginThrottleRepository.updateById(throttle._id, { blockedUntil, expiresAt: blockedUntil });
+      console.warn(`⚠️ Login blocked for IP ${ip} until ${blockedUntil.toISOString()}`);
+    } else if (throttle.failures > IP_FREE_ATTEMPTS) {
+      await this.loginThrottleRepository.updateById(throttle._id, {
+        delayUntil: this.getDelayUntil(throttle.failures - IP_FREE_ATTEMPTS)
+      });
+    }
+  }
+
+  /**
+   * Clear the account's failures after a successful login
+   */
+  async recordSuccess(user) {
+    if (user.failedLoginAttempts > 0 || user.loginDelayUntil) {
+      await this.userRepository.resetLoginFailures(user._id);
+    }
+  }
+
+  /**
+   * Unlock an account (admin)
+   */
+  async unlockAccount(userId, audit = {}) {
+    try {
+      const user = await this.userRepository.resetLoginFailures(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+      this.auditLogService.record(audit, { action: 'user.unlock', entityType: 'user', entityId: user._id });
+      return user;
+    } catch (error) {
+      throw new Error(`Failed to unlock account: ${error.message}`);
+    }
+  }
+
+  /**
+   * Exponential delay: 1s, 2s, 4s... capped at MAX_DELAY_SECONDS
+   */
+  getDelayUntil(excessFailures) {
+    const seconds = Math.min(2 ** (excessFailures - 1), MAX_DELAY_SECONDS);
+    return new Date(Date.now() + seconds * 1000);
+  }
+
+  /**
+   * Describe how long until a date, for error messages
+   */
+  formatWait(until) {
+    const seconds = Math.max(1, Math.ceil((until - Date.now()) / 1000));
+    if (seconds < 120) {
+      return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+    return `${Math.ceil(seconds / 60)} minutes`;
+  }
+}
+
+module.exports = LoginProtectionService;
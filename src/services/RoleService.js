@@ -0,0 +1,214 @@
+const RoleRepository = require('../repositories/RoleRepository');
+const UserRepository = require('../repositories/UserRepository');
+const { WILDCARD, PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+const CACHE_TTL_MS = parseInt(process.env.ROLE_CACHE_TTL_MS, 10) || 60 * 1000;
+
+// Shared across instances so every middleware/service sees the same role table
+const cache = {
+  roles: null,
+  loadedAt: 0,
+  seeded: false
+};
+
+/**
+ * Role Service Class
+ * Single Responsibility: Manage roles and resolve the permissions they grant
+ */
+class RoleService {
+  constructor() {
+    this.roleRepository = new RoleRepository();
+    this.userRepository = new UserRepository();
+  }
+
+  /**
+   * Insert any missing default roles (existing roles are left untouched)
+   */
+  async seedDefaultRoles() {
+    for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+      await this.roleRepository.createIfMissing({
+        name,
+        description: role.description,
+        permissions: role.permissions,
+        isSystem: true
+      });
+    }
+    cache.seeded = true;
+  }
+
+  /**
+   * Load the role table, using the in-memory cache while it is fresh
+   */
+  async loadRoles() {
+    if (cache.roles && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+      return cache.roles;
+    }
+
+    if (!cache.seeded) {
+      await this.seedDefaultRoles();
+    }
+
+    const roles = await this.roleRepository.findAll({}, { sort: { name: 1 } });
+    cache.roles = new Map(roles.map(role => [role.name, role.permissions]));
+    cache.loadedAt = Date.now();
+    return cache.roles;
+  }
+
+  /**
+   * Drop the cached role table so the next lookup reads from the database
+   */
+  clearCache() {
+    cache.roles = null;
+    cache.loadedAt = 0;
+  }
+
+  /**
+   * Get the permissions granted to a role (wildcard expanded)
+   */
+  async getPermissions(roleName) {
+    const roles = await this.loadRoles();
+    const permissions = roles.get(roleName) || [];
+
+    if (permissions.includes(WILDCARD)) {
+      return Object.keys(PERMISSIONS);
+    }
+    return permissions.filter(permission => PERMISSIONS[permission]);
+  }
+
+  /**
+   * Check whether a role grants a permission
+   */
+  async roleHasPermission(roleName, permission) {
+    const permissions = await this.getPermissions(roleName);
+    return permissions.includes(permission);
+  }
+
+  /**
+   * Check whether a role exists
+   */
+  async roleExists(roleName) {
+    const roles = await this.loadRoles();
+    return roles.has(roleName);
+  }
+
+  /**
+   * List every known permission
+   */
+  listPermissions() {
+    return Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+  }
+
+  /**
+   * List roles
+   */
+  async getRoles() {
+    try {
+      await this.loadRoles();
+      return await this.roleRepository.findAll({}, { sort: { name: 1 } });
+    } catch (error) {
+      throw new Error(`Failed to get roles: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a role
+   */
+  async createRole(roleData) {
+    try {
+      const name = (roleData.name || '').toLowerCase().trim();
+      if (!name) {
+        throw new Error('Role name is required');
+      }
+
+      await this.loadRoles();
+      if (await this.roleRepository.findByName(name)) {
+        throw new Error('Role already exists');
+      }
+
+      const role = await this.roleRepository.create({
+        name,
+        description: roleData.description,
+        permissions: this.validatePermissions(roleData.permissions || []),
+        isSystem: false
+      });
+
+      this.clearCache();
+      return role;
+    } catch (error) {
+      throw new Error(`Failed to create role: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a role's description and/or permissions
+   */
+  async updateRole(name, updateData) {
+    try {
+      const role = await this.roleRepository.findByName(name);
+      if (!role) {
+        throw new Error('Role not found');
+      }
+      if (role.name === 'admin') {
+        throw new Error('The admin role cannot be modified');
+      }
+
+      const update = {};
+      if (updateData.description !== undefined) {
+        update.description = updateData.description;
+      }
+      if (updateData.permissions !== undefined) {
+        update.permissions = this.validatePermissions(updateData.permissions);
+      }
+
+      const updatedRole = await this.roleRepository.updateByName(name, update);
+      this.clearCache();
+      return updatedRole;
+    } catch (error) {
+      throw new Error(`Failed to update role: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a custom role that no user is assigned to
+   */
+  async deleteRole(name) {
+    try {
+      const role = await this.roleRepository.findByName(name);
+      if (!role) {
+        throw new Error('Role not found');
+      }
+      if (role.isSystem) {
+        throw new Error('Built-in roles cannot be deleted');
+      }
+
+      const assignedUsers = await this.userRepository.count({ role: role.name });
+      if (assignedUsers > 0) {
+        throw new Error(`Role is assigned to ${assignedUsers} user(s) and cannot be deleted`);
+      }
+
+      await this.roleRepository.deleteByName(name);
+      this.clearCache();
+      return { message: 'Role deleted successfully' };
+    } catch (error) {
+      throw new Error(`Failed to delete role: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ensure every permission is known; the wildcard is reserved for admin
+   */
+  validatePermissions(permissions) {
+    if (!Array.isArray(permissions)) {
+      throw new Error('Permissions must be an array');
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+
+    return [...new Set(permissions)];
+  }
+}
+
+module.exports = RoleService;
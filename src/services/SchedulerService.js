@@ -0,0 +1,109 @@
+const TaskRunRepository = require('../repositories/TaskRunRepository');
+const JobService = require('./JobService');
+const InterviewCandidateService = require('./InterviewCandidateService');
+const CareerApplicationService = require('./CareerApplicationService');
+const UserService = require('./UserService');
+
+const SOFT_DELETE_RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS, 10) || 30;
+
+/**
+ * Scheduler Service
+ * Single Responsibility: Register scheduled tasks and record their runs
+ * Open/Closed Principle: New tasks are added to the registry without changing how they run
+ */
+class SchedulerService {
+  constructor() {
+    this.taskRunRepository = new TaskRunRepository();
+    this.jobService = new JobService();
+    this.interviewCandidateService = new InterviewCandidateService();
+    this.careerApplicationService = new CareerApplicationService();
+    this.userService = new UserService();
+
+    this.tasks = {
+      'close-expired-jobs': {
+        description: 'Close published jobs whose application deadline has passed',
+        intervalMinutes: 60,
+        run: () => this.jobService.closeExpiredJobs()
+      },
+      'expire-offers': {
+        description: 'Expire pending offers past their validUntil date',
+        intervalMinutes: 60,
+        run: () => this.interviewCandidateService.expireStaleOffers()
+      },
+      'send-interview-reminders': {
+        description: 'Email candidates and interviewers before upcoming interviews (INTERVIEW_REMINDER_OFFSETS_HOURS)',
+        intervalMinutes: 15,
+        run: () => this.interviewCandidateService.sendInterviewReminders()
+      },
+      'purge-deleted': {
+        description: `Permanently remove jobs, applications, candidates and users deleted more than ${SOFT_DELETE_RETENTION_DAYS} days ago`,
+        intervalMinutes: 24 * 60,
+        run: () => this.purgeDeleted()
+      }
+    };
+  }
+
+  /**
+   * List registered tasks
+   */
+  getTasks() {
+    return Object.entries(this.tasks).map(([name, task]) => ({
+      name,
+      description: task.description,
+      intervalMinutes: task.intervalMinutes
+    }));
+  }
+
+  /**
+   * Run a task and record the outcome
+   */
+  async runTask(name, trigger = 'manual') {
+    const task = this.tasks[name];
+    if (!task) {
+      throw new Error(`Task not found: ${name}`);
+    }
+
+    const taskRun = await this.taskRunRepository.create({
+      task: name,
+      trigger,
+      startedAt: new Date()
+    });
+
+    console.log(`⏰ Running scheduled task ${name} (${trigger})`);
+
+    try {
+      const result = await task.run();
+      await taskRun.finish(result);
+      console.log(`✅ Scheduled task ${name} finished:`, JSON.stringify(result));
+    } catch (error) {
+      await taskRun.fail(error.message);
+      console.error(`❌ Scheduled task ${name} failed:`, error.message);
+    }
+
+    return taskRun;
+  }
+
+  /**
+   * Permanently remove soft-deleted records past the retention period
+   */
+  async purgeDeleted() {
+    const deletedBefore = new Date(Date.now() - SOFT_DELETE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    return {
+      deletedBefore,
+      jobs: await this.jobService.purgeDeletedJobs(deletedBefore),
+      applications: await this.careerApplicationService.purgeDeletedApplications(deletedBefore),
+      candidates: await this.interviewCandidateService.purgeDeletedCandidates(deletedBefore),
+      users: await this.userService.purgeDeletedUsers(deletedBefore)
+    };
+  }
+
+  /**
+   * Get recent task runs
+   */
+  async getRecentRuns(task = null, limit = 50) {
+    return await this.taskRunRepository.findRecent(task, limit);
+  }
+}
+
+module.exports = SchedulerService;
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const SessionRepository = require('../repositories/SessionRepository');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * Session Service Class
+ * Single Responsibility: Issue, rotate and revoke server-side refresh token sessions
+ *
+ * Refresh tokens have the form "<sessionId>.<secret>". Only a hash of the secret
+ * is stored, and every refresh replaces it, so a leaked token works at most once.
+ */
+class SessionService {
+  constructor() {
+    this.sessionRepository = new SessionRepository();
+  }
+
+  /**
+   * Start a session and return its first refresh token
+   */
+  async createSession(userId, context = {}) {
+    const secret = this.generateSecret();
+    const session = await this.sessionRepository.create({
+      user: userId,
+      tokenHash: this.hash(secret),
+      userAgent: context.userAgent,
+      ip: context.ip,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    return {
+      session,
+      refreshToken: `${session._id}.${secret}`
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new one
+   */
+  async rotateSession(refreshToken) {
+    const { sessionId, secret } = this.parseRefreshToken(refreshToken);
+    const presentedHash = this.hash(secret);
+    const newSecret = this.generateSecret();
+
+    const session = await this.sessionRepository.rotateToken(sessionId, presentedHash, this.hash(newSecret));
+    if (session) {
+      return {
+        session,
+        refreshToken: `${session._id}.${newSecret}`
+      };
+    }
+
+    // A token that was already rotated away is being replayed: assume it was stolen
+    const existing = await this.sessionRepository.findActiveById(sessionId);
+    if (existing && existing.previousTokenHash === presentedHash) {
+      await this.sessionRepository.revoke(sessionId, 'reuse-detected');
+      console.warn(`⚠️ Refresh token reuse detected, session ${sessionId} revoked`);
+    }
+
+    throw new Error('Invalid or expired refresh token');
+  }
+
+  /**
+   * Check that a session can still be used
+   */
+  async isSessionActive(sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return false;
+    }
+    const session = await this.sessionRepository.findActiveById(sessionId);
+    return !!session;
+  }
+
+  /**
+   * Revoke one session
+   */
+  async revokeSession(sessionId, reason = 'logout') {
+    return await this.sessionRepository.revoke(sessionId, reason);
+  }
+
+  /**
+   * Revoke every session of a user
+   */
+  async revokeAllSessions(userId, reason = 'logout-all') {
+    const revoked = await this.sessionRepository.revokeAllForUser(userId, reason);
+    console.log(`🔒 Revoked ${revoked} session(s) for user ${userId} (${reason})`);
+    return revoked;
+  }
+
+  /**
+   * List a user's active sessions
+   */
+  async getActiveSessions(userId) {
+    return await this.sessionRepository.findActiveByUser(userId);
+  }
+
+  /**
+   * Split a refresh token into its session ID and secret
+   */
+  parseRefreshToken(refreshToken) {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+    if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw new Error('Invalid or expired refresh token');
+    }
+    return { sessionId, secret };
+  }
+
+  /**
+   * Generate a random refresh token secret
+   */
+  generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Hash a refresh token secret for storage
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const TwoFactorCredentialRepository = require('../repositories/TwoFactorCredentialRepository');
+const UserRepository = require('../repositories/UserRepository');
+const AuditLogService = require('./AuditLogService');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || process.env.COMPANY_NAME || 'Payday Express';
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin,manager')
+  .split(',')
+  .map(role => role.trim().toLowerCase())
+  .filter(Boolean);
+const RECOVERY_CODE_COUNT = 10;
+const STEP_SECONDS = 30;
+
+// Accept the previous and next 30s step to allow for clock drift
+const totp = authenticator.clone({ step: STEP_SECONDS, window: 1 });
+
+/**
+ * Two-Factor Service Class
+ * Single Responsibility: Enroll users in TOTP two-factor authentication and verify their codes
+ */
+class TwoFactorService {
+  constructor() {
+    this.twoFactorCredentialRepository = new TwoFactorCredentialRepository();
+    this.userRepository = new UserRepository();
+    this.auditLogService = new AuditLogService();
+  }
+
+  /**
+   * Check whether the policy requires two-factor authentication for a role
+   * Roles are only enforced once TWO_FACTOR_ENFORCED=true; until then 2FA is optional
+   */
+  isRequiredForRole(role) {
+    return process.env.TWO_FACTOR_ENFORCED === 'true' && REQUIRED_ROLES.includes(role);
+  }
+
+  /**
+   * Get the two-factor status of a user
+   */
+  async getStatus(userId, role) {
+    try {
+      const credential = await this.twoFactorCredentialRepository.findByUser(userId);
+      const enabled = !!(credential && credential.enabled);
+
+      return {
+        enabled,
+        enabledAt: enabled ? credential.enabledAt : null,
+        required: this.isRequiredForRole(role),
+        recoveryCodesRemaining: enabled ? credential.recoveryCodes.filter(entry => !entry.usedAt).length : 0
+      };
+    } catch (error) {
+      throw new Error(`Failed to get two-factor status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start enrollment: create a new secret and return its provisioning URI for a QR code
+   */
+  async setup(userId) {
+    try {
+      const user = await this.userRepository.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+      if (user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      const secret = totp.generateSecret(20);
+      await this.twoFactorCredentialRepository.replacePending(user._id, this.encrypt(secret));
+
+      return {
+        secret,
+        otpauthUrl: totp.keyuri(user.email, ISSUER, secret)
+      };
+    } catch (error) {
+      throw new Error(`Failed to set up two-factor authentication: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finish enrollment by confirming a code from the authenticator app
+   * Returns the recovery codes, which are only shown once
+   */
+  async enable(userId, code, audit = {}) {
+    try {
+      const credential = await this.twoFactorCredentialRepository.findByUser(userId);
+      if (!credential) {
+        throw new Error('Two-factor setup has not been started');
+      }
+      if (credential.enabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      await this.verifyTotp(credential, code);
+
+      const recoveryCodes = this.generateRecoveryCodes();
+      await this.twoFactorCredentialRepository.updateById(credential._id, {
+        enabled: true,
+        enabledAt: new Date(),
+        recoveryCodes: recoveryCodes.map(recoveryCode => ({ hash: this.hash(recoveryCode) }))
+      });
+      const user = await this.userRepository.updateById(userId, { twoFactorEnabled: true });
+      this.auditLogService.record(audit, { action: 'user.2fa-enable', entityType: 'user', entityId: user._id });
+
+      return { user, recoveryCodes };
+    } catch (error) {
+      throw new Error(`Failed to enable two-factor authentication: ${error.message}`);
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off
+   */
+  async disable(userId, audit = {}) {
+    try {
+      await this.twoFactorCredentialRepository.deleteByUser(userId);
+      const user = await this.userRepository.updateById(userId, { twoFactorEnabled: false });
+      if (!user) {
+        throw new Error('User not found');
+      }
+      this.auditLogService.record(audit, { action: 'user.2fa-disable', entityType: 'user', entityId: user._id });
+      return user;
+    } catch (error) {
+      throw new Error(`Failed to disable two-factor authentication: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove the credential of a user that no longer exists
+   */
+  async deleteCredential(userId) {
+    return await this.twoFactorCredentialRepository.deleteByUser(userId);
+  }
+
+  /**
+   * Verify a TOTP code or an unused recovery code for a user with 2FA enabled
+   */
+  async verify(userId, { code, recoveryCode } = {}) {
+    const credential = await this.twoFactorCredentialRepository.findByUser(userId);
+    if (!credential || !credential.enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (recoveryCode) {
+      const normalized = String(recoveryCode).trim().toLowerCase();
+      const used = await this.twoFactorCredentialRepository.useRecoveryCode(userId, this.hash(normalized));
+      if (!used) {
+        throw new Error('Invalid recovery code');
+      }
+      const remaining = used.recoveryCodes.filter(entry => !entry.usedAt).length;
+      console.log(`⚠️ Recovery code used for user ${userId}, ${remaining} remaining`);
+      return { method: 'recovery-code', recoveryCodesRemaining: remaining };
+    }
+
+    await this.verifyTotp(credential, code);
+    return { method: 'totp' };
+  }
+
+  /**
+   * Replace the recovery codes after confirming a current code
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    try {
+      const credential = await this.twoFactorCredentialRepository.findByUser(userId);
+      if (!credential || !credential.enabled) {
+        throw new Error('Two-factor authentication is not enabled');
+      }
+
+      await this.verifyTotp(credential, code);
+
+      const recoveryCodes = this.generateRecoveryCodes();
+      await this.twoFactorCredentialRepository.updateById(credential._id, {
+        recoveryCodes: recoveryCodes.map(recoveryCode => ({ hash: this.hash(recoveryCode) }))
+      });
+      return recoveryCodes;
+    } catch (error) {
+      throw new Error(`Failed to regenerate recovery codes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check a TOTP code against the credential and prevent it from being replayed
+   */
+  async verifyTotp(credential, code) {
+    const token = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(token)) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    const delta = totp.checkDelta(token, this.decrypt(credential.secret));
+    if (delta === null) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    const step = Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+    const recorded = await this.twoFactorCredentialRepository.markStepUsed(credential.user, step);
+    if (!recorded) {
+      throw new Error('Two-factor code has already been used');
+    }
+  }
+
+  /**
+   * Generate single-use recovery codes (xxxxx-xxxxx)
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  /**
+   * Hash a recovery code for storage
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  /**
+   * Derive the key used to encrypt TOTP secrets at rest
+   */
+  getEncryptionKey() {
+    const keyMaterial = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key';
+    return crypto.createHash('sha256').update(keyMaterial).digest();
+  }
+
+  /**
+   * Encrypt a TOTP secret (AES-256-GCM)
+   */
+  encrypt(plainText) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+  }
+
+  /**
+   * Decrypt a TOTP secret
+   */
+  decrypt(payload) {
+    const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = TwoFactorService;
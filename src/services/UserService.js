@@ -1,4 +1,16 @@
 const UserRepository = require('../repositories/UserRepository');
+const RoleService = require('./RoleService');
+const SessionService = require('./SessionService');
+const UserTokenService = require('./UserTokenService');
+const EmailService = require('./EmailService');
+const TwoFactorService = require('./TwoFactorService');
+const LoginProtectionService = require('./LoginProtectionService');
+const AuditLogService = require('./AuditLogService');
+
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
@@ -10,12 +22,19 @@ const jwt = require('jsonwebtoken');
 class UserService {
   constructor() {
     this.userRepository = new UserRepository();
+    this.roleService = new RoleService();
+    this.sessionService = new SessionService();
+    this.userTokenService = new UserTokenService();
+    this.emailService = new EmailService();
+    this.twoFactorService = new TwoFactorService();
+    this.loginProtectionService = new LoginProtectionService();
+    this.auditLogService = new AuditLogService();
   }
 
   /**
    * Create a new user
    */
-  async createUser(userData) {
+  async createUser(userData, audit = {}) {
     try {
       // Check if email already exists
       const emailExists = await this.userRepository.emailExists(userData.email);
@@ -23,6 +42,10 @@ class UserService {
         throw new Error('Email already exists');
       }
 
+      if (userData.role) {
+        await this.validateRole(userData.role);
+      }
+
       // Hash password
       const saltRounds = 10;
       const hashedPassword = await bcrypt.hash(userData.password, saltRounds);
@@ -32,6 +55,7 @@ class UserService {
         ...userData,
         password: hashedPassword
       });
+      this.auditLogService.record(audit, { action: 'user.create', entityType: 'user', entityId: user._id, after: user });
 
       // Return user without password
       const { password, ...userWithoutPassword } = user.toObject();
@@ -44,11 +68,14 @@ class UserService {
   /**
    * Authenticate user login
    */
-  async authenticateUser(email, password) {
+  async authenticateUser(email, password, context = {}) {
     try {
+      await this.loginProtectionService.assertIpAllowed(context.ip);
+
       // Find user by email
       const user = await this.userRepository.findByEmail(email);
       if (!user) {
+        await this.loginProtectionService.recordFailure(null, context.ip);
         throw new Error('Invalid email or password');
       }
 
@@ -57,29 +84,286 @@ class UserService {
         throw new Error('Account is deactivated');
       }
 
+      this.loginProtectionService.assertAccountAllowed(user);
+
       // Verify password
       const isPasswordValid = await bcrypt.compare(password, user.password);
       if (!isPasswordValid) {
-        throw new Error('Invalid email or password');
+        await this.recordLoginFailure(user, context.ip);
+      }
+
+      if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.emailVerified) {
+        throw new Error('Email address is not verified');
+      }
+
+      // Second step: the client exchanges the challenge and a TOTP code for tokens
+      if (user.twoFactorEnabled) {
+        return {
+          twoFactorRequired: true,
+          challengeToken: this.generateTwoFactorChallenge(user),
+          expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS
+        };
+      }
+
+      return await this.completeLogin(user, context);
+    } catch (error) {
+      throw new Error(`Authentication failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finish a login that required a two-factor code
+   */
+  async authenticateTwoFactor(challengeToken, credentials, context = {}) {
+    try {
+      const challenge = this.verifyTwoFactorChallenge(challengeToken);
+
+      await this.loginProtectionService.assertIpAllowed(context.ip);
+
+      const user = await this.userRepository.findById(challenge.userId);
+      if (!user || !user.isActive) {
+        throw new Error('Account is deactivated');
       }
 
-      // Update last login
-      await this.userRepository.updateLastLogin(user._id);
+      this.loginProtectionService.assertAccountAllowed(user);
 
-      // Generate JWT token
-      const token = this.generateToken(user);
+      let verification;
+      try {
+        verification = await this.twoFactorService.verify(user._id, credentials);
+      } catch (error) {
+        await this.recordLoginFailure(user, context.ip, error.message);
+      }
+
+      const result = await this.completeLogin(user, context);
+
+      if (verification.recoveryCodesRemaining !== undefined) {
+        result.recoveryCodesRemaining = verification.recoveryCodesRemaining;
+      }
+      return result;
+    } catch (error) {
+      throw new Error(`Authentication failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count a failed login and throw the error to report
+   */
+  async recordLoginFailure(user, ip, message = 'Invalid email or password') {
+    const { locked, lockedUntil } = await this.loginProtectionService.recordFailure(user, ip);
+    if (locked) {
+      throw new Error(`Account is locked after too many failed login attempts. Try again in ${this.loginProtectionService.formatWait(lockedUntil)}`);
+    }
+    throw new Error(message);
+  }
+
+  /**
+   * Record the login, start a session and return the user with its tokens
+   */
+  async completeLogin(user, context = {}) {
+    await this.loginProtectionService.recordSuccess(user);
+
+    // Update last login
+    await this.userRepository.updateLastLogin(user._id);
+
+    // Start a session and issue its tokens
+    const tokens = await this.issueTokens(user, context);
+
+    // Return user data and tokens
+    const { password: _, ...userWithoutPassword } = user.toObject();
+    return {
+      user: userWithoutPassword,
+      ...tokens
+    };
+  }
+
+  /**
+   * Start a session for the user and issue an access/refresh token pair
+   */
+  async issueTokens(user, context = {}) {
+    const { session, refreshToken } = await this.sessionService.createSession(user._id, context);
+    return {
+      token: this.generateToken(user, session._id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   */
+  async refreshSession(refreshToken) {
+    try {
+      const { session, refreshToken: newRefreshToken } = await this.sessionService.rotateSession(refreshToken);
+
+      const user = await this.userRepository.findById(session.user);
+      if (!user || !user.isActive) {
+        await this.sessionService.revokeSession(session._id, user ? 'deactivated' : 'deleted');
+        throw new Error('Account is deactivated');
+      }
 
-      // Return user data and token
-      const { password: _, ...userWithoutPassword } = user.toObject();
       return {
-        user: userWithoutPassword,
-        token
+        token: this.generateToken(user, session._id),
+        refreshToken: newRefreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60
       };
     } catch (error) {
-      throw new Error(`Authentication failed: ${error.message}`);
+      throw new Error(`Failed to refresh session: ${error.message}`);
+    }
+  }
+
+  /**
+   * End the current session
+   */
+  async logout(sessionId) {
+    try {
+      await this.sessionService.revokeSession(sessionId, 'logout');
+      return { message: 'Logged out successfully' };
+    } catch (error) {
+      throw new Error(`Failed to log out: ${error.message}`);
+    }
+  }
+
+  /**
+   * End every session of the user ("log out all devices")
+   */
+  async logoutAll(userId) {
+    try {
+      const revoked = await this.sessionService.revokeAllSessions(userId, 'logout-all');
+      return { message: 'Logged out of all devices', revoked };
+    } catch (error) {
+      throw new Error(`Failed to log out of all devices: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the user's active sessions
+   */
+  async getSessions(userId) {
+    try {
+      return await this.sessionService.getActiveSessions(userId);
+    } catch (error) {
+      throw new Error(`Failed to get sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Email a password reset link; silently does nothing for unknown or inactive accounts
+   */
+  async requestPasswordReset(email) {
+    try {
+      const user = await this.userRepository.findByEmail(email);
+      if (!user || !user.isActive) {
+        console.log('⚠️ Password reset requested for unknown or inactive account');
+        return;
+      }
+
+      const token = await this.userTokenService.issueToken(
+        user._id,
+        'password-reset',
+        PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+      );
+
+      this.emailService.sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES)
+        .catch(error => console.error('Failed to send password reset email:', error));
+    } catch (error) {
+      throw new Error(`Failed to request password reset: ${error.message}`);
     }
   }
 
+  /**
+   * Set a new password using a reset token and sign out every session
+   */
+  async resetPassword(token, newPassword, audit = {}) {
+    try {
+      this.validatePassword(newPassword);
+
+      const userToken = await this.userTokenService.consumeToken(token, 'password-reset');
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+      // The reset link proves the user owns the address
+      const user = await this.userRepository.updateById(userToken.user, {
+        password: hashedPassword,
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      });
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      // The token holder is the actor, even though the request is not signed in
+      this.auditLogService.record({ ...audit, actor: user._id, actorEmail: user.email }, {
+        action: 'user.password-reset', entityType: 'user', entityId: user._id
+      });
+
+      await this.sessionService.revokeAllSessions(user._id, 'password-reset');
+      return { message: 'Password reset successfully' };
+    } catch (error) {
+      throw new Error(`Failed to reset password: ${error.message}`);
+    }
+  }
+
+  /**
+   * Email a verification link to the user
+   */
+  async sendEmailVerification(userId) {
+    try {
+      const user = await this.userRepository.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+      if (user.emailVerified) {
+        throw new Error('Email address is already verified');
+      }
+
+      const token = await this.userTokenService.issueToken(
+        user._id,
+        'email-verification',
+        EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+      );
+
+      this.emailService.sendEmailVerification(user, token, EMAIL_VERIFICATION_TTL_HOURS)
+        .catch(error => console.error('Failed to send verification email:', error));
+    } catch (error) {
+      throw new Error(`Failed to send verification email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark the user's email as verified using a verification token
+   */
+  async verifyEmail(token) {
+    try {
+      const userToken = await this.userTokenService.consumeToken(token, 'email-verification');
+      const user = await this.userRepository.updateById(userToken.user, {
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      });
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      return { message: 'Email verified successfully' };
+    } catch (error) {
+      throw new Error(`Failed to verify email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check password strength
+   */
+  validatePassword(password) {
+    if (!password || typeof password !== 'string' || password.length < 6) {
+      throw new Error('Password must be at least 6 characters');
+    }
+  }
+
+  /**
+   * Check that the session behind an access token has not been revoked
+   */
+  async isSessionActive(sessionId) {
+    return await this.sessionService.isSessionActive(sessionId);
+  }
+
   /**
    * Get user by ID
    */
@@ -100,19 +384,40 @@ class UserService {
   /**
    * Update user
    */
-  async updateUser(id, updateData) {
+  async updateUser(id, updateData, audit = {}) {
     try {
+      const currentUser = await this.userRepository.findById(id);
+      if (!currentUser) {
+        throw new Error('User not found');
+      }
+
+      // Deletion goes through deleteUser, which revokes sessions and records it in the audit log
+      delete updateData.deletedAt;
+      delete updateData.deletedBy;
+
       // If updating email, check if it already exists
       if (updateData.email) {
         const emailExists = await this.userRepository.emailExists(updateData.email);
         if (emailExists) {
-          const existingUser = await this.userRepository.findByEmail(updateData.email);
+          const existingUser = await this.userRepository.findByEmail(updateData.email, true);
           if (existingUser._id.toString() !== id) {
             throw new Error('Email already exists');
           }
         }
       }
 
+      if (updateData.role) {
+        await this.validateRole(updateData.role);
+      }
+
+      // A changed address has to be verified again
+      if (updateData.email) {
+        if (currentUser.email !== updateData.email.toLowerCase().trim()) {
+          updateData.emailVerified = false;
+          updateData.emailVerifiedAt = null;
+        }
+      }
+
       // If updating password, hash it
       if (updateData.password) {
         const saltRounds = 10;
@@ -123,6 +428,12 @@ class UserService {
       if (!user) {
         throw new Error('User not found');
       }
+      this.auditLogService.record(audit, { action: 'user.update', entityType: 'user', entityId: user._id, before: currentUser, after: user });
+
+      // Deactivated accounts lose access immediately, not when their tokens expire
+      if (updateData.isActive === false) {
+        await this.sessionService.revokeAllSessions(user._id, 'deactivated');
+      }
 
       const { password, ...userWithoutPassword } = user.toObject();
       return userWithoutPassword;
@@ -149,33 +460,124 @@ class UserService {
   /**
    * Delete user
    */
-  async deleteUser(id) {
+  async deleteUser(id, audit = {}) {
     try {
-      const user = await this.userRepository.deleteById(id);
+      const user = await this.userRepository.deleteById(id, audit.actor || null);
       if (!user) {
         throw new Error('User not found');
       }
+      this.auditLogService.record(audit, { action: 'user.delete', entityType: 'user', entityId: user._id });
+      await this.sessionService.revokeAllSessions(user._id, 'deleted');
       return { message: 'User deleted successfully' };
     } catch (error) {
       throw new Error(`Failed to delete user: ${error.message}`);
     }
   }
 
+  /**
+   * Get deleted users that can still be restored
+   */
+  async getDeletedUsers() {
+    try {
+      const users = await this.userRepository.findDeleted();
+      return users.map(user => {
+        const { password, ...userWithoutPassword } = user.toObject();
+        return userWithoutPassword;
+      });
+    } catch (error) {
+      throw new Error(`Failed to get deleted users: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore a deleted user; they have to sign in again
+   */
+  async restoreUser(id, audit = {}) {
+    try {
+      const user = await this.userRepository.restoreById(id);
+      if (!user) {
+        throw new Error('Deleted user not found');
+      }
+      this.auditLogService.record(audit, { action: 'user.restore', entityType: 'user', entityId: user._id });
+
+      const { password, ...userWithoutPassword } = user.toObject();
+      return userWithoutPassword;
+    } catch (error) {
+      throw new Error(`Failed to restore user: ${error.message}`);
+    }
+  }
+
+  /**
+   * Permanently remove users deleted before a date, with their two-factor credentials
+   */
+  async purgeDeletedUsers(deletedBefore) {
+    const users = await this.userRepository.purgeDeleted(deletedBefore);
+
+    for (const user of users) {
+      await this.twoFactorService.deleteCredential(user._id);
+      this.auditLogService.record(null, { action: 'user.purge', entityType: 'user', entityId: user._id });
+    }
+
+    return users.length;
+  }
+
+  /**
+   * Ensure the role exists
+   */
+  async validateRole(role) {
+    const exists = await this.roleService.roleExists(role.toLowerCase().trim());
+    if (!exists) {
+      throw new Error(`Role not found: ${role}`);
+    }
+  }
+
   /**
    * Generate JWT token
    */
-  generateToken(user) {
+  generateToken(user, sessionId) {
     const payload = {
       userId: user._id,
       email: user.email,
-      role: user.role
+      role: user.role,
+      sessionId
     };
 
+    // Users whose role requires 2FA can only reach enrollment until they set it up
+    if (!user.twoFactorEnabled && this.twoFactorService.isRequiredForRole(user.role)) {
+      payload.twoFactorSetupRequired = true;
+    }
+
     return jwt.sign(payload, process.env.JWT_SECRET || 'your-secret-key', {
-      expiresIn: '24h'
+      expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60
     });
   }
 
+  /**
+   * Generate the short-lived token that links the two login steps
+   */
+  generateTwoFactorChallenge(user) {
+    return jwt.sign(
+      { userId: user._id, purpose: 'two-factor' },
+      process.env.JWT_SECRET || 'your-secret-key',
+      { expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS }
+    );
+  }
+
+  /**
+   * Verify a two-factor challenge token
+   */
+  verifyTwoFactorChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET || 'your-secret-key');
+      if (decoded.purpose !== 'two-factor') {
+        throw new Error('Wrong token purpose');
+      }
+      return decoded;
+    } catch (error) {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+  }
+
   /**
    * Verify JWT token
    */
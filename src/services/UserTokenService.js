@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const UserTokenRepository = require('../repositories/UserTokenRepository');
+
+/**
+ * User Token Service Class
+ * Single Responsibility: Issue and redeem tokens handed out to users
+ */
+class UserTokenService {
+  constructor() {
+    this.userTokenRepository = new UserTokenRepository();
+  }
+
+  /**
+   * Issue a token, replacing any unused token of the same type
+   */
+  async issueToken(userId, type, ttlMs) {
+    await this.userTokenRepository.deleteUnusedForUser(userId, type);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await this.userTokenRepository.create({
+      user: userId,
+      type,
+      tokenHash: this.hash(token),
+      expiresAt: new Date(Date.now() + ttlMs)
+    });
+
+    return token;
+  }
+
+  /**
+   * Redeem a token; it cannot be used again afterwards
+   */
+  async consumeToken(token, type) {
+    if (!token || typeof token !== 'string') {
+      throw new Error('Invalid or expired token');
+    }
+
+    const userToken = await this.userTokenRepository.consume(this.hash(token), type);
+    if (!userToken) {
+      throw new Error('Invalid or expired token');
+    }
+
+    return userToken;
+  }
+
+  /**
+   * Check a reusable token; it stays valid until it expires or is replaced
+   */
+  async verifyToken(token, type) {
+    if (!token || typeof token !== 'string') {
+      throw new Error('Invalid or expired token');
+    }
+
+    const userToken = await this.userTokenRepository.findValid(this.hash(token), type);
+    if (!userToken) {
+      throw new Error('Invalid or expired token');
+    }
+
+    return userToken;
+  }
+
+  /**
+   * Hash a token for storage
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+}
+
+module.exports = UserTokenService;
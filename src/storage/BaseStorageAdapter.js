@@ -0,0 +1,35 @@
+/**
+ * Base Storage Adapter Class
+ * Single Responsibility: Define the contract for persisting uploaded files
+ * Open/Closed Principle: New backends extend this class without changing callers
+ */
+class BaseStorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Persist a file buffer under the given key
+   * Resolves to the stored file metadata ({ filename, path, mimetype, size })
+   */
+  async save(buffer, key, metadata = {}) {
+    throw new Error(`${this.name} storage adapter does not implement save()`);
+  }
+
+  /**
+   * Open a stored file for reading
+   * Resolves to { stream, size }
+   */
+  async read(key) {
+    throw new Error(`${this.name} storage adapter does not implement read()`);
+  }
+
+  /**
+   * Remove a previously stored file
+   */
+  async remove(key) {
+    throw new Error(`${this.name} storage adapter does not implement remove()`);
+  }
+}
+
+module.exports = BaseStorageAdapter;
@@ -0,0 +1,85 @@
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const os = require('os');
+const path = require('path');
+const BaseStorageAdapter = require('./BaseStorageAdapter');
+
+/**
+ * Local Disk Storage Adapter
+ * Single Responsibility: Store uploaded files on the local filesystem
+ */
+class LocalStorageAdapter extends BaseStorageAdapter {
+  constructor(options = {}) {
+    super('local');
+    // Vercel functions can only write to the temp directory
+    this.baseDir = options.baseDir ||
+      process.env.UPLOAD_DIR ||
+      (process.env.VERCEL ? path.join(os.tmpdir(), 'uploads') : path.join(process.cwd(), 'uploads'));
+  }
+
+  /**
+   * Resolve a storage key to an absolute path inside the base directory
+   */
+  resolvePath(key) {
+    const fullPath = path.resolve(this.baseDir, key);
+    if (!fullPath.startsWith(path.resolve(this.baseDir) + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return fullPath;
+  }
+
+  /**
+   * Write the file to disk
+   */
+  async save(buffer, key, metadata = {}) {
+    try {
+      const fullPath = this.resolvePath(key);
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, buffer);
+
+      return {
+        filename: metadata.filename,
+        path: key,
+        mimetype: metadata.mimetype,
+        size: buffer.length
+      };
+    } catch (error) {
+      throw new Error(`Failed to store file locally: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a read stream for the file on disk
+   */
+  async read(key) {
+    try {
+      const fullPath = this.resolvePath(key);
+      const stats = await fs.stat(fullPath);
+
+      return {
+        stream: createReadStream(fullPath),
+        size: stats.size
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('Stored file not found');
+      }
+      throw new Error(`Failed to read local file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete the file from disk
+   */
+  async remove(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to remove local file: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = LocalStorageAdapter;
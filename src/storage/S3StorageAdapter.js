@@ -0,0 +1,97 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const BaseStorageAdapter = require('./BaseStorageAdapter');
+
+/**
+ * S3-Compatible Storage Adapter
+ * Single Responsibility: Store uploaded files in an S3-compatible bucket (AWS, MinIO, R2, ...)
+ */
+class S3StorageAdapter extends BaseStorageAdapter {
+  constructor(options = {}) {
+    super('s3');
+    this.bucket = options.bucket || process.env.S3_BUCKET;
+
+    if (!this.bucket) {
+      throw new Error('S3_BUCKET environment variable is not set');
+    }
+
+    const clientConfig = {
+      region: options.region || process.env.S3_REGION || 'us-east-1',
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    };
+
+    if (options.endpoint || process.env.S3_ENDPOINT) {
+      clientConfig.endpoint = options.endpoint || process.env.S3_ENDPOINT;
+    }
+
+    if (process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY) {
+      clientConfig.credentials = {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      };
+    }
+
+    this.client = options.client || new S3Client(clientConfig);
+  }
+
+  /**
+   * Upload the file to the bucket
+   */
+  async save(buffer, key, metadata = {}) {
+    try {
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: metadata.mimetype,
+        ContentLength: buffer.length
+      }));
+
+      return {
+        filename: metadata.filename,
+        path: key,
+        mimetype: metadata.mimetype,
+        size: buffer.length
+      };
+    } catch (error) {
+      throw new Error(`Failed to upload file to S3: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stream the file from the bucket
+   */
+  async read(key) {
+    try {
+      const result = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+
+      return {
+        stream: result.Body,
+        size: result.ContentLength
+      };
+    } catch (error) {
+      if (error.name === 'NoSuchKey') {
+        throw new Error('Stored file not found');
+      }
+      throw new Error(`Failed to read file from S3: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete the file from the bucket
+   */
+  async remove(key) {
+    try {
+      await this.client.send(new DeleteObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+    } catch (error) {
+      throw new Error(`Failed to remove file from S3: ${error.message}`);
+    }
+  }
+}
+
+module.exports = S3StorageAdapter;